@@ -0,0 +1,442 @@
+const stroopsPerUnit = 10_000_000n
+const decimals = 7
+const minStroops = -0x8000000000000000n
+const maxStroops = 0x7FFFFFFFFFFFFFFFn
+
+/**
+ * Immutable asset amount with 7-digit fixed precision, stored as int64 stroops
+ */
+export class Amount {
+    /**
+     * @param {bigint} stroops - Amount in stroops
+     * @private
+     */
+    constructor(stroops) {
+        this.stroops = stroops
+        Object.freeze(this)
+    }
+
+    /**
+     * Amount in stroops (1 stroop = 0.0000001)
+     * @type {bigint}
+     * @readonly
+     */
+    stroops
+
+    /**
+     * @param {AmountLike} other
+     * @return {Amount}
+     */
+    add(other) {
+        return Amount.fromStroops(this.stroops + Amount.parse(other).stroops)
+    }
+
+    /**
+     * @param {AmountLike} other
+     * @return {Amount}
+     */
+    sub(other) {
+        return Amount.fromStroops(this.stroops - Amount.parse(other).stroops)
+    }
+
+    /**
+     * Multiply by a scalar factor
+     * @param {number|string|bigint} factor
+     * @param {RoundingMode} [rounding] - Rounding of the result ("trunc" by default)
+     * @return {Amount}
+     */
+    mul(factor, rounding = 'trunc') {
+        const {numerator, denominator} = toFraction(factor)
+        return Amount.fromStroops(divide(this.stroops * numerator, denominator, rounding))
+    }
+
+    /**
+     * Divide by a scalar divisor
+     * @param {number|string|bigint} divisor
+     * @param {RoundingMode} [rounding] - Rounding of the result ("trunc" by default)
+     * @return {Amount}
+     */
+    div(divisor, rounding = 'trunc') {
+        const {numerator, denominator} = toFraction(divisor)
+        if (numerator === 0n)
+            throw new RangeError('Division by zero')
+        return Amount.fromStroops(divide(this.stroops * denominator, numerator, rounding))
+    }
+
+    /**
+     * Calculate percentage of the amount
+     * @param {number|string} percentage - Percentage (e.g. 1.5 for 1.5%)
+     * @param {RoundingMode} [rounding] - Rounding of the result ("trunc" by default)
+     * @return {Amount}
+     */
+    percent(percentage, rounding = 'trunc') {
+        const {numerator, denominator} = toFraction(percentage)
+        return Amount.fromStroops(divide(this.stroops * numerator, denominator * 100n, rounding))
+    }
+
+    /**
+     * Ratio between this and another amount
+     * @param {AmountLike} other
+     * @return {number}
+     */
+    ratio(other) {
+        const divisor = Amount.parse(other).stroops
+        if (divisor === 0n)
+            throw new RangeError('Division by zero')
+        return Number(this.stroops) / Number(divisor)
+    }
+
+    /**
+     * Min amount acceptable with the given slippage tolerance (rounded down)
+     * @param {number|string} tolerance - Slippage tolerance (e.g. 0.02 for 2%)
+     * @return {Amount}
+     */
+    minusSlippage(tolerance) {
+        const {numerator, denominator} = toSlippageFraction(tolerance)
+        return Amount.fromStroops(divide(this.stroops * (denominator - numerator), denominator, 'floor'))
+    }
+
+    /**
+     * Max amount acceptable with the given slippage tolerance (rounded up)
+     * @param {number|string} tolerance - Slippage tolerance (e.g. 0.02 for 2%)
+     * @return {Amount}
+     */
+    plusSlippage(tolerance) {
+        const {numerator, denominator} = toSlippageFraction(tolerance)
+        return Amount.fromStroops(divide(this.stroops * (denominator + numerator), denominator, 'ceil'))
+    }
+
+    /**
+     * Compare with another amount
+     * @param {AmountLike} other
+     * @return {number} - -1 if less than other, 1 if greater, 0 if equal
+     */
+    compare(other) {
+        const value = Amount.parse(other).stroops
+        if (this.stroops === value)
+            return 0
+        return this.stroops < value ? -1 : 1
+    }
+
+    /**
+     * @param {AmountLike} other
+     * @return {boolean}
+     */
+    eq(other) {
+        return this.compare(other) === 0
+    }
+
+    /**
+     * @param {AmountLike} other
+     * @return {boolean}
+     */
+    lt(other) {
+        return this.compare(other) < 0
+    }
+
+    /**
+     * @param {AmountLike} other
+     * @return {boolean}
+     */
+    lte(other) {
+        return this.compare(other) <= 0
+    }
+
+    /**
+     * @param {AmountLike} other
+     * @return {boolean}
+     */
+    gt(other) {
+        return this.compare(other) > 0
+    }
+
+    /**
+     * @param {AmountLike} other
+     * @return {boolean}
+     */
+    gte(other) {
+        return this.compare(other) >= 0
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isZero() {
+        return this.stroops === 0n
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isPositive() {
+        return this.stroops > 0n
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isNegative() {
+        return this.stroops < 0n
+    }
+
+    /**
+     * Round to the given number of decimal places
+     * @param {number} places - Number of decimal places (0-7)
+     * @param {RoundingMode} [rounding] - Rounding mode ("half-up" by default)
+     * @return {Amount}
+     */
+    round(places, rounding = 'half-up') {
+        const step = 10n ** BigInt(decimals - validatePlaces(places))
+        return Amount.fromStroops(divide(this.stroops, step, rounding) * step)
+    }
+
+    /**
+     * Canonical decimal representation without trailing zeros ("10.5")
+     * @return {string}
+     */
+    toString() {
+        const negative = this.stroops < 0n
+        const abs = negative ? -this.stroops : this.stroops
+        let res = (abs / stroopsPerUnit).toString()
+        const fract = abs % stroopsPerUnit
+        if (fract) {
+            res += '.' + fract.toString().padStart(decimals, '0').replace(/0+$/, '')
+        }
+        return negative ? '-' + res : res
+    }
+
+    /**
+     * @return {string}
+     */
+    toJSON() {
+        return this.toString()
+    }
+
+    /**
+     * Convert to floating-point number (may lose precision)
+     * @return {number}
+     */
+    toNumber() {
+        return Number(this.toString())
+    }
+
+    /**
+     * Format amount for display using locale-specific separators
+     * @param {AmountFormatOptions} [options] - Formatting options
+     * @return {string}
+     */
+    format(options = {}) {
+        const {locale, maxDecimals = decimals, minDecimals = 0, rounding = 'half-up', grouping = true} = options
+        validatePlaces(maxDecimals)
+        validatePlaces(minDecimals)
+        const {stroops} = this.round(maxDecimals, rounding)
+        const negative = stroops < 0n
+        const abs = negative ? -stroops : stroops
+        const int = new Intl.NumberFormat(locale, {useGrouping: grouping}).format(abs / stroopsPerUnit)
+        let fract = (abs % stroopsPerUnit).toString().padStart(decimals, '0')
+            .slice(0, maxDecimals)
+            .replace(/0+$/, '')
+        fract = fract.padEnd(Math.min(minDecimals, maxDecimals), '0')
+        const res = fract ? int + getSeparators(locale).decimal + fract : int
+        return negative ? '-' + res : res
+    }
+
+    /**
+     * Parse amount in any supported format
+     * @param {AmountLike} value - Decimal string ("10.5"), number, or Amount instance
+     * @param {RoundingMode} [rounding] - Rounding applied to values with more than 7 decimal places (such values are rejected if not set)
+     * @return {Amount}
+     * @throws {TypeError} Invalid amount format
+     * @throws {RangeError} Amount exceeds int64 range
+     */
+    static parse(value, rounding) {
+        if (value instanceof Amount)
+            return value
+        let fraction
+        if (typeof value === 'string') {
+            if (!/^-?\d+(\.\d+)?$/.test(value))
+                throw new TypeError('Invalid amount format: ' + (value || 'empty string'))
+            fraction = toFraction(value)
+        } else if (typeof value === 'number') {
+            if (!Number.isFinite(value))
+                throw new TypeError('Invalid amount: ' + value)
+            fraction = toFraction(value)
+        } else
+            throw new TypeError('Invalid amount: ' + (typeof value))
+        const scaled = fraction.numerator * stroopsPerUnit
+        if (!rounding && scaled % fraction.denominator !== 0n)
+            throw new RangeError(`Amount ${value} has more than ${decimals} decimal places`)
+        return Amount.fromStroops(divide(scaled, fraction.denominator, rounding))
+    }
+
+    /**
+     * Parse amount, returning undefined instead of throwing on invalid input
+     * @param {AmountLike} value - Decimal string ("10.5"), number, or Amount instance
+     * @param {RoundingMode} [rounding] - Rounding applied to values with more than 7 decimal places
+     * @return {Amount|undefined}
+     */
+    static tryParse(value, rounding) {
+        try {
+            return Amount.parse(value, rounding)
+        } catch (e) {
+            return undefined
+        }
+    }
+
+    /**
+     * Parse amount formatted with locale-specific separators ("1,234.5" in "en-US", "1.234,5" in "de-DE")
+     * @param {string} value - Formatted amount
+     * @param {string} [locale] - Locale used to format the amount (default runtime locale if not set)
+     * @param {RoundingMode} [rounding] - Rounding applied to values with more than 7 decimal places (such values are rejected if not set)
+     * @return {Amount}
+     */
+    static parseLocale(value, locale, rounding) {
+        if (typeof value !== 'string')
+            throw new TypeError('Invalid amount: ' + (typeof value))
+        const {group, decimal} = getSeparators(locale)
+        let normalized = value.replace(/\s/g, '')
+        if (group) {
+            normalized = normalized.split(group).join('')
+        }
+        normalized = normalized.replace(decimal, '.').replace(/^−/, '-')
+        if (!/^-?\d+(\.\d+)?$/.test(normalized))
+            throw new TypeError('Invalid amount format: ' + (value || 'empty string'))
+        return Amount.parse(normalized, rounding)
+    }
+
+    /**
+     * @param {bigint} stroops - Amount in stroops
+     * @return {Amount}
+     * @throws {RangeError} Amount exceeds int64 range
+     */
+    static fromStroops(stroops) {
+        if (typeof stroops !== 'bigint')
+            throw new TypeError('Invalid stroops amount: ' + (typeof stroops))
+        if (stroops < minStroops || stroops > maxStroops)
+            throw new RangeError('Amount exceeds int64 range: ' + stroops)
+        return new Amount(stroops)
+    }
+
+    /**
+     * @type {Amount}
+     * @readonly
+     */
+    static zero = new Amount(0n)
+}
+
+/**
+ * Convert decimal value to exact fraction
+ * @param {number|string|bigint} value
+ * @return {{numerator: bigint, denominator: bigint}}
+ */
+function toFraction(value) {
+    if (typeof value === 'bigint')
+        return {numerator: value, denominator: 1n}
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value))
+            throw new TypeError('Invalid number: ' + value)
+        value = value.toString()
+    }
+    const match = typeof value === 'string' && /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(value)
+    if (!match || !(match[2] || match[3]))
+        throw new TypeError('Invalid number: ' + value)
+    const [, sign, int, fract = '', exponent = '0'] = match
+    let numerator = BigInt(int + fract || '0')
+    let denominator = 1n
+    const scale = fract.length - parseInt(exponent, 10)
+    if (scale > 0) {
+        denominator = 10n ** BigInt(scale)
+    } else {
+        numerator *= 10n ** BigInt(-scale)
+    }
+    return {numerator: sign === '-' ? -numerator : numerator, denominator}
+}
+
+/**
+ * @param {number|string} tolerance
+ * @return {{numerator: bigint, denominator: bigint}}
+ */
+function toSlippageFraction(tolerance) {
+    const fraction = toFraction(tolerance)
+    if (fraction.numerator < 0n || fraction.numerator >= fraction.denominator)
+        throw new RangeError('Invalid slippage tolerance: ' + tolerance)
+    return fraction
+}
+
+/**
+ * Integer division with explicit rounding
+ * @param {bigint} numerator
+ * @param {bigint} denominator
+ * @param {RoundingMode} [rounding]
+ * @return {bigint}
+ */
+function divide(numerator, denominator, rounding = 'trunc') {
+    if (denominator < 0n) {
+        numerator = -numerator
+        denominator = -denominator
+    }
+    const quotient = numerator / denominator
+    const remainder = numerator % denominator
+    if (remainder === 0n)
+        return quotient
+    const negative = numerator < 0n
+    switch (rounding) {
+        case 'trunc':
+            return quotient
+        case 'floor':
+            return negative ? quotient - 1n : quotient
+        case 'ceil':
+            return negative ? quotient : quotient + 1n
+        case 'half-up':
+        case 'half-even': {
+            const twice = (negative ? -remainder : remainder) * 2n
+            if (twice < denominator || (twice === denominator && rounding === 'half-even' && quotient % 2n === 0n))
+                return quotient
+            return negative ? quotient - 1n : quotient + 1n
+        }
+        default:
+            throw new TypeError('Unsupported rounding mode: ' + rounding)
+    }
+}
+
+/**
+ * @param {number} places
+ * @return {number}
+ */
+function validatePlaces(places) {
+    if (!Number.isInteger(places) || places < 0 || places > decimals)
+        throw new RangeError('Invalid number of decimal places: ' + places)
+    return places
+}
+
+/**
+ * Locale-specific group and decimal separators
+ * @param {string} [locale]
+ * @return {{group: string, decimal: string}}
+ */
+function getSeparators(locale) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5)
+    return {
+        group: parts.find(part => part.type === 'group')?.value || '',
+        decimal: parts.find(part => part.type === 'decimal')?.value || '.'
+    }
+}
+
+/**
+ * @typedef {'trunc'|'floor'|'ceil'|'half-up'|'half-even'} RoundingMode - Rounding mode
+ * ("trunc" - toward zero, "floor" - toward negative infinity, "ceil" - toward positive infinity,
+ * "half-up" - to nearest, ties away from zero, "half-even" - to nearest, ties to even)
+ */
+
+/**
+ * @typedef {string|number|Amount} AmountLike - Decimal string ("10.5"), number, or Amount instance
+ */
+
+/**
+ * @typedef {object} AmountFormatOptions - Amount display formatting options
+ * @property {string} [locale] - Locale used for separators (default runtime locale if not set)
+ * @property {number} [maxDecimals] - Max number of decimal places (7 by default)
+ * @property {number} [minDecimals] - Min number of decimal places, padded with zeros (0 by default)
+ * @property {RoundingMode} [rounding] - Rounding applied to extra decimal places ("half-up" by default)
+ * @property {boolean} [grouping] - Whether to use thousands separators (true by default)
+ */
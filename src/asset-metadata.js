@@ -0,0 +1,361 @@
+import {Horizon, StellarToml} from '@stellar/stellar-sdk'
+import toml from 'toml'
+import errors, {StellarBrokerError} from './errors.js'
+import {AssetId} from './asset.js'
+import {resolveNetwork} from './network.js'
+import {createLogger} from './logger.js'
+
+/**
+ * Resolves asset display metadata from issuer home domains (SEP-1 stellar.toml)
+ */
+export class AssetMetadataResolver {
+    /**
+     * @param {AssetMetadataResolverOptions} [options] - Resolver settings
+     */
+    constructor(options = {}) {
+        const {ttl = 3_600_000, timeout = 10_000} = options
+        if (typeof ttl !== 'number' || !(ttl >= 0))
+            throw errors.invalidInitParam('ttl')
+        if (typeof timeout !== 'number' || !(timeout >= 0))
+            throw errors.invalidInitParam('timeout')
+        const fetch = options.fetch || globalThis.fetch
+        if (typeof fetch !== 'function')
+            throw errors.invalidInitParam('fetch')
+        this.network = resolveNetwork(options.network)
+        if (options.horizon) {
+            if (typeof options.horizon.loadAccount !== 'function')
+                throw errors.invalidInitParam('horizon')
+            this.horizon = options.horizon
+        } else if (!this.network.horizon)
+            throw errors.invalidInitParam('network.horizon')
+        this.fetch = fetch
+        this.ttl = ttl
+        this.timeout = timeout
+        this.logger = createLogger(options)
+    }
+
+    /**
+     * @type {NetworkConfig}
+     * @readonly
+     */
+    network
+    /**
+     * Time (ms) during which resolved metadata is cached
+     * @type {number}
+     * @readonly
+     */
+    ttl
+    /**
+     * Max time to wait for stellar.toml response, in milliseconds
+     * @type {number}
+     * @readonly
+     */
+    timeout
+    /**
+     * @type {HorizonServer}
+     * @private
+     */
+    horizon
+    /**
+     * @type {function}
+     * @private
+     */
+    fetch
+    /**
+     * @type {Logger}
+     * @private
+     */
+    logger
+    /**
+     * Resolved and pending asset metadata, grouped by asset identifier
+     * @type {Map<string, MetadataCacheEntry>}
+     * @private
+     */
+    assets = new Map()
+    /**
+     * Parsed stellar.toml files, grouped by domain
+     * @type {Map<string, MetadataCacheEntry>}
+     * @private
+     */
+    domains = new Map()
+
+    /**
+     * Resolve asset metadata, cached metadata is returned if available
+     * @param {AssetLike} asset - Asset identifier
+     * @return {Promise<AssetMetadata>}
+     */
+    resolve(asset) {
+        let id
+        try {
+            id = AssetId.parse(asset)
+        } catch (e) {
+            return Promise.reject(e)
+        }
+        if (id.isNative())
+            return Promise.resolve({...nativeMetadata})
+        if (id.isContract()) //Soroban tokens don't have SEP-1 metadata
+            return Promise.resolve({asset: id.toString(), contract: id.contract})
+        return this.cached(this.assets, id.toString(), () => this.load(id))
+            .then(metadata => ({...metadata}))
+    }
+
+    /**
+     * Resolve metadata of the quoted assets and attach it to the quote
+     * @param {QuoteResult} quote - Quote to enrich
+     * @return {Promise<QuoteResult>}
+     */
+    async enrichQuote(quote) {
+        quote.assetMetadata = await this.resolvePair(quote)
+        return quote
+    }
+
+    /**
+     * Resolve metadata of the traded assets and attach it to the trade result
+     * @param {TradeResult} result - Trade result to enrich
+     * @param {QuoteResult} quote - Confirmed quote of the trade
+     * @return {Promise<TradeResult>}
+     */
+    async enrichTradeResult(result, quote) {
+        result.assetMetadata = await this.resolvePair(quote)
+        return result
+    }
+
+    /**
+     * Drop all cached metadata
+     */
+    clear() {
+        this.assets.clear()
+        this.domains.clear()
+    }
+
+    /**
+     * Resolve metadata of both quote assets, failures are logged and result in missing metadata
+     * @param {QuoteResult} quote
+     * @return {Promise<AssetMetadataPair>}
+     * @private
+     */
+    async resolvePair(quote) {
+        if (!quote?.sellingAsset || !quote?.buyingAsset)
+            throw errors.quoteNotSet()
+        const [selling, buying] = await Promise.all([quote.sellingAsset, quote.buyingAsset]
+            .map(asset => this.resolve(asset)
+                .catch(e => {
+                    this.logger.warn('Failed to resolve asset metadata', {asset, error: e.message})
+                    return undefined
+                })))
+        return {selling, buying}
+    }
+
+    /**
+     * Return cached value or start loading it
+     * @param {Map<string, MetadataCacheEntry>} cache
+     * @param {string} key
+     * @param {function(): Promise} loader
+     * @return {Promise}
+     * @private
+     */
+    cached(cache, key, loader) {
+        const now = Date.now()
+        for (const [cachedKey, entry] of cache) {
+            if (entry.expires <= now) {
+                cache.delete(cachedKey)
+            }
+        }
+        const entry = cache.get(key)
+        if (entry)
+            return entry.promise
+        const promise = loader()
+        cache.set(key, {promise, expires: Infinity})
+        promise
+            .then(() => {
+                const current = cache.get(key)
+                if (current?.promise === promise) {
+                    current.expires = Date.now() + this.ttl
+                }
+            })
+            .catch(() => {
+                if (cache.get(key)?.promise === promise) { //failures are not cached
+                    cache.delete(key)
+                }
+            })
+        return promise
+    }
+
+    /**
+     * @param {AssetId} id - Classic asset
+     * @return {Promise<AssetMetadata>}
+     * @private
+     */
+    async load(id) {
+        /** @type {AssetMetadata} */
+        const metadata = {
+            asset: id.toString(),
+            code: id.code,
+            issuer: id.issuer
+        }
+        const domain = await this.loadHomeDomain(id.issuer)
+        if (!domain)
+            return metadata
+        metadata.domain = domain
+        const toml = await this.cached(this.domains, domain, () => this.loadToml(domain))
+        if (!toml)
+            return metadata
+        const currency = (Array.isArray(toml.CURRENCIES) ? toml.CURRENCIES : [])
+            .find(currency => currency?.code === id.code && currency?.issuer === id.issuer)
+        const {ORG_NAME, ORG_URL} = toml.DOCUMENTATION || {}
+        Object.assign(metadata, {
+            name: currency?.name,
+            description: currency?.desc,
+            image: currency?.image,
+            decimals: Number.isInteger(currency?.display_decimals) ? currency.display_decimals : undefined,
+            anchorAsset: currency?.anchor_asset,
+            anchorAssetType: currency?.anchor_asset_type,
+            orgName: ORG_NAME,
+            orgUrl: ORG_URL
+        })
+        for (const [key, value] of Object.entries(metadata)) {
+            if (value === undefined) {
+                delete metadata[key]
+            }
+        }
+        return metadata
+    }
+
+    /**
+     * @param {string} issuer - Issuer account address
+     * @return {Promise<string|undefined>}
+     * @private
+     */
+    async loadHomeDomain(issuer) {
+        if (!this.horizon) {
+            this.horizon = new Horizon.Server(this.network.horizon)
+        }
+        try {
+            const account = await this.horizon.loadAccount(issuer)
+            return account.home_domain || undefined
+        } catch (e) {
+            if (e?.response?.status === 404) //issuer account doesn't exist
+                return undefined
+            throw errors.assetMetadataFailed('Failed to load issuer account ' + issuer, e)
+        }
+    }
+
+    /**
+     * @param {string} domain - Issuer home domain
+     * @return {Promise<{}|undefined>}
+     * @private
+     */
+    async loadToml(domain) {
+        const url = `https://${domain}/.well-known/stellar.toml`
+        const controller = new AbortController()
+        const timeoutHandler = this.timeout > 0 ?
+            setTimeout(() => controller.abort(), this.timeout) :
+            undefined
+        this.logger.debug('Requesting stellar.toml', {url})
+        try {
+            const response = await this.fetch(url, {signal: controller.signal})
+            if (response.status === 404)
+                return undefined
+            if (!response.ok)
+                throw errors.assetMetadataFailed(`Failed to load ${url}: HTTP ${response.status}`)
+            const text = await readLimitedText(response, StellarToml.STELLAR_TOML_MAX_SIZE)
+            if (text === undefined)
+                throw errors.assetMetadataFailed(`${url} exceeds allowed size of ${StellarToml.STELLAR_TOML_MAX_SIZE} bytes`)
+            try {
+                return toml.parse(text)
+            } catch (e) {
+                throw errors.assetMetadataFailed(`Invalid ${url}: ${e.message}`, e)
+            }
+        } catch (e) {
+            if (e instanceof StellarBrokerError)
+                throw e
+            if (controller.signal.aborted)
+                throw errors.assetMetadataFailed(`Failed to load ${url}: timed out after ${this.timeout}ms`)
+            throw errors.assetMetadataFailed('Failed to load ' + url, e)
+        } finally {
+            clearTimeout(timeoutHandler)
+        }
+    }
+}
+
+const nativeMetadata = Object.freeze({
+    asset: 'XLM',
+    code: 'XLM',
+    name: 'Stellar Lumens',
+    decimals: 7
+})
+
+/**
+ * Read response body as text, aborting the download once it exceeds the size limit
+ * @param {Response} response
+ * @param {number} maxSize - Max body size, in bytes
+ * @return {Promise<string|undefined>} - Response text, or undefined if the body exceeds the size limit
+ */
+async function readLimitedText(response, maxSize) {
+    const contentLength = parseInt(response.headers?.get('content-length'), 10)
+    if (contentLength > maxSize) {
+        await response.body?.cancel()
+        return undefined
+    }
+    if (!response.body) { //streaming is not supported by the fetch implementation
+        const text = await response.text()
+        return new TextEncoder().encode(text).length > maxSize ? undefined : text
+    }
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let size = 0
+    let text = ''
+    while (true) {
+        const {done, value} = await reader.read()
+        if (done)
+            break
+        size += value.length
+        if (size > maxSize) {
+            await reader.cancel()
+            return undefined
+        }
+        text += decoder.decode(value, {stream: true})
+    }
+    return text + decoder.decode()
+}
+
+/**
+ * @typedef {object} AssetMetadataResolverOptions - Asset metadata resolver settings
+ * @property {NetworkPreset|NetworkConfig} [network] - Network preset name or custom network configuration ("public" by default)
+ * @property {HorizonServer} [horizon] - Horizon server instance used to load issuer accounts (created from the network config by default)
+ * @property {function} [fetch] - Fetch implementation used to load stellar.toml files (global fetch by default)
+ * @property {number} [ttl] - Time (ms) during which resolved metadata is cached (1 hour by default)
+ * @property {number} [timeout] - Max time to wait for stellar.toml response, in milliseconds (10000 by default, 0 - no timeout)
+ * @property {LoggerSink} [logger] - Log entries receiver (console by default)
+ * @property {LogLevel} [logLevel] - Min severity of logged entries ("warn" by default)
+ */
+
+/**
+ * @typedef {object} AssetMetadata - Asset display metadata
+ * @property {string} asset - Asset identifier
+ * @property {string} [code] - Asset code
+ * @property {string} [issuer] - Issuer account address
+ * @property {string} [contract] - Token contract address (Soroban tokens)
+ * @property {string} [domain] - Issuer home domain
+ * @property {string} [name] - Asset display name
+ * @property {string} [description] - Asset description
+ * @property {string} [image] - Asset logo URL
+ * @property {number} [decimals] - Preferred number of decimals to display
+ * @property {string} [anchorAsset] - Off-chain asset the token is anchored to
+ * @property {string} [anchorAssetType] - Type of the anchored asset (fiat, crypto, stock, etc.)
+ * @property {string} [orgName] - Issuer organization name
+ * @property {string} [orgUrl] - Issuer organization website
+ */
+
+/**
+ * @typedef {object} AssetMetadataPair - Metadata of the traded assets (undefined if failed to resolve)
+ * @property {AssetMetadata} [selling] - Selling asset metadata
+ * @property {AssetMetadata} [buying] - Buying asset metadata
+ */
+
+/**
+ * @typedef {object} MetadataCacheEntry
+ * @property {Promise} promise - Resolved or pending value
+ * @property {number} expires - Expiration timestamp
+ * @private
+ */
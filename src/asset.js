@@ -2,50 +2,292 @@ import {Asset, StrKey} from '@stellar/stellar-sdk'
 import errors from './errors.js'
 
 /**
- * @param {string|Asset|{}} asset
+ * Parsed asset identifier: native XLM, classic Stellar asset, or Soroban token contract
+ */
+export class AssetId {
+    /**
+     * @param {AssetType} type - Asset type
+     * @param {string} [code] - Asset code (classic assets)
+     * @param {string} [issuer] - Issuer account address (classic assets)
+     * @param {string} [contract] - Token contract address (Soroban tokens)
+     * @private
+     */
+    constructor(type, code, issuer, contract) {
+        this.type = type
+        this.code = code
+        this.issuer = issuer
+        this.contract = contract
+        Object.freeze(this)
+    }
+
+    /**
+     * Asset type
+     * @type {AssetType}
+     * @readonly
+     */
+    type
+    /**
+     * Asset code (classic assets)
+     * @type {string}
+     * @readonly
+     */
+    code
+    /**
+     * Issuer account address (classic assets)
+     * @type {string}
+     * @readonly
+     */
+    issuer
+    /**
+     * Token contract address (Soroban tokens)
+     * @type {string}
+     * @readonly
+     */
+    contract
+
+    /**
+     * @return {boolean}
+     */
+    isNative() {
+        return this.type === 'native'
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isContract() {
+        return this.type === 'contract'
+    }
+
+    /**
+     * Asset identifier used in quotes ("XLM", "CODE-ISSUER", or contract address)
+     * @return {string}
+     */
+    toString() {
+        switch (this.type) {
+            case 'native':
+                return 'XLM'
+            case 'contract':
+                return this.contract
+            default:
+                return this.code + '-' + this.issuer
+        }
+    }
+
+    /**
+     * SEP-11 asset representation ("native", "CODE:ISSUER", or contract address)
+     * @return {string}
+     */
+    toSep11() {
+        switch (this.type) {
+            case 'native':
+                return 'native'
+            case 'contract':
+                return this.contract
+            default:
+                return this.code + ':' + this.issuer
+        }
+    }
+
+    /**
+     * Convert to classic Stellar asset
+     * @param {string} [parameter] - Name of the parameter that contains the asset (for error details)
+     * @return {Asset}
+     * @throws {StellarBrokerError} Soroban token contracts have no classic representation
+     */
+    toStellarAsset(parameter = 'asset') {
+        switch (this.type) {
+            case 'native':
+                return Asset.native()
+            case 'contract':
+                throw errors.invalidQuoteParam(parameter, 'Soroban token contract cannot be used as a classic asset: ' + this.contract)
+            default:
+                return new Asset(this.code, this.issuer)
+        }
+    }
+
+    /**
+     * Get token contract address (Stellar Asset Contract address for native and classic assets)
+     * @param {string} network - Network passphrase
+     * @return {string}
+     */
+    getContractId(network) {
+        if (this.isContract())
+            return this.contract
+        return this.toStellarAsset().contractId(network)
+    }
+
+    /**
+     * Check whether both identifiers refer to the same asset.
+     * Classic assets are matched against their Stellar Asset Contracts if the network passphrase is provided.
+     * @param {AssetId} other
+     * @param {string} [network] - Network passphrase
+     * @return {boolean}
+     */
+    equals(other, network) {
+        if (this.toString() === other.toString())
+            return true
+        if (!network || this.isContract() === other.isContract())
+            return false
+        return this.getContractId(network) === other.getContractId(network)
+    }
+
+    /**
+     * Parse asset identifier
+     * @param {AssetLike} asset - Asset identifier in any supported format
+     * @param {string} [parameter] - Name of the parameter that contains the asset (for error details)
+     * @return {AssetId}
+     * @throws {StellarBrokerError} Invalid or ambiguous asset identifier
+     */
+    static parse(asset, parameter = 'asset') {
+        if (asset instanceof AssetId)
+            return asset
+        if (asset instanceof Asset)
+            return asset.isNative() ?
+                nativeAsset :
+                new AssetId(asset.getAssetType(), asset.getCode(), asset.getIssuer())
+        if (typeof asset === 'string')
+            return parseAssetString(asset, parameter)
+        if (asset && typeof asset === 'object')
+            return parseAssetObject(asset, parameter)
+        throw errors.invalidQuoteParam(parameter, 'Asset identifier expected')
+    }
+}
+
+const nativeAsset = new AssetId('native')
+
+/**
+ * Parse asset identifier and return its normalized string representation
+ * @param {AssetLike} asset - Asset identifier in any supported format
+ * @param {string} [parameter] - Name of the parameter that contains the asset (for error details)
+ * @return {string}
+ */
+export function parseAsset(asset, parameter) {
+    return AssetId.parse(asset, parameter).toString()
+}
+
+/**
+ * @param {AssetLike} asset - Asset identifier in any supported format
  * @return {Asset}
  */
 export function convertToStellarAsset(asset) {
-    if (asset instanceof Asset)
-        return asset
-    if (asset === 'xlm' || asset === 'XLM' || asset.asset_type === 'native')
-        return Asset.native()
-    if (asset.asset_type)
-        return new Asset(asset.asset_code, asset.asset_issuer)
-    const [code, issuer] = asset.includes('-') ?
-        asset.split('-') :
-        asset.split(':')
-    return new Asset(code, issuer)
+    return AssetId.parse(asset).toStellarAsset()
 }
 
-export function parseAsset(asset, parameter) {
-    if (typeof asset === 'string') {
-        if (asset === 'XLM' || asset === 'xlm' || asset === 'native')
-            return 'XLM'
-        if (asset.includes(':')) {
-            const [code, issuer] = asset.split(':')
-            validateCode(code)
-            validateAccount(issuer, parameter)
-            return code + '-' + issuer
-        }
-        if (asset.includes('-')) {
-            const [code, issuer] = asset.split('-')
-            validateCode(code)
-            validateAccount(issuer, parameter)
-            return asset
-        }
+/**
+ * Format Stellar asset as an identifier string used in quotes ("XLM", "CODE-ISSUER", or contract address)
+ * @param {AssetLike} asset
+ * @return {string}
+ */
+export function formatAssetId(asset) {
+    return AssetId.parse(asset).toString()
+}
+
+/**
+ * Get token contract address of the asset (Stellar Asset Contract address for classic assets)
+ * @param {AssetLike} asset - Asset identifier
+ * @param {string} network - Network passphrase
+ * @return {string}
+ */
+export function getAssetContractId(asset, network) {
+    return AssetId.parse(asset).getContractId(network)
+}
+
+/**
+ * Check whether both identifiers refer to the same asset, taking into account Stellar Asset Contracts of classic assets
+ * @param {AssetLike} a
+ * @param {AssetLike} b
+ * @param {string} [network] - Network passphrase
+ * @return {boolean}
+ */
+export function isSameAsset(a, b, network) {
+    return AssetId.parse(a).equals(AssetId.parse(b), network)
+}
+
+/**
+ * @param {string} asset
+ * @param {string} parameter
+ * @return {AssetId}
+ */
+function parseAssetString(asset, parameter) {
+    if (!asset)
+        throw errors.invalidQuoteParam(parameter, 'Asset identifier is empty')
+    if (asset === 'XLM' || asset === 'xlm' || asset === 'native')
+        return nativeAsset
+    if (asset[0] === 'C' && asset.length === 56) {
+        if (!StrKey.isValidContract(asset))
+            throw errors.invalidQuoteParam(parameter, 'Invalid contract address: ' + asset)
+        return new AssetId('contract', undefined, undefined, asset)
     }
-    throw errors.invalidQuoteParam(parameter, 'Invalid asset')
+    if (StrKey.isValidEd25519PublicKey(asset))
+        throw errors.invalidQuoteParam(parameter, 'Asset code is missing for issuer ' + asset)
+    const hasColon = asset.includes(':')
+    const hasDash = asset.includes('-')
+    if (hasColon && hasDash)
+        throw errors.invalidQuoteParam(parameter, 'Ambiguous asset identifier: ' + asset)
+    if (!hasColon && !hasDash)
+        throw errors.invalidQuoteParam(parameter, 'Unknown asset identifier format: ' + asset)
+    const parts = asset.split(hasColon ? ':' : '-')
+    if (parts.length > (hasColon ? 2 : 3))
+        throw errors.invalidQuoteParam(parameter, 'Unknown asset identifier format: ' + asset)
+    const [code, issuer, typeSuffix] = parts
+    const type = getClassicAssetType(code, parameter)
+    validateIssuer(issuer, parameter)
+    if (typeSuffix !== undefined && typeSuffix !== (type === 'credit_alphanum4' ? '1' : '2'))
+        throw errors.invalidQuoteParam(parameter, `Asset type suffix "${typeSuffix}" does not match asset code ${code}`)
+    return new AssetId(type, code, issuer)
+}
+
+/**
+ * @param {{}} asset
+ * @param {string} parameter
+ * @return {AssetId}
+ */
+function parseAssetObject(asset, parameter) {
+    const type = asset.asset_type || asset.type
+    if (type === 'native')
+        return nativeAsset
+    if (asset.contract !== undefined)
+        return parseAssetString(asset.contract, parameter)
+    const code = asset.asset_code || asset.code
+    const issuer = asset.asset_issuer || asset.issuer
+    if (code === undefined && issuer === undefined)
+        throw errors.invalidQuoteParam(parameter, 'Unsupported asset type: ' + (type || 'missing'))
+    const codeType = getClassicAssetType(code, parameter)
+    if (type && type !== codeType)
+        throw errors.invalidQuoteParam(parameter, `Asset type ${type} does not match asset code ${code}`)
+    validateIssuer(issuer, parameter)
+    return new AssetId(codeType, code, issuer)
 }
 
-function validateCode(code, parameter) {
-    if (!/^[a-zA-Z0-9]{1,12}$/.test(code))
+/**
+ * @param {string} code
+ * @param {string} parameter
+ * @return {'credit_alphanum4'|'credit_alphanum12'}
+ */
+function getClassicAssetType(code, parameter) {
+    if (typeof code !== 'string' || !/^[a-zA-Z0-9]{1,12}$/.test(code))
         throw errors.invalidQuoteParam(parameter, 'Invalid asset code: ' + (!code ? 'missing' : code))
-    return code
+    return code.length <= 4 ? 'credit_alphanum4' : 'credit_alphanum12'
 }
 
-function validateAccount(account, param) {
-    if (!account || !StrKey.isValidEd25519PublicKey(account))
-        throw errors.invalidQuoteParam(param, 'Invalid account address: ' + (!account ? 'missing' : account))
-    return account
+/**
+ * @param {string} issuer
+ * @param {string} parameter
+ */
+function validateIssuer(issuer, parameter) {
+    if (StrKey.isValidEd25519PublicKey(issuer))
+        return
+    if (StrKey.isValidMed25519PublicKey(issuer))
+        throw errors.invalidQuoteParam(parameter, 'Muxed account cannot be an asset issuer: ' + issuer)
+    throw errors.invalidQuoteParam(parameter, 'Invalid account address: ' + (!issuer ? 'missing' : issuer))
 }
+
+/**
+ * @typedef {'native'|'credit_alphanum4'|'credit_alphanum12'|'contract'} AssetType - Asset type
+ */
+
+/**
+ * @typedef {string|Asset|AssetId|{}} AssetLike - Asset identifier: "XLM", "native", "CODE-ISSUER", "CODE-ISSUER-1", SEP-11 "CODE:ISSUER",
+ * Soroban contract address, Stellar SDK Asset instance, or Horizon asset descriptor object
+ */
@@ -1,10 +1,20 @@
-import {Networks, StrKey} from '@stellar/stellar-sdk'
-import errors from './errors.js'
-import {buildEvent} from './events.js'
-import {processTxRequest} from './tx-processor.js'
+import {StrKey} from '@stellar/stellar-sdk'
+import errors, {StellarBrokerError} from './errors.js'
+import {buildEvent, createEmitter} from './events.js'
+import {getSlippageTolerance, processTxRequest} from './tx-processor.js'
 import {validateQuoteRequest} from './quote-request.js'
 import {QuoteResult} from './quote-result.js'
 import {AuthorizationWrapper} from './authorization.js'
+import {fromStroops, toStroops} from './stroops.js'
+import {Amount} from './amount.js'
+import {TradeLedger} from './trade-ledger.js'
+import {validateSorobanAllowlist} from './soroban.js'
+import {getReconnectDelay, normalizeReconnectPolicy} from './reconnect.js'
+import {resolveNetwork} from './network.js'
+import {TradeJournal} from './journal.js'
+import {createLogger} from './logger.js'
+import {QuoteHistory} from './quote-history.js'
+import {findPriceGuardViolation, getRateFloor, isBelowRateFloor, validatePriceGuards} from './price-guards.js'
 
 /**
  * Client for StellarBroker service
@@ -15,12 +25,72 @@ export class StellarBrokerClient {
      */
     constructor(params) {
         this.partnerKey = params.partnerKey
-        this.emitter = new EventTarget()
-        this.network = Networks.PUBLIC
+        this.emitter = createEmitter()
+        this.logger = createLogger(params)
+        const network = resolveNetwork(params.network)
+        if (!network.origin)
+            throw errors.invalidInitParam('network.origin')
+        this.network = network.passphrase
+        this.origin = network.origin
         this.trader = params.account
         if (params.authorization) {
             this.authorization = new AuthorizationWrapper(params.authorization)
         }
+        this.reconnectPolicy = normalizeReconnectPolicy(params.reconnect)
+        if (params.transport !== undefined && typeof params.transport !== 'function')
+            throw errors.invalidInitParam('transport')
+        this.transport = params.transport || defaultTransport
+        if (params.maxFeeRatio !== undefined) {
+            if (typeof params.maxFeeRatio !== 'number' || !(params.maxFeeRatio >= 0 && params.maxFeeRatio < 1))
+                throw errors.invalidInitParam('maxFeeRatio')
+            this.maxFeeRatio = params.maxFeeRatio
+        }
+        if (params.maxTradeFeeRatio !== undefined) {
+            if (typeof params.maxTradeFeeRatio !== 'number' || !(params.maxTradeFeeRatio >= 0 && params.maxTradeFeeRatio < 1))
+                throw errors.invalidInitParam('maxTradeFeeRatio')
+            this.maxTradeFeeRatio = params.maxTradeFeeRatio
+        }
+        for (const param of ['maxNetworkFee', 'maxTotalFees']) {
+            const value = params[param]
+            if (value === undefined)
+                continue
+            try {
+                if (toStroops(value, true) <= 0n)
+                    throw new TypeError('Positive amount expected')
+            } catch (e) {
+                throw errors.invalidInitParam(param)
+            }
+            this[param] = value
+        }
+        if (params.sorobanAllowlist !== undefined) {
+            this.sorobanAllowlist = validateSorobanAllowlist(params.sorobanAllowlist)
+        }
+        if (params.maxQuoteAge !== undefined) {
+            if (typeof params.maxQuoteAge !== 'number' || !(params.maxQuoteAge > 0))
+                throw errors.invalidInitParam('maxQuoteAge')
+            this.maxQuoteAge = params.maxQuoteAge
+        }
+        if (params.heartbeatTimeout !== undefined) {
+            if (typeof params.heartbeatTimeout !== 'number' || !(params.heartbeatTimeout > 0))
+                throw errors.invalidInitParam('heartbeatTimeout')
+            this.heartbeatTimeout = params.heartbeatTimeout
+        }
+        if (params.journal !== undefined) {
+            if (!(params.journal instanceof TradeJournal))
+                throw errors.invalidInitParam('journal')
+            this.journal = params.journal
+        }
+        if (params.quoteHistory) {
+            this.quoteHistory = params.quoteHistory instanceof QuoteHistory ?
+                params.quoteHistory :
+                new QuoteHistory(params.quoteHistory === true ? undefined : params.quoteHistory)
+        }
+        if (params.sessionStore !== undefined) {
+            const store = params.sessionStore
+            if (!store || ['getItem', 'setItem', 'removeItem'].some(method => typeof store[method] !== 'function'))
+                throw errors.invalidInitParam('sessionStore')
+            this.sessionStore = store
+        }
     }
 
     /**
@@ -44,10 +114,22 @@ export class StellarBrokerClient {
      */
     emitter
     /**
+     * @type {Logger}
+     * @private
+     */
+    logger
+    /**
+     * WebSocket factory
+     * @type {WebSocketTransport}
+     * @private
+     */
+    transport
+    /**
+     * StellarBroker API origin
      * @type {string}
      * @private
      */
-    origin = 'https://api.stellar.broker'
+    origin
     /**
      * Stellar network passphrase
      * @type {string}
@@ -89,36 +171,348 @@ export class StellarBrokerClient {
      * @readonly
      */
     trader
+    /**
+     * Max share of the swapped amount that can be charged as a fee in a single transaction
+     * @type {number}
+     * @readonly
+     */
+    maxFeeRatio = 0.01
+    /**
+     * Max share of the confirmed trade amount that can be charged as fees during the whole trade
+     * @type {number}
+     * @readonly
+     */
+    maxTradeFeeRatio = 0.01
+    /**
+     * Max network fee (XLM) charged for a single fee-bump transaction
+     * @type {string}
+     * @readonly
+     */
+    maxNetworkFee
+    /**
+     * Max total network fees (XLM) charged during the trade
+     * @type {string}
+     * @readonly
+     */
+    maxTotalFees
+    /**
+     * Contract functions allowed to be invoked by Soroban swap transactions
+     * @type {SorobanAllowlist}
+     * @readonly
+     */
+    sorobanAllowlist = {}
+    /**
+     * Max age of the confirmed quote, in milliseconds
+     * @type {number}
+     * @readonly
+     */
+    maxQuoteAge = 10_000
+    /**
+     * Max interval between server heartbeats before the connection is considered lost, in milliseconds
+     * @type {number}
+     * @readonly
+     */
+    heartbeatTimeout = 7_000
+    /**
+     * Min acceptable realised rate of the current trade
+     * @type {RateFloor}
+     * @private
+     */
+    rateFloor
+    /**
+     * Running totals of amounts committed by signed transactions
+     * @type {TradeLedger}
+     * @private
+     */
+    ledger
+    /**
+     * Trade journal recording executed trades
+     * @type {TradeJournal}
+     * @readonly
+     */
+    journal
+    /**
+     * Journal record id of the current trade
+     * @type {string}
+     * @private
+     */
+    journalRecord
+    /**
+     * Rolling window of received quotes
+     * @type {QuoteHistory}
+     * @readonly
+     */
+    quoteHistory
+    /**
+     * Storage that keeps the active trade state, allowing to resume the trade after the page reload
+     * @type {SessionStore}
+     * @private
+     */
+    sessionStore
+    /**
+     * Server session identifier of the current trade
+     * @type {string}
+     * @private
+     */
+    tradeUid
+    /**
+     * Amounts reported by the server for the trade parts executed before the connection was lost
+     * @type {{sold: bigint, bought: bigint}}
+     * @private
+     */
+    settled
+    /**
+     * Amounts reported by the server for the current trade part
+     * @type {{sold: bigint, bought: bigint}}
+     * @private
+     */
+    reported
+    /**
+     * Quote request for the remaining trade amount, sent to continue the interrupted trade
+     * @type {QuoteParams}
+     * @private
+     */
+    reattachRequest
+    /**
+     * Automatic reconnection settings (null if reconnection is disabled)
+     * @type {ReconnectPolicy|null}
+     * @private
+     */
+    reconnectPolicy
+    /**
+     * Number of consecutive failed reconnection attempts
+     * @type {number}
+     * @private
+     */
+    reconnectAttempt = 0
+    /**
+     * Session status to restore once the connection is re-established
+     * @type {ClientSessionStatus}
+     * @private
+     */
+    resumeStatus
+    /**
+     * Pending or established connection
+     * @type {Promise<StellarBrokerClient>}
+     * @private
+     */
+    connection
+    /**
+     * Whether the connection has been closed intentionally by calling close()
+     * @type {boolean}
+     * @private
+     */
+    closed = false
+    /**
+     * Attached event listeners, grouped by event type
+     * @type {Map<StellarBrokerClientEvent, Set<function>>}
+     * @private
+     */
+    listeners = new Map()
 
     /**
      * Connect to the StellarBroker server
      * @return {Promise<StellarBrokerClient>}
      */
     connect() {
-        if (this.socket?.readyState === WebSocket.OPEN)
-            return Promise.resolve(this) //already opened
-        this.socket = new WebSocket(this.origin + '/ws?partner=' + encodeURIComponent(this.partnerKey))
-        this.socket.onmessage = this.processMessage.bind(this)
-        this.socket.onclose = () => {
-            if (this.status !== 'disconnected') {
-                this.status = 'disconnected'
-                this.notifyError(errors.notConnected())
+        if (this.connection)
+            return this.connection //already opened or opening
+        clearTimeout(this.reconnectHandler)
+        this.closed = false
+        const socket = this.socket = this.transport(this.origin + '/ws?partner=' + encodeURIComponent(this.partnerKey))
+        socket.onmessage = message => {
+            if (socket === this.socket) { //ignore messages from stale connections
+                this.processMessage(message)
             }
-            console.log('Connection closed')
         }
+        socket.onclose = () => this.onSocketClosed(socket)
+        socket.onerror = e => this.log('warn', 'WebSocket error', {error: e?.message})
 
-        this.socket.onerror = e => console.error(e)
-
-        return new Promise((confirm, reject) => { //TODO: use 'once'
-            const expirationTimeout = setTimeout(() => reject(this), 2000) // 2s timeout
-            this.onSocketOpen = () => {
-                this.status = 'ready'
-                this.heartbeat()
+        this.connection = new Promise((confirm, reject) => {
+            const expirationTimeout = setTimeout(() => this.onSocketOpen(errors.notConnected()), 2000) // 2s timeout
+            this.onSocketOpen = error => {
                 this.onSocketOpen = undefined
                 clearTimeout(expirationTimeout)
+                if (error) {
+                    this.connection = undefined
+                    socket.close()
+                    reject(error)
+                    return
+                }
+                if (this.status === 'disconnected') { //keep status set by the quote request sent before connecting
+                    this.setStatus('ready')
+                }
+                this.heartbeat()
                 confirm(this)
             }
         })
+        return this.connection
+    }
+
+    /**
+     * Handle closed connection, reconnect if needed
+     * @param {WebSocket} socket
+     * @private
+     */
+    onSocketClosed(socket) {
+        if (socket !== this.socket)
+            return //stale connection
+        this.socket = undefined
+        this.connection = undefined
+        clearTimeout(this.pingHandler)
+        //transactions that are still being signed can't be delivered to the lost session
+        this.ledger?.releaseAll()
+        if (this.onSocketOpen) {
+            this.onSocketOpen(errors.notConnected())
+        }
+        this.log('info', 'Connection closed')
+        const reconnect = !this.closed && !!this.reconnectPolicy && (this.status !== 'disconnected' || this.reconnectAttempt > 0)
+        this.emitter.dispatchEvent(buildEvent('disconnected', {reconnect}))
+        if (reconnect) {
+            this.scheduleReconnect()
+            return
+        }
+        if (this.status !== 'disconnected') {
+            this.setStatus('disconnected')
+            this.notifyError(errors.notConnected())
+        }
+    }
+
+    /**
+     * Schedule next reconnection attempt using exponential backoff
+     * @private
+     */
+    scheduleReconnect() {
+        if (this.status !== 'disconnected') {
+            this.resumeStatus = this.status
+            this.setStatus('disconnected')
+        }
+        const attempt = ++this.reconnectAttempt
+        if (attempt > this.reconnectPolicy.maxAttempts) { //give up
+            this.reconnectAttempt = 0
+            this.resumeStatus = undefined
+            this.tradeQuote = undefined
+            this.notifyError(errors.notConnected())
+            return
+        }
+        const delay = getReconnectDelay(attempt, this.reconnectPolicy)
+        this.emitter.dispatchEvent(buildEvent('reconnecting', {attempt, delay}))
+        this.reconnectHandler = setTimeout(() => {
+            this.connect()
+                .catch(() => {
+                }) //next attempt will be scheduled once the socket gets closed
+        }, delay)
+    }
+
+    /**
+     * Restore quotation or trading session after reconnection
+     * @private
+     */
+    restoreSession() {
+        const status = this.resumeStatus
+        this.reconnectAttempt = 0
+        this.resumeStatus = undefined
+        if (status === 'trade' && this.tradeQuote) {
+            this.setStatus('trade')
+            this.reattachTrade()
+        } else if (status === 'quote' && this.quoteRequest) {
+            //request quotes again
+            this.setStatus('quote')
+            this.send({
+                type: 'quote',
+                ...this.quoteRequest
+            })
+        }
+        this.emitter.dispatchEvent(buildEvent('reconnected', {uid: this.uid, status: this.status}))
+    }
+
+    /**
+     * Continue the interrupted trade in the new server session.
+     * The server protocol has no means to reattach to the trade started by the lost session, so the remaining amount
+     * is quoted and traded again. The ledger keeps amounts committed before the disconnection, so the limits of the
+     * originally confirmed quote apply to the whole trade.
+     * @private
+     */
+    reattachTrade() {
+        this.settled = {
+            sold: this.settled.sold + this.reported.sold,
+            bought: this.settled.bought + this.reported.bought
+        }
+        this.reported = {sold: 0n, bought: 0n}
+        const request = this.getRemainingQuoteRequest()
+        if (!request) { //all transactions have been signed before the disconnection
+            this.finishTrade('success')
+            return
+        }
+        this.reattachRequest = request
+        this.send({
+            type: 'quote',
+            ...request
+        })
+    }
+
+    /**
+     * Build quote request for the trade amount not committed by the signed transactions
+     * @return {QuoteParams|undefined}
+     * @private
+     */
+    getRemainingQuoteRequest() {
+        const {quoteRequest, ledger} = this
+        if (quoteRequest.buyingAmount) {
+            const remaining = toStroops(quoteRequest.buyingAmount) - ledger.bought
+            return remaining > 0n ? {...quoteRequest, buyingAmount: fromStroops(remaining)} : undefined
+        }
+        const remaining = toStroops(quoteRequest.sellingAmount) - ledger.sold
+        return remaining > 0n ? {...quoteRequest, sellingAmount: fromStroops(remaining)} : undefined
+    }
+
+    /**
+     * Start trading the remaining amount of the interrupted trade in the new server session
+     * @private
+     */
+    confirmReattach() {
+        this.reattachRequest = undefined
+        this.tradeUid = this.uid
+        this.send({
+            type: 'trade',
+            account: this.trader
+        })
+        this.persistSession()
+    }
+
+    /**
+     * Get trade amounts reported by the server, including trade parts executed before the connection was lost
+     * @return {{sold: string, bought: string}}
+     * @private
+     */
+    getTradeTotals() {
+        return {
+            sold: fromStroops(this.settled.sold + this.reported.sold),
+            bought: fromStroops(this.settled.bought + this.reported.bought)
+        }
+    }
+
+    /**
+     * Notify listeners about the trade outcome and reset trading state
+     * @param {string} status - Final trade status
+     * @private
+     */
+    finishTrade(status) {
+        const result = {
+            status,
+            ...this.getTradeTotals(),
+            committed: this.ledger?.toJSON()
+        }
+        this.writeJournal('finishSession', result)
+        this.clearSession()
+        this.emitter.dispatchEvent(buildEvent('finished', result, 'result'))
+        this.setStatus('ready')
+        this.tradeQuote = undefined
+        this.tradeUid = undefined
+        this.ledger = undefined
+        this.rateFloor = undefined
+        this.journalRecord = undefined
+        this.reattachRequest = undefined
     }
 
     /**
@@ -129,106 +523,192 @@ export class StellarBrokerClient {
     processMessage(message) {
         const raw = JSON.parse(message.data)
         switch (raw.type) {
-            case 'connected':
+            case 'connected': {
                 this.uid = raw.uid
                 if (this.onSocketOpen) {
                     this.onSocketOpen()
                 }
                 if (this.status === 'disconnected') {
-                    this.status = 'ready'
+                    this.setStatus('ready')
+                }
+                this.emitter.dispatchEvent(buildEvent('connected', {uid: this.uid}))
+                if (this.reconnectAttempt > 0 || this.resumeStatus) {
+                    this.restoreSession()
                 }
                 break
+            }
             case 'quote':
+                if (this.reattachRequest) { //quote for the remaining amount of the interrupted trade
+                    if (raw.quote.status === 'success') {
+                        this.confirmReattach()
+                    }
+                    break
+                }
                 this.lastQuote = new QuoteResult(raw.quote)
+                this.quoteHistory?.record(this.lastQuote)
                 //send event to the client app
                 this.emitter.dispatchEvent(buildEvent('quote', this.lastQuote))
                 break
             case 'paused':
+                if (this.reattachRequest) { //keep requesting quotes until the interrupted trade is continued
+                    this.send({
+                        type: 'quote',
+                        ...this.reattachRequest
+                    })
+                    break
+                }
                 //quotation paused due to inactivity
                 this.emitter.dispatchEvent(buildEvent('paused', {}))
                 break
             case 'tx':
                 if (this.status !== 'trade') {
-                    console.log('Received tx in a non-trading state', this.status, raw)
+                    this.log('warn', 'Received tx in a non-trading state', {status: this.status, txHash: raw.hash})
                     return //skip unless trading is in progress
                 }
+                const {socket} = this
                 processTxRequest(this, raw)
                     .then(xdr => {
+                        if (socket !== this.socket) {
+                            this.log('warn', 'Dropped transaction signed for the lost session', {txHash: raw.hash})
+                            return
+                        }
+                        this.writeJournal('recordTransaction', xdr)
+                        this.persistSession()
                         this.send({
                             type: 'tx',
                             hash: raw.hash,
                             xdr
                         })
                     })
-                    .catch(e => this.notifyError(e))
+                    .catch(e => {
+                        if (socket !== this.socket) {
+                            this.log('warn', 'Dropped transaction rejected for the lost session', {txHash: raw.hash, error: e?.message})
+                            return
+                        }
+                        const error = toBrokerError(e).withContext({txHash: raw.hash, phase: 'trade'})
+                        this.emitter.dispatchEvent(buildEvent('txRejected', {hash: raw.hash, error}, 'tx'))
+                        this.notifyError(error)
+                    })
                 break
-            case 'stop':
-                this.emitter.dispatchEvent(buildEvent('finished', {
-                    status: raw.status,
-                    sold: raw.sold,
-                    bought: raw.bought
-                }, 'result'))
-                this.status = 'ready'
-                this.tradeQuote = undefined
+            case 'stop': {
+                if (this.status !== 'trade')
+                    break
+                const reported = this.readReportedAmounts(raw)
+                if (!reported)
+                    break
+                this.reported = reported
+                this.finishTrade(raw.status)
                 break
-            case 'progress':
-                this.emitter.dispatchEvent(buildEvent('progress', {
-                    sold: raw.sold,
-                    bought: raw.bought
-                }, 'status'))
+            }
+            case 'progress': {
+                if (this.status !== 'trade')
+                    break
+                const reported = this.readReportedAmounts(raw)
+                if (!reported)
+                    break
+                this.reported = reported
+                const progress = {
+                    ...this.getTradeTotals(),
+                    committed: this.ledger?.toJSON()
+                }
+                this.writeJournal('recordProgress', progress)
+                this.persistSession()
+                this.emitter.dispatchEvent(buildEvent('progress', progress, 'status'))
+                if (isBelowRateFloor(this.rateFloor, progress.sold, progress.bought)) {
+                    this.stop()
+                    this.notifyError(errors.priceGuardTriggered('Realised trade rate dropped below the floor').withContext({phase: 'trade'}))
+                }
                 break
+            }
             case 'ping':
                 if (raw.uid === this.uid) {
                     this.heartbeat()
                     this.send({type: 'pong', uid: this.uid})
                 }
                 break
-            case 'error':
+            case 'error': {
+                const phase = this.status === 'quote' || this.status === 'trade' ? this.status : undefined
                 this.stop()
-                this.notifyError(raw.error)
+                this.notifyError(errors.serverError(raw.error, raw.code).withContext({phase}))
                 break
+            }
             default:
-                console.log('Unknown message type: ' + raw.type)
+                this.log('warn', 'Unknown message type: ' + raw.type)
                 break
         }
     }
 
+    /**
+     * Parse trade amounts reported by the server, the trade is stopped if the amounts are malformed
+     * (price guards can't be enforced without them)
+     * @param {{sold: string, bought: string}} raw - Progress or stop message
+     * @return {{sold: bigint, bought: bigint}|undefined}
+     * @private
+     */
+    readReportedAmounts(raw) {
+        try {
+            const reported = {sold: Amount.parse(raw.sold).stroops, bought: Amount.parse(raw.bought).stroops}
+            if (reported.sold < 0n || reported.bought < 0n)
+                throw new RangeError('Negative amount')
+            return reported
+        } catch (e) {
+            this.stop()
+            this.notifyError(errors.invalidServerMessage(`Malformed ${raw.type} amounts: ${raw.sold}/${raw.bought}`)
+                .withContext({phase: 'trade'}))
+            return undefined
+        }
+    }
+
     /**
      * Request swap quote
      * @param {QuoteParams} params - Quote parameters
      */
     quote(params) {
-        if (this.status === 'trade')
+        if (this.status === 'trade' || this.resumeStatus === 'trade')
             throw errors.tradeInProgress()
-        this.quoteRequest = validateQuoteRequest(params)
+        this.quoteRequest = validateQuoteRequest(params, this.network)
+        this.resumeStatus = undefined //new quote request supersedes the interrupted one
 
-        this.status = 'quote'
+        this.setStatus('quote')
         this.connect()
             .then(() => {
-                this.status = 'quote'
+                this.setStatus('quote')
                 this.send({
                     type: 'quote',
                     ...this.quoteRequest
                 })
             })
+            .catch(e => {
+                if (this.reconnectPolicy && !this.closed)
+                    return //reconnection will be scheduled once the socket gets closed
+                if (this.status === 'quote') {
+                    this.setStatus('disconnected')
+                    this.notifyError(toBrokerError(e))
+                }
+            })
     }
 
     /**
      * Confirm current quote and start trading
      * @param {string} [account] - Trader account address (overrides value provided in the constructor)
      * @param {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+     * @param {PriceGuards} [guards] - Price protection guards
      */
-    confirmQuote(account, authorization) {
+    confirmQuote(account, authorization, guards) {
         if (this.status === 'disconnected')
             throw errors.notConnected()
         if (this.status === 'trade')
             throw errors.tradeInProgress()
         if (this.status !== 'quote' || !this.lastQuote)
             throw errors.quoteNotSet()
-        if ((new Date() - this.lastQuote.ts) > 10_000) //do not allow stale quotes quoted more than 10s ago
+        guards = validatePriceGuards(guards)
+        if ((new Date() - this.lastQuote.ts) > (guards.maxQuoteAge || this.maxQuoteAge)) //do not allow stale quotes
             throw errors.quoteExpired()
         if (this.lastQuote.status !== 'success')
             throw errors.quoteError(this.lastQuote.error || 'quote not available')
+        const violation = findPriceGuardViolation(this.lastQuote, guards)
+        if (violation)
+            throw errors.priceGuardTriggered(violation)
         if (account) {
             this.trader = account
         }
@@ -241,22 +721,255 @@ export class StellarBrokerClient {
         if (!this.authorization)
             throw errors.invalidQuoteParam('authorization', 'Client authorization not provided')
         this.tradeQuote = this.lastQuote
+        this.tradeUid = this.uid
+        this.settled = {sold: 0n, bought: 0n}
+        this.reported = {sold: 0n, bought: 0n}
+        this.rateFloor = getRateFloor(this.tradeQuote, guards)
+        this.ledger = this.createLedger()
+        if (this.journal) {
+            this.journalRecord = this.journal.startSession({
+                uid: this.uid,
+                account: trader,
+                network: this.network,
+                quoteRequest: this.quoteRequest,
+                quote: this.tradeQuote
+            })
+        }
         this.send({
             type: 'trade',
             account: trader
         })
-        this.status = 'trade'
+        this.setStatus('trade')
+        this.persistSession()
+    }
+
+    /**
+     * Restore the trade interrupted by the page reload from the session store.
+     * Reconnects to the server and continues trading the amount not committed by the transactions signed before the reload.
+     * The trade outcome is delivered via the "finished" event.
+     * @param {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+     * @param {string} [account] - Trader account address (overrides value provided in the constructor)
+     * @return {Promise<boolean>} - Whether an interrupted trade of the trader account has been found
+     */
+    async resumeSession(authorization, account) {
+        if (this.status === 'trade' || this.resumeStatus === 'trade')
+            throw errors.tradeInProgress()
+        if (account) {
+            this.trader = account
+        }
+        const {trader} = this
+        if (!trader || !StrKey.isValidEd25519PublicKey(trader)) //sessions are stored per trader account
+            throw errors.invalidQuoteParam('account', 'Invalid trader account address: ' + (!trader ? 'missing' : trader))
+        const state = this.loadSession()
+        if (!state)
+            return false
+        if (authorization) {
+            this.authorization = new AuthorizationWrapper(authorization)
+        }
+        if (!this.authorization)
+            throw errors.invalidQuoteParam('authorization', 'Client authorization not provided')
+        this.quoteRequest = state.quoteRequest
+        this.tradeQuote = new QuoteResult(state.quote)
+        this.tradeUid = state.uid
+        this.ledger = this.createLedger().restore(state.ledger)
+        this.settled = {sold: toStroops(state.settled?.sold || '0'), bought: toStroops(state.settled?.bought || '0')}
+        this.reported = {sold: 0n, bought: 0n}
+        this.rateFloor = state.rateFloor && {selling: BigInt(state.rateFloor.selling), buying: BigInt(state.rateFloor.buying)}
+        this.journalRecord = state.journalRecord
+        this.resumeStatus = 'trade'
+        try {
+            await this.connect()
+        } catch (e) {
+            this.resumeStatus = undefined
+            this.tradeQuote = undefined
+            this.ledger = undefined
+            throw e
+        }
+        if (this.resumeStatus === 'trade') { //connection has been established before the call
+            this.restoreSession(this.uid)
+        }
+        return true
+    }
+
+    /**
+     * Request quote, confirm the first acceptable quote and wait until the trade is finished
+     * @param {QuoteParams} params - Quote parameters
+     * @param {SwapOptions} [options] - Trade options
+     * @return {Promise<TradeResult>}
+     */
+    swap(params, options = {}) {
+        const {account, authorization, signal, minBuyingAmount, maxPriceImpact, maxQuoteAge, timeout} = options
+        if (signal?.aborted)
+            return Promise.reject(errors.swapAborted())
+        if (this.status === 'trade' || this.resumeStatus === 'trade') //don't interfere with the trade in progress
+            return Promise.reject(errors.tradeInProgress())
+        let guards
+        try {
+            guards = validatePriceGuards({minBuyingAmount, maxPriceImpact, maxQuoteAge})
+        } catch (e) {
+            return Promise.reject(e)
+        }
+        return new Promise((resolve, reject) => {
+            let timeoutHandler
+            let started = false
+            const cleanup = () => {
+                clearTimeout(timeoutHandler)
+                signal?.removeEventListener('abort', onAbort)
+                this.off('quote', onQuote)
+                this.off('paused', onPaused)
+                this.off('finished', onFinished)
+                this.off('error', onError)
+            }
+            const fail = e => {
+                cleanup()
+                if (started) { //only stop the session started by this call
+                    this.stop()
+                }
+                reject(e)
+            }
+            const onQuote = ({quote}) => {
+                if (this.status !== 'quote' || quote.status !== 'success')
+                    return //wait for the next quote
+                if (findPriceGuardViolation(quote, guards))
+                    return //quoted price is too low
+                try {
+                    this.confirmQuote(account, authorization, guards)
+                } catch (e) {
+                    fail(e)
+                }
+            }
+            const onPaused = () => {
+                if (this.status === 'quote') {
+                    fail(errors.quoteError('Quotation paused before receiving an acceptable quote'))
+                }
+            }
+            const onFinished = ({result}) => {
+                cleanup()
+                resolve(result)
+            }
+            const onError = ({error}) => fail(toBrokerError(error))
+            const onAbort = () => fail(errors.swapAborted())
+
+            this.on('quote', onQuote)
+            this.on('paused', onPaused)
+            this.on('finished', onFinished)
+            this.on('error', onError)
+            signal?.addEventListener('abort', onAbort)
+            if (timeout > 0) {
+                timeoutHandler = setTimeout(() => fail(errors.swapTimeout()), timeout)
+            }
+            try {
+                this.quote(params)
+                started = true
+            } catch (e) {
+                fail(e)
+            }
+        })
+    }
+
+    /**
+     * Request quotes and iterate over received quote updates.
+     * The iteration ends once the quotation is paused, the signal is aborted, or the quote gets confirmed.
+     * @param {QuoteParams} params - Quote parameters
+     * @param {QuoteStreamOptions} [options] - Quote stream options
+     * @return {AsyncGenerator<QuoteResult>}
+     */
+    async* quotes(params, options = {}) {
+        const {signal, resumeOnPause = false} = options
+        if (signal?.aborted)
+            return
+        const queue = []
+        let finished = false
+        let failure
+        let wakeUp
+        const notify = () => {
+            if (wakeUp) {
+                wakeUp()
+                wakeUp = undefined
+            }
+        }
+        const onQuote = ({quote}) => {
+            queue.push(quote)
+            notify()
+        }
+        const onPaused = () => {
+            if (resumeOnPause) {
+                try {
+                    this.quote(params) //resume quotation
+                } catch (e) {
+                    failure = e
+                }
+            } else {
+                finished = true
+            }
+            notify()
+        }
+        const onError = ({error}) => {
+            failure = toBrokerError(error)
+            notify()
+        }
+        const onAbort = () => {
+            finished = true
+            notify()
+        }
+
+        this.on('quote', onQuote)
+        this.on('paused', onPaused)
+        this.on('error', onError)
+        signal?.addEventListener('abort', onAbort)
+        try {
+            this.quote(params)
+            while (true) {
+                if (queue.length) {
+                    yield queue.shift()
+                    if (this.status === 'trade')
+                        return //quote confirmed
+                    continue
+                }
+                if (failure)
+                    throw failure
+                if (finished)
+                    return
+                await new Promise(resolve => wakeUp = resolve)
+            }
+        } finally {
+            signal?.removeEventListener('abort', onAbort)
+            this.off('quote', onQuote)
+            this.off('paused', onPaused)
+            this.off('error', onError)
+            if (this.status === 'quote') {
+                this.stop()
+            }
+        }
+    }
+
+    /**
+     * Get market metrics derived from the quotes received for the current quote request pair
+     * @return {QuoteMetrics|undefined}
+     */
+    getQuoteMetrics() {
+        if (!this.quoteHistory || !this.quoteRequest)
+            return undefined
+        return this.quoteHistory.getMetrics(this.quoteRequest.sellingAsset, this.quoteRequest.buyingAsset)
     }
 
     /**
      * Stop quotation/trading
      */
     stop() {
+        if (this.resumeStatus === 'trade' || this.status === 'trade') {
+            this.clearSession()
+        }
+        if (this.resumeStatus) { //connection lost - do not restore the session
+            this.resumeStatus = undefined
+            this.tradeQuote = undefined
+        }
+        this.reattachRequest = undefined
         if (this.status !== 'trade' && this.status !== 'quote')
             return
         this.send({type: 'stop'})
         this.tradeQuote = undefined
-        this.status = 'ready'
+        this.setStatus('ready')
     }
 
     /**
@@ -267,35 +980,157 @@ export class StellarBrokerClient {
         this.socket.send(JSON.stringify(data))
     }
 
+    /**
+     * Write trade event to the journal, journal failures should not interrupt the trade
+     * @param {'recordTransaction'|'recordProgress'|'finishSession'} method
+     * @param {*} data
+     * @private
+     */
+    writeJournal(method, data) {
+        if (!this.journal || !this.journalRecord)
+            return
+        try {
+            this.journal[method](this.journalRecord, data)
+        } catch (e) {
+            this.log('error', 'Failed to write trade journal', {error: e.message})
+        }
+    }
+
+    /**
+     * @return {TradeLedger}
+     * @private
+     */
+    createLedger() {
+        return new TradeLedger(this.tradeQuote, {
+            maxFeeRatio: this.maxTradeFeeRatio,
+            slippageTolerance: getSlippageTolerance(this),
+            maxNetworkFee: this.maxNetworkFee && toStroops(this.maxNetworkFee),
+            maxTotalNetworkFees: this.maxTotalFees && toStroops(this.maxTotalFees)
+        })
+    }
+
+    /**
+     * Save the active trade state to the session store
+     * @private
+     */
+    persistSession() {
+        if (!this.sessionStore || !this.tradeQuote)
+            return
+        const {rateFloor} = this
+        const state = {
+            uid: this.tradeUid,
+            account: this.trader,
+            network: this.network,
+            quoteRequest: this.quoteRequest,
+            quote: this.tradeQuote,
+            ledger: this.ledger.serialize(),
+            settled: this.getTradeTotals(),
+            rateFloor: rateFloor && {selling: rateFloor.selling.toString(), buying: rateFloor.buying.toString()},
+            journalRecord: this.journalRecord
+        }
+        try {
+            this.sessionStore.setItem(this.getSessionStoreKey(), JSON.stringify(state))
+        } catch (e) {
+            this.log('error', 'Failed to save session state', {error: e.message})
+        }
+    }
+
+    /**
+     * @return {PersistedSession|undefined}
+     * @private
+     */
+    loadSession() {
+        if (!this.sessionStore)
+            return undefined
+        try {
+            const raw = this.sessionStore.getItem(this.getSessionStoreKey())
+            return raw ? JSON.parse(raw) : undefined
+        } catch (e) {
+            this.log('warn', 'Failed to load session state', {error: e.message})
+            return undefined
+        }
+    }
+
+    /**
+     * @private
+     */
+    clearSession() {
+        if (!this.sessionStore)
+            return
+        try {
+            this.sessionStore.removeItem(this.getSessionStoreKey())
+        } catch (e) {
+            this.log('error', 'Failed to clear session state', {error: e.message})
+        }
+    }
+
+    /**
+     * Session store key of the trader account trade (clients sharing the store may trade on behalf of different accounts)
+     * @return {string}
+     * @private
+     */
+    getSessionStoreKey() {
+        return `stellar_broker_session:${this.network}:${this.trader}`
+    }
+
     /**
      * @private
      */
     heartbeat() {
         clearTimeout(this.pingHandler)
         this.pingHandler = setTimeout(() => {
-            console.warn('Lost connection with the server')
-            this.socket.close()
-        }, 7_000) // 7 seconds heartbeat timeout
+            this.log('warn', 'Lost connection with the server')
+            const {socket} = this
+            //do not wait for the close handshake on a dead connection
+            this.onSocketClosed(socket)
+            socket.close()
+        }, this.heartbeatTimeout)
+    }
+
+    /**
+     * Update session status and notify listeners
+     * @param {ClientSessionStatus} status
+     * @private
+     */
+    setStatus(status) {
+        const oldStatus = this.status
+        if (oldStatus === status)
+            return
+        this.status = status
+        this.emitter.dispatchEvent(buildEvent('statusChange', {oldStatus, newStatus: status}))
     }
 
     /**
      * Add event listener
      * @param {StellarBrokerClientEvent} type
      * @param {function} callback
+     * @return {function} - Unsubscribe function
      */
     on(type, callback) {
         validateEventType(type)
         this.emitter.addEventListener(type, callback)
+        this.trackListener(type, callback)
+        return () => this.off(type, callback)
     }
 
     /**
      * Add event listener that will be executed once
      * @param {StellarBrokerClientEvent} type
      * @param {function} callback
+     * @return {function} - Unsubscribe function
      */
     once(type, callback) {
         validateEventType(type)
-        this.emitter.addEventListener(type, callback, {once: true})
+        const client = this
+        //wrapped to untrack the listener once it has been executed
+        const wrapper = function (e) {
+            client.off(type, callback)
+            return callback.call(this, e)
+        }
+        wrapper.onceCallback = callback
+        this.emitter.addEventListener(type, wrapper)
+        this.trackListener(type, wrapper)
+        return () => this.off(type, callback)
     }
 
     /**
@@ -305,7 +1140,29 @@ export class StellarBrokerClient {
      */
     off(type, callback) {
         validateEventType(type)
+        const callbacks = this.listeners.get(type)
+        for (const listener of callbacks || []) {
+            if (listener.onceCallback === callback) { //listener added with once()
+                this.emitter.removeEventListener(type, listener)
+                callbacks.delete(listener)
+            }
+        }
         this.emitter.removeEventListener(type, callback)
+        callbacks?.delete(callback)
+    }
+
+    /**
+     * @param {StellarBrokerClientEvent} type
+     * @param {function} callback
+     * @private
+     */
+    trackListener(type, callback) {
+        let callbacks = this.listeners.get(type)
+        if (!callbacks) {
+            callbacks = new Set()
+            this.listeners.set(type, callbacks)
+        }
+        callbacks.add(callback)
     }
 
     /**
@@ -313,39 +1170,157 @@ export class StellarBrokerClient {
      */
     close() {
         try {
-            //TODO: remove all attached event listeners
-            this.status = 'disconnected'
-            this.socket.close()
+            this.closed = true
+            this.setStatus('disconnected')
+            this.resumeStatus = undefined
+            this.reconnectAttempt = 0
+            clearTimeout(this.reconnectHandler)
+            clearTimeout(this.pingHandler)
+            //remove all attached event listeners
+            for (const [type, callbacks] of this.listeners) {
+                for (const callback of callbacks) {
+                    this.emitter.removeEventListener(type, callback)
+                }
+            }
+            this.listeners.clear()
+            this.socket?.close()
         } catch (e) {
         }
     }
 
     /**
-     * @param {Error} e
+     * Write log entry with session details attached
+     * @param {LogLevel} level
+     * @param {string} message
+     * @param {{}} [fields]
+     * @private
+     */
+    log(level, message, fields) {
+        this.logger[level](message, {uid: this.uid, ...fields})
+    }
+
+    /**
+     * @param {Error|string} e
      * @private
      */
     notifyError(e) {
-        console.error(e)
+        const error = toBrokerError(e)
+        this.log('error', error.message, {code: error.code, ...error.context})
         try {
-            this.emitter.dispatchEvent(buildEvent('error', e instanceof Error ? e.message : e))
+            this.emitter.dispatchEvent(buildEvent('error', error))
         } catch (e) {
-            console.error(e)
+            this.log('error', 'Error event listener failed', {error: e.message})
         }
     }
 }
 
-const stellarBrokerEvents = new Set(['quote', 'paused', 'progress', 'finished', 'error'])
+/**
+ * @type {WebSocketTransport}
+ */
+function defaultTransport(url) {
+    if (typeof WebSocket !== 'function') //WebSocket is not available in this runtime
+        throw errors.invalidInitParam('transport')
+    return new WebSocket(url)
+}
+
+const stellarBrokerEvents = new Set(['quote', 'paused', 'progress', 'finished', 'error', 'reconnecting', 'reconnected',
+    'statusChange', 'connected', 'disconnected', 'txSigned', 'txRejected'])
 
 function validateEventType(type) {
     if (!stellarBrokerEvents.has(type))
         throw errors.unsupportedEventType(type)
 }
 
+/**
+ * @param {StellarBrokerError|Error|string} error
+ * @return {StellarBrokerError}
+ */
+function toBrokerError(error) {
+    if (error instanceof StellarBrokerError)
+        return error
+    if (error instanceof Error)
+        return errors.unexpectedError(error)
+    return errors.serverError(error)
+}
+
 /**
  * @typedef {object} ClientInitializationParams
  * @property {string} [partnerKey] - Partner key
  * @property {string} [account] - Trader account address
  * @property {ClientAuthorizationParams} [authorization] - Authorization method, either account secret key or an authorization callback
+ * @property {BrokerNetwork} [network] - "public" preset or custom network configuration with StellarBroker API origin ("public" by default)
+ * @property {ReconnectPolicy|boolean} [reconnect] - Automatic reconnection settings, or false to disable reconnection
+ * @property {WebSocketTransport} [transport] - Custom WebSocket factory (global WebSocket is used by default)
+ * @property {number} [maxFeeRatio] - Max share of the swapped amount that can be charged as a fee in a single transaction (0.01 by default)
+ * @property {number} [maxTradeFeeRatio] - Max share of the confirmed trade amount that can be charged as fees during the whole trade (0.01 by default)
+ * @property {string} [maxNetworkFee] - Max network fee (XLM) charged for a single fee-bump transaction
+ * @property {string} [maxTotalFees] - Max total network fees (XLM) charged during the trade
+ * @property {SorobanAllowlist} [sorobanAllowlist] - Contract functions allowed to be invoked by Soroban swap transactions, grouped by contract address
+ * @property {number} [maxQuoteAge] - Max age of the confirmed quote, in milliseconds (10000 by default)
+ * @property {number} [heartbeatTimeout] - Max interval between server heartbeats before the connection is considered lost, in milliseconds (7000 by default)
+ * @property {TradeJournal} [journal] - Trade journal that records executed trades
+ * @property {LoggerSink} [logger] - Log entries receiver (console by default)
+ * @property {LogLevel} [logLevel] - Min severity of logged entries ("warn" by default)
+ * @property {QuoteHistory|QuoteHistoryOptions|boolean} [quoteHistory] - Keep a rolling window of received quotes to calculate market metrics
+ * @property {SessionStore} [sessionStore] - Storage for the active trade state (e.g. window.localStorage), enables resumeSession()
+ */
+
+/**
+ * @typedef {object} SessionStore - Key-value storage compatible with Web Storage API
+ * @property {function(string):(string|null)} getItem
+ * @property {function(string, string)} setItem
+ * @property {function(string)} removeItem
+ */
+
+/**
+ * @typedef {object} PersistedSession - Active trade state saved to the session store
+ * @property {string} uid - Server session identifier
+ * @property {string} account - Trader account address
+ * @property {string} network - Network passphrase
+ * @property {QuoteParams} quoteRequest - Quote request
+ * @property {{}} quote - Confirmed quote
+ * @property {TradeLedgerState} ledger - Committed totals
+ * @property {{sold: string, bought: string}} [settled] - Trade amounts reported by the server
+ * @property {{selling: string, buying: string}} [rateFloor] - Min acceptable realised rate
+ * @property {string} [journalRecord] - Journal record id
+ * @private
+ */
+
+/**
+ * @typedef {function(string):WebSocket} WebSocketTransport - Factory that opens a WebSocket-compatible connection for a given URL
+ */
+
+/**
+ * @typedef {object} SwapOptions - One-shot swap options
+ * @property {string} [account] - Trader account address (overrides value provided in the constructor)
+ * @property {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+ * @property {AbortSignal} [signal] - Signal that stops the quotation/trading once aborted
+ * @property {string} [minBuyingAmount] - Minimum acceptable estimated amount of the buying asset
+ * @property {number} [maxPriceImpact] - Max relative deviation of the quoted price below the equivalent direct trade price
+ * @property {number} [maxQuoteAge] - Max age of the confirmed quote, in milliseconds
+ * @property {number} [timeout] - Max time to wait for the swap to finish, in milliseconds
+ */
+
+/**
+ * @typedef {object} QuoteStreamOptions - Quote stream options
+ * @property {AbortSignal} [signal] - Signal that ends the iteration once aborted
+ * @property {boolean} [resumeOnPause] - Automatically request quotes again when the quotation gets paused due to inactivity
+ */
+
+/**
+ * @typedef {object} TradeResult - Trade result reported by the server
+ * @property {string} status - Trade result status
+ * @property {string} sold - Amount of the selling asset sold
+ * @property {string} bought - Amount of the buying asset bought
+ * @property {TradeCommitment} [committed] - Totals committed by transactions signed during the trade
+ * @property {AssetMetadataPair} [assetMetadata] - Metadata of the traded assets (available once resolved by AssetMetadataResolver)
+ */
+
+/**
+ * @typedef {object} TradeProgress - Trade progress reported by the server
+ * @property {string} sold - Amount of the selling asset sold so far
+ * @property {string} bought - Amount of the buying asset bought so far
+ * @property {TradeCommitment} [committed] - Totals committed by transactions signed so far
  */
 
 /**
@@ -353,5 +1328,23 @@ function validateEventType(type) {
  */
 
 /**
- * @typedef {'quote'|'paused'|'progress'|'finished'|'error'} StellarBrokerClientEvent - Event type generated by the client
+ * @typedef {'quote'|'paused'|'progress'|'finished'|'error'|'reconnecting'|'reconnected'|'statusChange'|'connected'|'disconnected'|'txSigned'|'txRejected'} StellarBrokerClientEvent - Event type generated by the client
+ */
+
+/**
+ * @typedef {object} StatusChange - Session status transition ("statusChange" event payload)
+ * @property {ClientSessionStatus} oldStatus - Previous status
+ * @property {ClientSessionStatus} newStatus - Current status
+ */
+
+/**
+ * @typedef {object} TxSignature - Transaction signed by the client ("txSigned" event payload, available as `e.tx`)
+ * @property {string} hash - Signed transaction hash
+ * @property {'swap'|'fee-bump'|'soroban-auth'} kind - Signature kind
+ */
+
+/**
+ * @typedef {object} TxRejection - Transaction refused by the client ("txRejected" event payload, available as `e.tx`)
+ * @property {string} hash - Transaction hash reported by the server
+ * @property {StellarBrokerError} error - Rejection reason
  */
@@ -1,7 +1,17 @@
 export class StellarBrokerError extends Error {
-    constructor(code, message) {
+    /**
+     * @param {number} code - Numeric error code
+     * @param {string} message - Error message
+     * @param {StellarBrokerErrorOptions} [options] - Additional error details
+     */
+    constructor(code, message, options = {}) {
         super(message)
         this.code = code
+        this.retriable = !!options.retriable
+        if (options.cause !== undefined) {
+            this.cause = options.cause
+        }
+        this.context = {...options.context}
     }
 
     /**
@@ -10,6 +20,62 @@ export class StellarBrokerError extends Error {
      * @readonly
      */
     code = 0
+    /**
+     * Whether the operation may succeed if retried
+     * @type {boolean}
+     * @readonly
+     */
+    retriable = false
+    /**
+     * Original error that caused this error
+     * @type {*}
+     * @readonly
+     */
+    cause
+    /**
+     * Details of the operation that failed
+     * @type {StellarBrokerErrorContext}
+     * @readonly
+     */
+    context
+
+    /**
+     * Add missing context details (already set values are preserved)
+     * @param {StellarBrokerErrorContext} context
+     * @return {StellarBrokerError}
+     */
+    withContext(context) {
+        for (const [key, value] of Object.entries(context)) {
+            if (value !== undefined && this.context[key] === undefined) {
+                this.context[key] = value
+            }
+        }
+        return this
+    }
+}
+
+/**
+ * Known error codes reported by the server
+ * @type {Object<string, {code: number, message: string, retriable: boolean}>}
+ */
+const serverErrorCatalogue = {
+    internal_error: {code: 102, message: 'Internal server error', retriable: true},
+    invalid_request: {code: 103, message: 'Invalid request', retriable: false},
+    quote_not_available: {code: 104, message: 'Quote not available', retriable: true},
+    insufficient_liquidity: {code: 105, message: 'Insufficient liquidity', retriable: true},
+    insufficient_balance: {code: 106, message: 'Insufficient trader account balance', retriable: false},
+    session_not_found: {code: 107, message: 'Session not found', retriable: false},
+    rate_limited: {code: 108, message: 'Too many requests', retriable: true},
+    tx_failed: {code: 109, message: 'Transaction execution failed', retriable: true}
+}
+
+/**
+ * Server error codes implied by HTTP response status
+ * @type {Object<number, string>}
+ */
+const httpStatusErrors = {
+    400: 'invalid_request',
+    429: 'rate_limited'
 }
 
 const errors = {
@@ -20,37 +86,151 @@ const errors = {
         return new StellarBrokerError(2, 'Invalid authorization secret key or callback provided')
     },
     notConnected() {
-        return new StellarBrokerError(3, 'Client not connected to the server')
+        return new StellarBrokerError(3, 'Client not connected to the server', {retriable: true, context: {phase: 'connection'}})
     },
     quoteNotSet() {
-        return new StellarBrokerError(11, 'Price quote not available')
+        return new StellarBrokerError(11, 'Price quote not available', {retriable: true})
     },
     quoteExpired() {
-        return new StellarBrokerError(12, 'Price quote expired')
+        return new StellarBrokerError(12, 'Price quote expired', {retriable: true})
     },
-    quoteError(message) {
-        return new StellarBrokerError(13, 'Price quotation error: ' + message)
+    quoteError(message, cause) {
+        return new StellarBrokerError(13, 'Price quotation error: ' + message, {retriable: true, cause})
     },
     invalidQuoteParam(invalidParamName = 'asset', details) {
         return new StellarBrokerError(14, `Invalid quote request parameter: "${invalidParamName}". ${details}`)
     },
+    requestTimeout(timeout) {
+        return new StellarBrokerError(15, `Request timed out after ${timeout}ms`, {retriable: true})
+    },
+    requestAborted() {
+        return new StellarBrokerError(16, 'Request aborted by the client')
+    },
+    quoteVerificationFailed(cause) {
+        return new StellarBrokerError(17, 'Failed to verify quote: ' + (cause?.message || cause), {retriable: true, cause, context: {phase: 'verification'}})
+    },
+    assetMetadataFailed(message, cause) {
+        return new StellarBrokerError(18, message, {retriable: true, cause, context: {phase: 'metadata'}})
+    },
+    quoteBoardLimitExceeded(maxPairs) {
+        return new StellarBrokerError(19, `Quote board pairs limit exceeded (max ${maxPairs} pairs)`)
+    },
     tradeInProgress() {
         return new StellarBrokerError(20, 'Cannot change quote while trade is in progress')
     },
-    invalidSwapTx() {
-        return new StellarBrokerError(21, 'Invalid swap transaction received from the server')
+    invalidSwapTx(details) {
+        return new StellarBrokerError(21, 'Invalid swap transaction received from the server' + (details ? '. ' + details : ''))
     },
-    failedToSignTx() {
-        return new StellarBrokerError(22, 'Failed to sign received transaction')
+    failedToSignTx(cause) {
+        return new StellarBrokerError(22, 'Failed to sign received transaction', {cause, context: {phase: 'signing'}})
+    },
+    swapAborted() {
+        return new StellarBrokerError(23, 'Swap aborted by the client')
+    },
+    swapTimeout() {
+        return new StellarBrokerError(24, 'Swap timed out', {retriable: true})
+    },
+    spendLimitExceeded() {
+        return new StellarBrokerError(25, 'Total swap amount exceeds confirmed selling amount')
+    },
+    feeLimitExceeded() {
+        return new StellarBrokerError(26, 'Total fees exceed the allowed limit')
+    },
+    networkFeeLimitExceeded() {
+        return new StellarBrokerError(27, 'Transaction network fee exceeds the allowed limit', {retriable: true})
+    },
+    totalNetworkFeesLimitExceeded() {
+        return new StellarBrokerError(28, 'Total network fees exceed the allowed limit')
+    },
+    buyLimitExceeded() {
+        return new StellarBrokerError(29, 'Total swap amount exceeds confirmed buying amount')
+    },
+    priceGuardTriggered(details) {
+        return new StellarBrokerError(30, 'Price protection guard triggered. ' + details, {retriable: true})
     },
     unsupportedEventType(type) {
         return new StellarBrokerError(31, 'Unknown event type: ' + type)
     },
+    invalidServerMessage(details) {
+        return new StellarBrokerError(32, 'Invalid message received from the server. ' + details)
+    },
+    invalidMediatorParam(message, cause) {
+        return new StellarBrokerError(40, message, {cause, context: {phase: 'mediator'}})
+    },
+    accountNotFound(message) {
+        return new StellarBrokerError(41, message, {context: {phase: 'mediator'}})
+    },
+    insufficientBalance(message) {
+        return new StellarBrokerError(42, message, {context: {phase: 'mediator'}})
+    },
+    notMediatorAccount(address, source) {
+        return new StellarBrokerError(43, `${address} is not a mediator account for ${source}`, {context: {phase: 'mediator'}})
+    },
+    mediatorTxFailed(cause) {
+        const resultCodes = cause?.response?.data?.extras?.result_codes
+        return new StellarBrokerError(44, 'Mediator transaction failed' + (resultCodes ? ': ' + JSON.stringify(resultCodes) : ''),
+            {retriable: true, cause, context: {phase: 'mediator'}})
+    },
+    mediatorAccountLoadFailed(address, cause) {
+        return new StellarBrokerError(45, 'Failed to load account ' + address, {retriable: true, cause, context: {phase: 'mediator'}})
+    },
 
+    unexpectedError(cause) {
+        return new StellarBrokerError(100, 'Unexpected error: ' + (cause?.message || cause), {cause})
+    },
+
+    /**
+     * Map error reported by the server to a known error type
+     * @param {string|{code: string, message: string}} error - Server error message or error descriptor
+     * @param {string} [serverCode] - Server error code
+     * @return {StellarBrokerError}
+     */
+    serverError(error, serverCode) {
+        let message = error
+        if (error && typeof error === 'object') {
+            message = error.message
+            serverCode = error.code
+        }
+        const context = serverCode ? {serverCode} : undefined
+        const known = serverErrorCatalogue[serverCode]
+        if (known)
+            return new StellarBrokerError(known.code, message || known.message, {retriable: known.retriable, context})
+        return new StellarBrokerError(101, message || 'Unknown server error', {context})
+    },
 
-    serverError(message) {
-        return new StellarBrokerError(101, message)
+    /**
+     * Map failed HTTP response to a known error type
+     * @param {number} status - HTTP response status
+     * @param {string} [message] - Server error message
+     * @param {string} [serverCode] - Server error code
+     * @return {StellarBrokerError}
+     */
+    httpError(status, message, serverCode) {
+        const context = {httpStatus: status}
+        if (serverCode) {
+            context.serverCode = serverCode
+        }
+        const known = serverErrorCatalogue[serverCode] ||
+            serverErrorCatalogue[httpStatusErrors[status] || (status >= 500 ? 'internal_error' : undefined)]
+        if (known)
+            return new StellarBrokerError(known.code, message || known.message, {retriable: known.retriable, context})
+        return new StellarBrokerError(101, message || 'HTTP error ' + status, {context})
     }
 }
 
-export default errors
\ No newline at end of file
+export default errors
+
+/**
+ * @typedef {object} StellarBrokerErrorOptions - Additional error details
+ * @property {boolean} [retriable] - Whether the operation may succeed if retried
+ * @property {*} [cause] - Original error
+ * @property {StellarBrokerErrorContext} [context] - Details of the operation that failed
+ */
+
+/**
+ * @typedef {object} StellarBrokerErrorContext - Details of the operation that failed
+ * @property {'connection'|'quote'|'trade'|'signing'|'estimate'|'verification'|'metadata'|'mediator'} [phase] - Operation phase
+ * @property {string} [txHash] - Hash of the related transaction
+ * @property {string} [serverCode] - Error code reported by the server
+ * @property {number} [httpStatus] - HTTP response status
+ */
@@ -1,26 +1,451 @@
 import errors, {StellarBrokerError} from './errors.js'
 import {validateQuoteRequest} from './quote-request.js'
 import {QuoteResult} from './quote-result.js'
+import {resolveNetwork} from './network.js'
+import {createLogger} from './logger.js'
+import {getReconnectDelay, normalizeRetryPolicy} from './reconnect.js'
 
 /**
  * Request single swap quote estimate without trading
  * @param {QuoteParams} params
+ * @param {EstimateSwapOptions} [options]
  * @return {Promise<QuoteResult>}
  */
-export async function estimateSwap(params) {
-    const query = Object.entries(validateQuoteRequest(params))
+export async function estimateSwap(params, options = {}) {
+    const logger = createLogger(options)
+    const settings = normalizeRequestSettings(options)
+    return fetchEstimate(buildEstimateUrl(params, options), settings, logger)
+}
+
+/**
+ * Request multiple swap quote estimates at once.
+ * Identical requests are fetched only once, the number of simultaneous requests is limited.
+ * @param {QuoteParams[]} paramsList - Quote parameters for each estimate
+ * @param {EstimateSwapsOptions} [options] - Batch request options
+ * @return {Promise<EstimateSwapsItem[]>} - Estimates in the same order as the requested params
+ */
+export function estimateSwaps(paramsList, options = {}) {
+    const estimator = options.estimator || new SwapEstimator(options)
+    return estimator.estimateSwaps(paramsList)
+}
+
+/**
+ * Swap estimates provider with request de-duplication, caching and rate limiting
+ */
+export class SwapEstimator {
+    /**
+     * @param {SwapEstimatorOptions} [options] - Cache and rate limit settings
+     */
+    constructor(options = {}) {
+        const {ttl = 5_000, staleTtl = 30_000, concurrency = 4, minInterval = 0} = options
+        if (typeof ttl !== 'number' || !(ttl >= 0))
+            throw errors.invalidInitParam('ttl')
+        if (typeof staleTtl !== 'number' || !(staleTtl >= 0))
+            throw errors.invalidInitParam('staleTtl')
+        if (!Number.isInteger(concurrency) || concurrency < 1)
+            throw errors.invalidInitParam('concurrency')
+        if (typeof minInterval !== 'number' || !(minInterval >= 0))
+            throw errors.invalidInitParam('minInterval')
+        this.options = options
+        this.logger = createLogger(options)
+        this.settings = normalizeRequestSettings(options)
+        this.ttl = ttl
+        this.staleTtl = staleTtl
+        this.concurrency = concurrency
+        this.minInterval = minInterval
+    }
+
+    /**
+     * @type {SwapEstimatorOptions}
+     * @private
+     */
+    options
+    /**
+     * @type {Logger}
+     * @private
+     */
+    logger
+    /**
+     * @type {EstimateRequestSettings}
+     * @private
+     */
+    settings
+    /**
+     * Time (ms) during which a cached estimate is considered fresh
+     * @type {number}
+     * @readonly
+     */
+    ttl
+    /**
+     * Time (ms) after the expiration during which a cached estimate is returned while being refreshed in background
+     * @type {number}
+     * @readonly
+     */
+    staleTtl
+    /**
+     * Max number of simultaneous requests
+     * @type {number}
+     * @readonly
+     */
+    concurrency
+    /**
+     * Min delay between consecutive requests, in milliseconds
+     * @type {number}
+     * @readonly
+     */
+    minInterval
+    /**
+     * Cached and pending estimates, grouped by request URL
+     * @type {Map<string, EstimateCacheEntry>}
+     * @private
+     */
+    cache = new Map()
+    /**
+     * Requests waiting for a free slot
+     * @type {{task: function, resolve: function, reject: function}[]}
+     * @private
+     */
+    queue = []
+    /**
+     * Number of requests in progress
+     * @type {number}
+     * @private
+     */
+    active = 0
+    /**
+     * Timestamp of the last request
+     * @type {number}
+     * @private
+     */
+    lastRequest = 0
+    /**
+     * @type {*}
+     * @private
+     */
+    queueTimer
+
+    /**
+     * Request single swap quote estimate, cached estimate is returned if available
+     * @param {QuoteParams} params - Quote parameters
+     * @return {Promise<QuoteResult>}
+     */
+    async estimateSwap(params) {
+        const url = buildEstimateUrl(params, this.options)
+        this.prune()
+        const entry = this.cache.get(url)
+        if (entry?.quote) {
+            const age = Date.now() - entry.fetchedAt
+            if (age < this.ttl)
+                return entry.quote
+            if (age < this.ttl + this.staleTtl) {
+                this.revalidate(url)
+                    .catch(() => {
+                    }) //keep serving the stale estimate, the failure has been logged
+                return entry.quote
+            }
+        }
+        return this.revalidate(url)
+    }
+
+    /**
+     * Request multiple swap quote estimates
+     * @param {QuoteParams[]} paramsList - Quote parameters for each estimate
+     * @return {Promise<EstimateSwapsItem[]>} - Estimates in the same order as the requested params
+     */
+    estimateSwaps(paramsList) {
+        if (!Array.isArray(paramsList))
+            return Promise.reject(errors.invalidQuoteParam('params', 'Array of quote parameters expected'))
+        return Promise.all(paramsList.map(params => this.estimateSwap(params)
+            .then(result => ({params, result}))
+            .catch(e => ({params, error: e instanceof StellarBrokerError ? e : errors.unexpectedError(e)}))))
+    }
+
+    /**
+     * Drop all cached estimates
+     */
+    clear() {
+        this.cache.clear()
+    }
+
+    /**
+     * Remove expired estimates from the cache
+     * @private
+     */
+    prune() {
+        const expiration = Date.now() - this.ttl - this.staleTtl
+        for (const [url, entry] of this.cache) {
+            if (!entry.pending && entry.fetchedAt <= expiration) {
+                this.cache.delete(url)
+            }
+        }
+    }
+
+    /**
+     * Fetch estimate unless the request is already in progress
+     * @param {string} url
+     * @return {Promise<QuoteResult>}
+     * @private
+     */
+    revalidate(url) {
+        let entry = this.cache.get(url)
+        if (entry?.pending)
+            return entry.pending
+        if (!entry) {
+            entry = {}
+            this.cache.set(url, entry)
+        }
+        entry.pending = this.schedule(() => fetchEstimate(url, this.settings, this.logger))
+            .then(quote => {
+                entry.quote = quote
+                entry.fetchedAt = Date.now()
+                return quote
+            })
+            .finally(() => {
+                entry.pending = undefined
+                if (!entry.quote || Date.now() - entry.fetchedAt >= this.ttl + this.staleTtl) {
+                    this.cache.delete(url) //do not keep failed or expired estimates
+                }
+            })
+        return entry.pending
+    }
+
+    /**
+     * Execute the task once concurrency and rate limits allow
+     * @param {function(): Promise} task
+     * @return {Promise}
+     * @private
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({task, resolve, reject})
+            this.processQueue()
+        })
+    }
+
+    /**
+     * @private
+     */
+    processQueue() {
+        while (this.queue.length && this.active < this.concurrency) {
+            const delay = this.lastRequest + this.minInterval - Date.now()
+            if (delay > 0) {
+                if (!this.queueTimer) {
+                    this.queueTimer = setTimeout(() => {
+                        this.queueTimer = undefined
+                        this.processQueue()
+                    }, delay)
+                }
+                return
+            }
+            const {task, resolve, reject} = this.queue.shift()
+            this.active++
+            this.lastRequest = Date.now()
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--
+                    this.processQueue()
+                })
+        }
+    }
+}
+
+/**
+ * @param {QuoteParams} params
+ * @param {EstimateSwapOptions} options
+ * @return {string}
+ */
+function buildEstimateUrl(params, options) {
+    const {origin, ...quoteParams} = params
+    const network = resolveNetwork(options.network)
+    const apiOrigin = origin || network.origin
+    if (!apiOrigin)
+        throw errors.invalidInitParam('network.origin')
+    const query = Object.entries(validateQuoteRequest(quoteParams, network.passphrase))
         .filter(kv => kv[1] !== undefined)
         .map(([param, value]) => encodeURIComponent(param) + '=' + encodeURIComponent(value))
-    const url = (params.origin || 'https://api.stellar.broker') + '/quote?' + query.join('&')
+    if (options.partnerKey) {
+        query.push('partner=' + encodeURIComponent(options.partnerKey))
+    }
+    return apiOrigin + '/quote?' + query.join('&')
+}
+
+/**
+ * @param {EstimateSwapOptions} options
+ * @return {EstimateRequestSettings}
+ */
+function normalizeRequestSettings(options) {
+    const {fetch = globalThis.fetch, timeout = 10_000, retry, headers, signal} = options
+    if (typeof fetch !== 'function')
+        throw errors.invalidInitParam('fetch')
+    if (typeof timeout !== 'number' || !(timeout >= 0))
+        throw errors.invalidInitParam('timeout')
+    if (headers !== undefined && (!headers || typeof headers !== 'object'))
+        throw errors.invalidInitParam('headers')
+    return {fetch, timeout, headers, signal, retry: normalizeRetryPolicy(retry)}
+}
+
+/**
+ * Fetch estimate, retrying on network failures, timeouts and server-side errors
+ * @param {string} url
+ * @param {EstimateRequestSettings} settings
+ * @param {Logger} logger
+ * @return {Promise<QuoteResult>}
+ */
+async function fetchEstimate(url, settings, logger) {
+    const {retry, signal} = settings
+    let attempt = 0
+    while (true) {
+        try {
+            return await requestEstimate(url, settings, logger)
+        } catch (e) {
+            if (!isTransientError(e) || !retry || ++attempt > retry.maxAttempts || signal?.aborted)
+                throw e.withContext({phase: 'estimate'})
+            const delay = getReconnectDelay(attempt, retry)
+            logger.info('Retrying swap estimate request', {url, attempt, delay, error: e.message})
+            await wait(delay, signal)
+                .catch(e => {
+                    throw e.withContext({phase: 'estimate'})
+                })
+        }
+    }
+}
+
+/**
+ * @param {string} url
+ * @param {EstimateRequestSettings} settings
+ * @param {Logger} logger
+ * @return {Promise<QuoteResult>}
+ */
+async function requestEstimate(url, {fetch, timeout, headers, signal}, logger) {
+    if (signal?.aborted)
+        throw errors.requestAborted()
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort)
+    let timedOut = false
+    const timeoutHandler = timeout > 0 ?
+        setTimeout(() => {
+            timedOut = true
+            controller.abort()
+        }, timeout) :
+        undefined
+    logger.debug('Requesting swap estimate', {url})
     try {
-        const res = await fetch(url).then(r => r.json())
-        if (res.status !== 'success')
-            throw errors.quoteError(res.error || 'Quote not available')
-        return new QuoteResult(res)
+        const response = await fetch(url, {headers, signal: controller.signal})
+        const text = await response.text()
+        let body
+        try {
+            body = JSON.parse(text)
+        } catch (e) {
+            //non-JSON response
+        }
+        if (!response.ok)
+            throw errors.httpError(response.status, body?.error, body?.code)
+        if (!body)
+            throw errors.quoteError('Invalid server response')
+        if (body.status !== 'success')
+            throw errors.quoteError(body.error || 'Quote not available')
+        return new QuoteResult(body)
     } catch (e) {
-        if (e instanceof StellarBrokerError)
+        if (e instanceof StellarBrokerError) {
+            if (e.context.httpStatus) {
+                logger.warn('Swap estimate request failed', {url, httpStatus: e.context.httpStatus, error: e.message})
+            }
             throw e
-        throw errors.quoteError('Failed to fetch quote')
-        return null
+        }
+        if (timedOut)
+            throw errors.requestTimeout(timeout)
+        if (signal?.aborted)
+            throw errors.requestAborted()
+        logger.warn('Failed to fetch quote', {url, error: e.message})
+        throw errors.quoteError('Failed to fetch quote', e)
+    } finally {
+        clearTimeout(timeoutHandler)
+        signal?.removeEventListener('abort', onAbort)
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Check whether the request may succeed if retried: network failures, timeouts and server-side errors
+ * @param {StellarBrokerError} error
+ * @return {boolean}
+ */
+function isTransientError(error) {
+    if (error.context.httpStatus)
+        return error.context.httpStatus >= 500
+    return error.code === 15 || (error.code === 13 && error.cause !== undefined)
+}
+
+/**
+ * @param {number} delay
+ * @param {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(handler)
+            reject(errors.requestAborted())
+        }
+        const handler = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort)
+            resolve()
+        }, delay)
+        signal?.addEventListener('abort', onAbort, {once: true})
+    })
+}
+
+/**
+ * @typedef {object} EstimateSwapOptions - Additional swap estimate request options
+ * @property {NetworkPreset|NetworkConfig} [network] - Network preset name or custom network configuration ("public" by default)
+ * @property {LoggerSink} [logger] - Log entries receiver (console by default)
+ * @property {LogLevel} [logLevel] - Min severity of logged entries ("warn" by default)
+ * @property {AbortSignal} [signal] - Signal that cancels the request once aborted
+ * @property {number} [timeout] - Max time to wait for the server response, in milliseconds (10000 by default, 0 - no timeout)
+ * @property {RetryPolicy|boolean} [retry] - Retry settings for network failures, timeouts and 5xx responses, or false to disable retries
+ * @property {function(string, {}): Promise<Response>} [fetch] - Fetch API implementation (global fetch by default)
+ * @property {string} [partnerKey] - Partner key
+ * @property {Object<string, string>} [headers] - Additional HTTP request headers
+ */
+
+/**
+ * @typedef {EstimateSwapOptions & SwapEstimatorLimits} SwapEstimatorOptions - Swap estimates request, cache and rate limit settings
+ */
+
+/**
+ * @typedef {object} SwapEstimatorLimits - Swap estimates cache and rate limit settings
+ * @property {number} [ttl] - Time (ms) during which a cached estimate is considered fresh (5000 by default)
+ * @property {number} [staleTtl] - Time (ms) after the expiration during which a cached estimate is returned while being refreshed in background (30000 by default)
+ * @property {number} [concurrency] - Max number of simultaneous requests (4 by default)
+ * @property {number} [minInterval] - Min delay between consecutive requests, in milliseconds (0 by default)
+ */
+
+/**
+ * @typedef {SwapEstimatorOptions & {estimator?: SwapEstimator}} EstimateSwapsOptions - Batch swap estimate options, pass estimator instance to reuse cached estimates across calls
+ */
+
+/**
+ * @typedef {object} EstimateSwapsItem - Result of a single estimate from the batch
+ * @property {QuoteParams} params - Requested quote parameters
+ * @property {QuoteResult} [result] - Received estimate
+ * @property {StellarBrokerError} [error] - Estimate error
+ */
+
+/**
+ * @typedef {object} EstimateRequestSettings
+ * @property {function(string, {}): Promise<Response>} fetch
+ * @property {number} timeout
+ * @property {Object<string, string>} [headers]
+ * @property {AbortSignal} [signal]
+ * @property {RetryPolicy|null} retry
+ * @private
+ */
+
+/**
+ * @typedef {object} EstimateCacheEntry
+ * @property {QuoteResult} [quote]
+ * @property {number} [fetchedAt]
+ * @property {Promise<QuoteResult>} [pending]
+ * @private
+ */
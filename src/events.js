@@ -5,7 +5,93 @@
  * @return {CustomEvent}
  */
 export function buildEvent(type, data, key) {
-    const evt = new CustomEvent(type, {detail: data})
+    const evt = createEvent(type, data)
     evt[key || type] = data
     return evt
-}
\ No newline at end of file
+}
+
+/**
+ * Create event emitter, falling back to a minimal implementation in runtimes without EventTarget support
+ * @return {EventTarget}
+ */
+export function createEmitter() {
+    if (typeof EventTarget === 'function')
+        return new EventTarget()
+    return new SimpleEventTarget()
+}
+
+/**
+ * @param {string} type
+ * @param {{}} detail
+ * @return {CustomEvent}
+ */
+function createEvent(type, detail) {
+    if (typeof CustomEvent === 'function')
+        return new CustomEvent(type, {detail})
+    if (typeof Event === 'function') { //Node.js < 19 has EventTarget but lacks CustomEvent
+        const evt = new Event(type)
+        evt.detail = detail
+        return evt
+    }
+    return {type, detail}
+}
+
+/**
+ * Minimal EventTarget replacement for legacy runtimes
+ */
+class SimpleEventTarget {
+    /**
+     * @type {Map<string, {callback: function, once: boolean}[]>}
+     * @private
+     */
+    listeners = new Map()
+
+    addEventListener(type, callback, options) {
+        let typeListeners = this.listeners.get(type)
+        if (!typeListeners) {
+            this.listeners.set(type, typeListeners = [])
+        }
+        if (typeListeners.some(l => l.callback === callback))
+            return
+        typeListeners.push({callback, once: !!options?.once})
+    }
+
+    removeEventListener(type, callback) {
+        const typeListeners = this.listeners.get(type)
+        if (!typeListeners)
+            return
+        const idx = typeListeners.findIndex(l => l.callback === callback)
+        if (idx >= 0) {
+            typeListeners.splice(idx, 1)
+        }
+    }
+
+    dispatchEvent(evt) {
+        const typeListeners = this.listeners.get(evt.type)
+        if (!typeListeners)
+            return true
+        for (const listener of typeListeners.slice()) {
+            if (listener.once) {
+                this.removeEventListener(evt.type, listener.callback)
+            }
+            try {
+                listener.callback.call(this, evt)
+            } catch (e) { //a failing listener should not prevent other listeners from receiving the event
+                reportListenerError(e)
+            }
+        }
+        return true
+    }
+}
+
+/**
+ * Report an error thrown by the event listener, the same way native EventTarget does
+ * @param {Error} error
+ */
+function reportListenerError(error) {
+    if (typeof reportError === 'function') {
+        reportError(error)
+    } else {
+        console.error(error)
+    }
+}
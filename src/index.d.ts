@@ -1,4 +1,4 @@
-import {Asset, TransactionI} from "@stellar/stellar-sdk";
+import {Asset, Horizon, TransactionI} from "@stellar/stellar-sdk";
 
 /**
  * Client for StellarBroker service
@@ -19,6 +19,51 @@ export class StellarBrokerClient {
      * @type {string}
      */
     readonly network: string;
+    /**
+     * Max share of the swapped amount that can be charged as a fee in a single transaction
+     * @type {number}
+     */
+    readonly maxFeeRatio: number;
+    /**
+     * Max share of the confirmed trade amount that can be charged as fees during the whole trade
+     * @type {number}
+     */
+    readonly maxTradeFeeRatio: number;
+    /**
+     * Max network fee (XLM) charged for a single fee-bump transaction
+     * @type {string}
+     */
+    readonly maxNetworkFee?: string;
+    /**
+     * Max total network fees (XLM) charged during the trade
+     * @type {string}
+     */
+    readonly maxTotalFees?: string;
+    /**
+     * Contract functions allowed to be invoked by Soroban swap transactions
+     * @type {SorobanAllowlist}
+     */
+    readonly sorobanAllowlist: SorobanAllowlist;
+    /**
+     * Max age of the confirmed quote, in milliseconds
+     * @type {number}
+     */
+    readonly maxQuoteAge: number;
+    /**
+     * Max interval between server heartbeats before the connection is considered lost, in milliseconds
+     * @type {number}
+     */
+    readonly heartbeatTimeout: number;
+    /**
+     * Trade journal recording executed trades
+     * @type {TradeJournal}
+     */
+    readonly journal?: TradeJournal;
+    /**
+     * Rolling window of received quotes
+     * @type {QuoteHistory}
+     */
+    readonly quoteHistory?: QuoteHistory;
     /**
      * @type {ClientSessionStatus}
      */
@@ -31,90 +76,1262 @@ export class StellarBrokerClient {
     connect(): Promise<StellarBrokerClient>;
 
     /**
-     * Request swap quote
-     * @param {QuoteParams} params - Quote parameters
+     * Request swap quote
+     * @param {QuoteParams} params - Quote parameters
+     */
+    quote(params: QuoteParams): void;
+
+    /**
+     * Request quote, confirm the first acceptable quote and wait until the trade is finished
+     * @param {QuoteParams} params - Quote parameters
+     * @param {SwapOptions} [options] - Trade options
+     */
+    swap(params: QuoteParams, options?: SwapOptions): Promise<TradeResult>;
+
+    /**
+     * Request quotes and iterate over received quote updates.
+     * The iteration ends once the quotation is paused, the signal is aborted, or the quote gets confirmed.
+     * @param {QuoteParams} params - Quote parameters
+     * @param {QuoteStreamOptions} [options] - Quote stream options
+     */
+    quotes(params: QuoteParams, options?: QuoteStreamOptions): AsyncGenerator<QuoteResult>;
+
+    /**
+     * Get market metrics derived from the quotes received for the current quote request pair
+     */
+    getQuoteMetrics(): QuoteMetrics | undefined;
+
+    /**
+     * Stop quotation/trading
+     */
+    stop(): void;
+
+    /**
+     * Confirm current quote and start trading
+     * @param {string} [account] - Trader account address (overrides value provided in the constructor)
+     * @param {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+     * @param {PriceGuards} [guards] - Price protection guards
+     */
+    confirmQuote(account?: string, authorization?: ClientAuthorizationParams, guards?: PriceGuards): void;
+
+    /**
+     * Restore the trade interrupted by the page reload from the session store.
+     * Reconnects to the server and continues trading the amount not committed by the transactions signed before the reload.
+     * The trade outcome is delivered via the "finished" event.
+     * @param {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+     * @param {string} [account] - Trader account address (overrides value provided in the constructor)
+     * @return Whether an interrupted trade of the trader account has been found
+     */
+    resumeSession(authorization?: ClientAuthorizationParams, account?: string): Promise<boolean>;
+
+    /**
+     * Add event listener
+     * @param {StellarBrokerClientEvent} type
+     * @param {function} callback
+     * @return Unsubscribe function
+     */
+    on(type: StellarBrokerClientEvent, callback: Function): () => void;
+
+    /**
+     * Add event listener that will be executed once
+     * @param {StellarBrokerClientEvent} type
+     * @param {function} callback
+     * @return Unsubscribe function
+     */
+    once(type: StellarBrokerClientEvent, callback: Function): () => void;
+
+    /**
+     * Remove event listener
+     * @param {StellarBrokerClientEvent} type
+     * @param {function} callback
+     */
+    off(type: StellarBrokerClientEvent, callback: Function): void;
+
+    /**
+     * Close underlying connection, detach all event listeners and finalize the client
+     */
+    close(): void;
+}
+
+/**
+ * Request single swap quote estimate without trading
+ */
+export function estimateSwap(params: QuoteParams, options?: EstimateSwapOptions): Promise<QuoteResult>;
+
+/**
+ * Request multiple swap quote estimates at once.
+ * Identical requests are fetched only once, the number of simultaneous requests is limited.
+ * @param paramsList - Quote parameters for each estimate
+ * @param [options] - Batch request options
+ * @return Estimates in the same order as the requested params
+ */
+export function estimateSwaps(paramsList: QuoteParams[], options?: EstimateSwapsOptions): Promise<EstimateSwapsItem[]>;
+
+/**
+ * Swap estimates provider with request de-duplication, caching and rate limiting
+ */
+export class SwapEstimator {
+    /**
+     * @param [options] - Cache and rate limit settings
+     */
+    constructor(options?: SwapEstimatorOptions);
+
+    /**
+     * Time (ms) during which a cached estimate is considered fresh
+     */
+    readonly ttl: number;
+    /**
+     * Time (ms) after the expiration during which a cached estimate is returned while being refreshed in background
+     */
+    readonly staleTtl: number;
+    /**
+     * Max number of simultaneous requests
+     */
+    readonly concurrency: number;
+    /**
+     * Min delay between consecutive requests, in milliseconds
+     */
+    readonly minInterval: number;
+
+    /**
+     * Request single swap quote estimate, cached estimate is returned if available
+     * @param params - Quote parameters
+     */
+    estimateSwap(params: QuoteParams): Promise<QuoteResult>;
+
+    /**
+     * Request multiple swap quote estimates
+     * @param paramsList - Quote parameters for each estimate
+     * @return Estimates in the same order as the requested params
+     */
+    estimateSwaps(paramsList: QuoteParams[]): Promise<EstimateSwapsItem[]>;
+
+    /**
+     * Drop all cached estimates
+     */
+    clear(): void;
+}
+
+/**
+ * Swap estimates cache and rate limit settings
+ */
+export interface SwapEstimatorOptions extends EstimateSwapOptions {
+    /**
+     * Time (ms) during which a cached estimate is considered fresh (5000 by default)
+     */
+    ttl?: number;
+    /**
+     * Time (ms) after the expiration during which a cached estimate is returned while being refreshed in background (30000 by default)
+     */
+    staleTtl?: number;
+    /**
+     * Max number of simultaneous requests (4 by default)
+     */
+    concurrency?: number;
+    /**
+     * Min delay between consecutive requests, in milliseconds (0 by default)
+     */
+    minInterval?: number;
+}
+
+/**
+ * Batch swap estimate options
+ */
+export interface EstimateSwapsOptions extends SwapEstimatorOptions {
+    /**
+     * Estimator instance that keeps cached estimates across calls
+     */
+    estimator?: SwapEstimator;
+}
+
+/**
+ * Result of a single estimate from the batch
+ */
+export interface EstimateSwapsItem {
+    /**
+     * Requested quote parameters
+     */
+    params: QuoteParams;
+    /**
+     * Received estimate
+     */
+    result?: QuoteResult;
+    /**
+     * Estimate error
+     */
+    error?: StellarBrokerError;
+}
+
+/**
+ * Additional swap estimate request options
+ */
+export interface EstimateSwapOptions {
+    /**
+     * Network preset name or custom network configuration ("public" by default)
+     */
+    network?: NetworkPreset | NetworkConfig;
+    /**
+     * Log entries receiver (console by default)
+     */
+    logger?: LoggerSink;
+    /**
+     * Min severity of logged entries ("warn" by default)
+     */
+    logLevel?: LogLevel;
+    /**
+     * Signal that cancels the request once aborted
+     */
+    signal?: AbortSignal;
+    /**
+     * Max time to wait for the server response, in milliseconds (10000 by default, 0 - no timeout)
+     */
+    timeout?: number;
+    /**
+     * Retry settings for network failures, timeouts and 5xx responses, or false to disable retries
+     */
+    retry?: RetryPolicy | boolean;
+    /**
+     * Fetch API implementation (global fetch by default)
+     */
+    fetch?: (url: string, init?: RequestInit) => Promise<Response>;
+    /**
+     * Partner key
+     */
+    partnerKey?: string;
+    /**
+     * Additional HTTP request headers
+     */
+    headers?: Record<string, string>;
+}
+
+/**
+ * Stellar network and StellarBroker service endpoints
+ */
+export interface NetworkConfig {
+    /**
+     * Stellar network passphrase
+     */
+    passphrase: string;
+    /**
+     * StellarBroker API origin
+     */
+    origin?: string;
+    /**
+     * Horizon server URL
+     */
+    horizon?: string;
+}
+
+/**
+ * Predefined network configuration name
+ */
+export type NetworkPreset = "public" | "testnet" | "futurenet";
+
+/**
+ * Network configuration that includes StellarBroker API origin.
+ * Only the "public" preset has a predefined origin, other networks require a custom config with explicit origin.
+ */
+export type BrokerNetwork = "public" | (NetworkConfig & { origin: string });
+
+/**
+ * Predefined network configurations
+ */
+export const networks: Readonly<{
+    public: Readonly<Required<NetworkConfig>>;
+    testnet: Readonly<NetworkConfig>;
+    futurenet: Readonly<NetworkConfig>;
+}>;
+
+/**
+ * Rounding mode ("trunc" - toward zero, "floor" - toward negative infinity, "ceil" - toward positive infinity,
+ * "half-up" - to nearest, ties away from zero, "half-even" - to nearest, ties to even)
+ */
+export type RoundingMode = 'trunc' | 'floor' | 'ceil' | 'half-up' | 'half-even';
+
+/**
+ * Decimal string ("10.5"), number, or Amount instance
+ */
+export type AmountLike = string | number | Amount;
+
+/**
+ * Immutable asset amount with 7-digit fixed precision, stored as int64 stroops
+ */
+export class Amount {
+    private constructor();
+
+    /**
+     * Amount in stroops (1 stroop = 0.0000001)
+     */
+    readonly stroops: bigint;
+
+    add(other: AmountLike): Amount;
+
+    sub(other: AmountLike): Amount;
+
+    /**
+     * Multiply by a scalar factor
+     * @param factor
+     * @param [rounding] - Rounding of the result ("trunc" by default)
+     */
+    mul(factor: number | string | bigint, rounding?: RoundingMode): Amount;
+
+    /**
+     * Divide by a scalar divisor
+     * @param divisor
+     * @param [rounding] - Rounding of the result ("trunc" by default)
+     */
+    div(divisor: number | string | bigint, rounding?: RoundingMode): Amount;
+
+    /**
+     * Calculate percentage of the amount
+     * @param percentage - Percentage (e.g. 1.5 for 1.5%)
+     * @param [rounding] - Rounding of the result ("trunc" by default)
+     */
+    percent(percentage: number | string, rounding?: RoundingMode): Amount;
+
+    /**
+     * Ratio between this and another amount
+     */
+    ratio(other: AmountLike): number;
+
+    /**
+     * Min amount acceptable with the given slippage tolerance (rounded down)
+     * @param tolerance - Slippage tolerance (e.g. 0.02 for 2%)
+     */
+    minusSlippage(tolerance: number | string): Amount;
+
+    /**
+     * Max amount acceptable with the given slippage tolerance (rounded up)
+     * @param tolerance - Slippage tolerance (e.g. 0.02 for 2%)
+     */
+    plusSlippage(tolerance: number | string): Amount;
+
+    /**
+     * Compare with another amount
+     * @return -1 if less than other, 1 if greater, 0 if equal
+     */
+    compare(other: AmountLike): number;
+
+    eq(other: AmountLike): boolean;
+
+    lt(other: AmountLike): boolean;
+
+    lte(other: AmountLike): boolean;
+
+    gt(other: AmountLike): boolean;
+
+    gte(other: AmountLike): boolean;
+
+    isZero(): boolean;
+
+    isPositive(): boolean;
+
+    isNegative(): boolean;
+
+    /**
+     * Round to the given number of decimal places
+     * @param places - Number of decimal places (0-7)
+     * @param [rounding] - Rounding mode ("half-up" by default)
+     */
+    round(places: number, rounding?: RoundingMode): Amount;
+
+    /**
+     * Canonical decimal representation without trailing zeros ("10.5")
+     */
+    toString(): string;
+
+    toJSON(): string;
+
+    /**
+     * Convert to floating-point number (may lose precision)
+     */
+    toNumber(): number;
+
+    /**
+     * Format amount for display using locale-specific separators
+     * @param [options] - Formatting options
+     */
+    format(options?: AmountFormatOptions): string;
+
+    /**
+     * Parse amount in any supported format
+     * @param value - Decimal string ("10.5"), number, or Amount instance
+     * @param [rounding] - Rounding applied to values with more than 7 decimal places (such values are rejected if not set)
+     */
+    static parse(value: AmountLike, rounding?: RoundingMode): Amount;
+
+    /**
+     * Parse amount, returning undefined instead of throwing on invalid input
+     * @param value - Decimal string ("10.5"), number, or Amount instance
+     * @param [rounding] - Rounding applied to values with more than 7 decimal places
+     */
+    static tryParse(value: AmountLike, rounding?: RoundingMode): Amount | undefined;
+
+    /**
+     * Parse amount formatted with locale-specific separators ("1,234.5" in "en-US", "1.234,5" in "de-DE")
+     * @param value - Formatted amount
+     * @param [locale] - Locale used to format the amount (default runtime locale if not set)
+     * @param [rounding] - Rounding applied to values with more than 7 decimal places (such values are rejected if not set)
+     */
+    static parseLocale(value: string, locale?: string, rounding?: RoundingMode): Amount;
+
+    /**
+     * @param stroops - Amount in stroops
+     */
+    static fromStroops(stroops: bigint): Amount;
+
+    static readonly zero: Amount;
+}
+
+/**
+ * Amount display formatting options
+ */
+export interface AmountFormatOptions {
+    /**
+     * Locale used for separators (default runtime locale if not set)
+     */
+    locale?: string;
+    /**
+     * Max number of decimal places (7 by default)
+     */
+    maxDecimals?: number;
+    /**
+     * Min number of decimal places, padded with zeros (0 by default)
+     */
+    minDecimals?: number;
+    /**
+     * Rounding applied to extra decimal places ("half-up" by default)
+     */
+    rounding?: RoundingMode;
+    /**
+     * Whether to use thousands separators (true by default)
+     */
+    grouping?: boolean;
+}
+
+/**
+ * Asset type
+ */
+export type AssetType = 'native' | 'credit_alphanum4' | 'credit_alphanum12' | 'contract';
+
+/**
+ * Asset identifier: "XLM", "native", "CODE-ISSUER", "CODE-ISSUER-1", SEP-11 "CODE:ISSUER",
+ * Soroban contract address, Stellar SDK Asset instance, or Horizon asset descriptor object
+ */
+export type AssetLike = string | Asset | AssetId | {
+    asset_type?: string;
+    asset_code?: string;
+    asset_issuer?: string;
+    type?: string;
+    code?: string;
+    issuer?: string;
+    contract?: string;
+};
+
+/**
+ * Parsed asset identifier: native XLM, classic Stellar asset, or Soroban token contract
+ */
+export class AssetId {
+    private constructor();
+
+    /**
+     * Asset type
+     */
+    readonly type: AssetType;
+    /**
+     * Asset code (classic assets)
+     */
+    readonly code?: string;
+    /**
+     * Issuer account address (classic assets)
+     */
+    readonly issuer?: string;
+    /**
+     * Token contract address (Soroban tokens)
+     */
+    readonly contract?: string;
+
+    isNative(): boolean;
+
+    isContract(): boolean;
+
+    /**
+     * Asset identifier used in quotes ("XLM", "CODE-ISSUER", or contract address)
+     */
+    toString(): string;
+
+    /**
+     * SEP-11 asset representation ("native", "CODE:ISSUER", or contract address)
+     */
+    toSep11(): string;
+
+    /**
+     * Convert to classic Stellar asset
+     * @param [parameter] - Name of the parameter that contains the asset (for error details)
+     */
+    toStellarAsset(parameter?: string): Asset;
+
+    /**
+     * Get token contract address (Stellar Asset Contract address for native and classic assets)
+     * @param network - Network passphrase
+     */
+    getContractId(network: string): string;
+
+    /**
+     * Check whether both identifiers refer to the same asset.
+     * Classic assets are matched against their Stellar Asset Contracts if the network passphrase is provided.
+     * @param other
+     * @param [network] - Network passphrase
+     */
+    equals(other: AssetId, network?: string): boolean;
+
+    /**
+     * Parse asset identifier
+     * @param asset - Asset identifier in any supported format
+     * @param [parameter] - Name of the parameter that contains the asset (for error details)
+     */
+    static parse(asset: AssetLike, parameter?: string): AssetId;
+}
+
+/**
+ * Quote request parameters provided by the client
+ */
+export interface QuoteParams {
+    /**
+     * Asset to sell
+     */
+    sellingAsset: AssetLike
+    /**
+     * Asset to buy
+     */
+    buyingAsset: AssetLike
+    /**
+     * Amount of selling asset (exact-input quotes, mutually exclusive with buyingAmount)
+     */
+    sellingAmount?: string
+    /**
+     * Amount of buying asset (exact-output quotes, mutually exclusive with sellingAmount)
+     */
+    buyingAmount?: string
+    /**
+     * Swap slippage tolerance (0.02 by default - 2%)
+     */
+    slippageTolerance?: number
+}
+
+export interface ClientInitializationParams {
+    /**
+     * Partner key
+     */
+    partnerKey?: string;
+    /**
+     * Trader account address
+     */
+    account?: string;
+    /**
+     * Authorization method, either account secret key or an authorization callback
+     */
+    authorization?: ClientAuthorizationParams;
+    /**
+     * "public" preset or custom network configuration with StellarBroker API origin ("public" by default)
+     */
+    network?: BrokerNetwork;
+    /**
+     * Automatic reconnection settings, or false to disable reconnection
+     */
+    reconnect?: ReconnectPolicy | boolean;
+    /**
+     * Custom WebSocket factory (global WebSocket is used by default)
+     */
+    transport?: WebSocketTransport;
+    /**
+     * Max share of the swapped amount that can be charged as a fee in a single transaction (0.01 by default)
+     */
+    maxFeeRatio?: number;
+    /**
+     * Max share of the confirmed trade amount that can be charged as fees during the whole trade (0.01 by default)
+     */
+    maxTradeFeeRatio?: number;
+    /**
+     * Max network fee (XLM) charged for a single fee-bump transaction
+     */
+    maxNetworkFee?: string;
+    /**
+     * Max total network fees (XLM) charged during the trade
+     */
+    maxTotalFees?: string;
+    /**
+     * Contract functions allowed to be invoked by Soroban swap transactions, grouped by contract address
+     */
+    sorobanAllowlist?: SorobanAllowlist;
+    /**
+     * Max age of the confirmed quote, in milliseconds (10000 by default)
+     */
+    maxQuoteAge?: number;
+    /**
+     * Max interval between server heartbeats before the connection is considered lost, in milliseconds (7000 by default)
+     */
+    heartbeatTimeout?: number;
+    /**
+     * Trade journal that records executed trades
+     */
+    journal?: TradeJournal;
+    /**
+     * Log entries receiver (console by default)
+     */
+    logger?: LoggerSink;
+    /**
+     * Min severity of logged entries ("warn" by default)
+     */
+    logLevel?: LogLevel;
+    /**
+     * Keep a rolling window of received quotes to calculate market metrics
+     */
+    quoteHistory?: QuoteHistory | QuoteHistoryOptions | boolean;
+    /**
+     * Storage for the active trade state (e.g. window.localStorage), enables resumeSession()
+     */
+    sessionStore?: SessionStore;
+}
+
+/**
+ * Rolling window of received quotes with derived market metrics, grouped by trading pair
+ */
+export class QuoteHistory {
+    /**
+     * @param [options] - Rolling window settings
+     */
+    constructor(options?: QuoteHistoryOptions);
+
+    /**
+     * Max number of quotes kept per pair
+     */
+    readonly maxSize: number;
+    /**
+     * Max age of kept quotes, in milliseconds
+     */
+    readonly maxAge: number;
+
+    /**
+     * Add quote to the history (failed quotes are ignored)
+     */
+    record(quote: QuoteResult): void;
+
+    /**
+     * Quotes recorded for the trading pair, from oldest to newest
+     * @param sellingAsset - Asset to sell
+     * @param buyingAsset - Asset to buy
+     */
+    getQuotes(sellingAsset: string, buyingAsset: string): QuoteResult[];
+
+    /**
+     * Calculate market metrics for the trading pair
+     * @param sellingAsset - Asset to sell
+     * @param buyingAsset - Asset to buy
+     * @return Metrics, or undefined if no quotes have been recorded for the pair
+     */
+    getMetrics(sellingAsset: string, buyingAsset: string): QuoteMetrics | undefined;
+
+    /**
+     * Remove recorded quotes
+     * @param [sellingAsset] - Asset to sell (all pairs are cleared if not specified)
+     * @param [buyingAsset] - Asset to buy
+     */
+    clear(sellingAsset?: string, buyingAsset?: string): void;
+}
+
+/**
+ * Quote history rolling window settings
+ */
+export interface QuoteHistoryOptions {
+    /**
+     * Max number of quotes kept per pair (100 by default)
+     */
+    maxSize?: number;
+    /**
+     * Max age of kept quotes, in milliseconds (5 minutes by default)
+     */
+    maxAge?: number;
+}
+
+/**
+ * Market metrics derived from the recorded quotes
+ */
+export interface QuoteMetrics {
+    /**
+     * Number of recorded quotes
+     */
+    count: number;
+    /**
+     * Rate (buying amount per unit of selling amount) time series
+     */
+    rates: { ts: Date, rate: number }[];
+    /**
+     * Rate of the latest quote
+     */
+    lastRate: number;
+    /**
+     * Relative rate change between the oldest and the latest quote
+     */
+    change: number;
+    /**
+     * Standard deviation of relative rate changes between consecutive quotes
+     */
+    volatility: number;
+    /**
+     * Quote with the highest rate
+     */
+    best: QuoteResult;
+    /**
+     * Quote with the lowest rate
+     */
+    worst: QuoteResult;
+    /**
+     * Average relative improvement over the equivalent direct trade
+     */
+    averageProfitRatio?: number;
+}
+
+/**
+ * Key-value storage compatible with Web Storage API
+ */
+export interface SessionStore {
+    getItem(key: string): string | null;
+
+    setItem(key: string, value: string): void;
+
+    removeItem(key: string): void;
+}
+
+/**
+ * Log entries severity
+ */
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+/**
+ * Log entries receiver (console-compatible), each entry contains a message and structured fields (e.g. uid, txHash)
+ */
+export interface LoggerSink {
+    debug(message: string, fields: Record<string, any>): void;
+
+    info(message: string, fields: Record<string, any>): void;
+
+    warn(message: string, fields: Record<string, any>): void;
+
+    error(message: string, fields: Record<string, any>): void;
+}
+
+/**
+ * Allowed contract functions, grouped by contract address
+ */
+export type SorobanAllowlist = Record<string, Record<string, SorobanSwapFunction>>;
+
+/**
+ * Allowed swap contract function
+ */
+export interface SorobanSwapFunction {
+    /**
+     * Index of the invocation argument that holds min amount of buying asset to receive
+     */
+    minOutArg: number;
+}
+
+/**
+ * Factory that opens a WebSocket-compatible connection for a given URL
+ */
+export type WebSocketTransport = (url: string) => WebSocketLike;
+
+/**
+ * Minimal WebSocket interface required by the client
+ */
+export interface WebSocketLike {
+    readonly readyState: number;
+
+    onmessage: ((message: { data: any }) => void) | null;
+
+    onclose: ((event: any) => void) | null;
+
+    onerror: ((event: any) => void) | null;
+
+    send(data: string): void;
+
+    close(): void;
+}
+
+/**
+ * Automatic reconnection settings
+ */
+export interface ReconnectPolicy {
+    /**
+     * Maximum number of consecutive reconnection attempts (10 by default)
+     */
+    maxAttempts?: number;
+    /**
+     * Delay before the first reconnection attempt, in milliseconds (500 by default)
+     */
+    minDelay?: number;
+    /**
+     * Upper bound for the delay between attempts, in milliseconds (30s by default)
+     */
+    maxDelay?: number;
+    /**
+     * Exponential backoff multiplier (2 by default)
+     */
+    factor?: number;
+    /**
+     * Random delay spread relative to the calculated delay, 0..1 (0.3 by default)
+     */
+    jitter?: number;
+}
+
+/**
+ * Failed requests retry settings
+ */
+export interface RetryPolicy {
+    /**
+     * Maximum number of retries (2 by default)
+     */
+    maxAttempts?: number;
+    /**
+     * Delay before the first retry, in milliseconds (300 by default)
+     */
+    minDelay?: number;
+    /**
+     * Upper bound for the delay between retries, in milliseconds (3s by default)
+     */
+    maxDelay?: number;
+    /**
+     * Exponential backoff multiplier (2 by default)
+     */
+    factor?: number;
+    /**
+     * Random delay spread relative to the calculated delay, 0..1 (0.3 by default)
+     */
+    jitter?: number;
+}
+
+/**
+ * One-shot swap options
+ */
+export interface SwapOptions {
+    /**
+     * Trader account address (overrides value provided in the constructor)
+     */
+    account?: string;
+    /**
+     * Authorization params (overrides value provided in the constructor)
+     */
+    authorization?: ClientAuthorizationParams;
+    /**
+     * Signal that stops the quotation/trading once aborted
+     */
+    signal?: AbortSignal;
+    /**
+     * Minimum acceptable estimated amount of the buying asset
+     */
+    minBuyingAmount?: string;
+    /**
+     * Max relative deviation of the quoted price below the equivalent direct trade price
+     */
+    maxPriceImpact?: number;
+    /**
+     * Max age of the confirmed quote, in milliseconds
+     */
+    maxQuoteAge?: number;
+    /**
+     * Max time to wait for the swap to finish, in milliseconds
+     */
+    timeout?: number;
+}
+
+/**
+ * Price protection checked at confirmation time and enforced during the trade
+ */
+export interface PriceGuards {
+    /**
+     * Minimum acceptable estimated amount of the buying asset
+     */
+    minBuyingAmount?: string;
+    /**
+     * Max relative deviation of the quoted price below the equivalent direct trade price
+     */
+    maxPriceImpact?: number;
+    /**
+     * Max age of the confirmed quote, in milliseconds (overrides client-level setting)
+     */
+    maxQuoteAge?: number;
+}
+
+/**
+ * Quote stream options
+ */
+export interface QuoteStreamOptions {
+    /**
+     * Signal that ends the iteration once aborted
+     */
+    signal?: AbortSignal;
+    /**
+     * Automatically request quotes again when the quotation gets paused due to inactivity
+     */
+    resumeOnPause?: boolean;
+}
+
+/**
+ * Trade result reported by the server
+ */
+export interface TradeResult {
+    /**
+     * Trade result status
+     */
+    status: string;
+    /**
+     * Amount of the selling asset sold
+     */
+    sold: string;
+    /**
+     * Amount of the buying asset bought
+     */
+    bought: string;
+    /**
+     * Totals committed by transactions signed during the trade
+     */
+    committed?: TradeCommitment;
+    /**
+     * Metadata of the traded assets (available once resolved by AssetMetadataResolver)
+     */
+    assetMetadata?: AssetMetadataPair;
+}
+
+/**
+ * Totals committed by transactions signed during the trade
+ */
+export interface TradeCommitment {
+    /**
+     * Number of signed transactions
+     */
+    transactions: number;
+    /**
+     * Max amount of selling asset committed
+     */
+    sold: string;
+    /**
+     * Min amount of buying asset committed
+     */
+    bought: string;
+    /**
+     * Fees committed, grouped by asset
+     */
+    fees: Record<string, string>;
+    /**
+     * Total network fees (XLM) paid for fee-bump transactions
+     */
+    networkFees: string;
+}
+
+/**
+ * Live quotes for multiple trading pairs.
+ * Every subscribed pair is served by a separate pooled client connection, idle connections are reused for new subscriptions.
+ */
+export class QuoteBoard {
+    /**
+     * @param params - Client initialization params shared by all pooled connections
+     * @param [options] - Quote board options
+     */
+    constructor(params: ClientInitializationParams, options?: QuoteBoardOptions);
+
+    /**
+     * Max number of simultaneously subscribed pairs (and pooled connections)
+     */
+    readonly maxPairs: number;
+
+    /**
+     * Start receiving quotes for the trading pair (replaces quote params if the pair has been already subscribed)
+     * @param params - Quote parameters
+     * @return Pair key
+     * @throws {StellarBrokerError} Max number of subscribed pairs exceeded
+     */
+    subscribe(params: QuoteParams): string;
+
+    /**
+     * Stop receiving quotes for the trading pair
+     * @param key - Pair key
+     */
+    unsubscribe(key: string): void;
+
+    /**
+     * Latest quote received for the trading pair
+     * @param key - Pair key
+     */
+    get(key: string): QuoteResult | undefined;
+
+    /**
+     * Subscribed pairs and their latest quotes
+     */
+    entries(): QuoteBoardEntry[];
+
+    /**
+     * Confirm the latest quote of the trading pair and start trading.
+     * The client that executes the trade is detached from the board, the pair keeps receiving quotes via another connection.
+     * @param key - Pair key
+     * @param [account] - Trader account address (overrides value provided in the constructor)
+     * @param [authorization] - Authorization params (overrides value provided in the constructor)
+     * @param [guards] - Price protection guards
+     * @return Client that executes the trade, should be closed once the trade is finished
+     */
+    promote(key: string, account?: string, authorization?: ClientAuthorizationParams, guards?: PriceGuards): StellarBrokerClient;
+
+    /**
+     * Add event listener
+     * @return Unsubscribe function
+     */
+    on(type: QuoteBoardEvent, callback: Function): () => void;
+
+    /**
+     * Remove event listener
+     */
+    off(type: QuoteBoardEvent, callback: Function): void;
+
+    /**
+     * Unsubscribe from all pairs and close pooled connections
+     */
+    close(): void;
+}
+
+/**
+ * Event type generated by the quote board
+ */
+export type QuoteBoardEvent = "update" | "error";
+
+/**
+ * New quote received for the trading pair ("update" event payload)
+ */
+export interface QuoteBoardUpdate {
+    /**
+     * Pair key
+     */
+    key: string;
+    /**
+     * Received quote
+     */
+    quote: QuoteResult;
+}
+
+/**
+ * Quotation error of the trading pair ("error" event payload)
+ */
+export interface QuoteBoardError {
+    /**
+     * Pair key
+     */
+    key: string;
+    /**
+     * Error details
+     */
+    error: StellarBrokerError;
+}
+
+/**
+ * Quote board options
+ */
+export interface QuoteBoardOptions {
+    /**
+     * Max number of simultaneously subscribed pairs, each pair holds a separate connection (10 by default)
+     */
+    maxPairs?: number;
+}
+
+/**
+ * Subscribed trading pair
+ */
+export interface QuoteBoardEntry {
+    /**
+     * Pair key
+     */
+    key: string;
+    /**
+     * Quote parameters
+     */
+    request: QuoteParams;
+    /**
+     * Latest received quote
+     */
+    quote?: QuoteResult;
+}
+
+/**
+ * Trade sessions journal for accounting and audit purposes
+ */
+export class TradeJournal {
+    /**
+     * @param [storage] - Storage backend (in-memory storage by default)
+     */
+    constructor(storage?: JournalStorage);
+
+    readonly storage: JournalStorage;
+
+    /**
+     * Start new trade session record
+     * @return Session record id
+     */
+    startSession(session: {uid: string, account: string, network: string, quoteRequest: QuoteParams, quote: QuoteResult}): string;
+
+    /**
+     * Record transaction signed by the client
+     * @param id - Session record id
+     * @param xdr - Signed transaction XDR
+     */
+    recordTransaction(id: string, xdr: string): void;
+
+    /**
+     * Record trade progress snapshot
+     * @param id - Session record id
+     */
+    recordProgress(id: string, progress: TradeProgress): void;
+
+    /**
+     * Record final trade result
+     * @param id - Session record id
      */
-    quote(params: QuoteParams): void;
+    finishSession(id: string, result: TradeResult): void;
 
     /**
-     * Stop quotation/trading
+     * Retrieve session record
+     * @param id - Session record id
      */
-    stop(): void;
+    get(id: string): JournalRecord | undefined;
 
     /**
-     * Confirm current quote and start trading
-     * @param {string} [account] - Trader account address (overrides value provided in the constructor)
-     * @param {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+     * Retrieve all session records, ordered by start time
      */
-    confirmQuote(account?: string, authorization?: ClientAuthorizationParams): void;
+    list(): JournalRecord[];
 
     /**
-     * Add event listener
-     * @param {StellarBrokerClientEvent} type
-     * @param {function} callback
+     * Remove session record
+     * @param id - Session record id
      */
-    on(type: StellarBrokerClientEvent, callback: Function): void;
+    remove(id: string): void;
 
     /**
-     * Add event listener that will be executed once
-     * @param {StellarBrokerClientEvent} type
-     * @param {function} callback
+     * Export all session records as JSON
      */
-    once(type: StellarBrokerClientEvent, callback: Function): void;
+    exportJSON(): string;
 
     /**
-     * Remove event listener
-     * @param {StellarBrokerClientEvent} type
-     * @param {function} callback
+     * Export all session records as CSV, one row per signed transaction
      */
-    off(type: StellarBrokerClientEvent, callback: Function): void;
+    exportCSV(): string;
+}
 
+/**
+ * Journal storage backend
+ */
+export interface JournalStorage {
     /**
-     * Close underlying connection and finalize the client
+     * Retrieve all stored records
      */
-    close(): void;
+    list(): JournalRecord[];
+    /**
+     * Insert or update a record
+     */
+    save(record: JournalRecord): void;
+    /**
+     * Remove a record by id
+     */
+    remove(id: string): void;
 }
 
 /**
- * Request single swap quote estimate without trading
+ * In-memory journal storage
  */
-export function estimateSwap(params: QuoteParams): Promise<QuoteResult>;
+export class MemoryJournalStorage implements JournalStorage {
+    list(): JournalRecord[];
+    save(record: JournalRecord): void;
+    remove(id: string): void;
+}
 
 /**
- * Quote request parameters provided by the client
+ * Browser localStorage journal storage
  */
-export interface QuoteParams {
+export class LocalStorageJournalStorage implements JournalStorage {
     /**
-     * Asset to sell
+     * @param [prefix] - Local storage key prefix ("sbj_" by default)
+     * @param [storage] - Storage instance (global localStorage by default)
+     */
+    constructor(prefix?: string, storage?: Storage);
+
+    readonly prefix: string;
+
+    list(): JournalRecord[];
+    save(record: JournalRecord): void;
+    remove(id: string): void;
+}
+
+/**
+ * Trade session record
+ */
+export interface JournalRecord {
+    /**
+     * Record id
      */
-    sellingAsset: string
+    id: string;
     /**
-     * Asset to buy
+     * Server session id
      */
-    buyingAsset: string
+    uid: string;
     /**
-     * Amount of selling asset
+     * Trader account address
      */
-    sellingAmount?: string
+    account: string;
     /**
-     * Swap slippage tolerance (0.02 by default - 2%)
+     * Network passphrase
      */
-    slippageTolerance?: number
+    network: string;
+    /**
+     * Quote request parameters
+     */
+    quoteRequest: QuoteParams;
+    /**
+     * Accepted quote
+     */
+    quote: QuoteResult;
+    /**
+     * Trade start timestamp
+     */
+    startedAt: string;
+    /**
+     * Trade finish timestamp
+     */
+    finishedAt?: string;
+    /**
+     * Transactions signed by the client
+     */
+    transactions: {ts: string, hash: string, xdr: string}[];
+    /**
+     * Trade progress snapshots
+     */
+    progress: {ts: string, sold: string, bought: string}[];
+    /**
+     * Final trade result
+     */
+    result?: TradeResult;
 }
 
-export interface ClientInitializationParams {
+/**
+ * Trade progress reported by the server
+ */
+export interface TradeProgress {
     /**
-     * Partner key
+     * Amount of the selling asset sold so far
      */
-    partnerKey?: string;
+    sold: string;
     /**
-     * Trader account address
+     * Amount of the buying asset bought so far
      */
-    account?: string;
+    bought: string;
     /**
-     * Authorization method, either account secret key or an authorization callback
+     * Totals committed by transactions signed so far
      */
-    authorization?: ClientAuthorizationParams;
+    committed?: TradeCommitment;
 }
 
 /**
@@ -125,7 +1342,50 @@ export type ClientSessionStatus = "disconnected" | "ready" | "quote" | "trade";
 /**
  * Event type generated by the client
  */
-export type StellarBrokerClientEvent = "quote" | "progress" | "paused" | "finished" | "error";
+export type StellarBrokerClientEvent = "quote" | "progress" | "paused" | "finished" | "error" | "reconnecting" | "reconnected"
+    | "statusChange" | "connected" | "disconnected" | "txSigned" | "txRejected";
+
+/**
+ * Session status transition ("statusChange" event payload)
+ */
+export interface StatusChange {
+    /**
+     * Previous status
+     */
+    oldStatus: ClientSessionStatus;
+    /**
+     * Current status
+     */
+    newStatus: ClientSessionStatus;
+}
+
+/**
+ * Transaction signed by the client ("txSigned" event payload, available as `e.tx`)
+ */
+export interface TxSignature {
+    /**
+     * Signed transaction hash
+     */
+    hash: string;
+    /**
+     * Signature kind
+     */
+    kind: "swap" | "fee-bump" | "soroban-auth";
+}
+
+/**
+ * Transaction refused by the client ("txRejected" event payload, available as `e.tx`)
+ */
+export interface TxRejection {
+    /**
+     * Transaction hash reported by the server
+     */
+    hash: string;
+    /**
+     * Rejection reason
+     */
+    error: StellarBrokerError;
+}
 
 /**
  * Result status code returned by the server
@@ -157,25 +1417,276 @@ export interface QuoteResult {
      */
     readonly slippageTolerance: number;
     /**
-     * Amount of the selling asset
+     * Amount of the selling asset (exact-input quotes)
      */
-    readonly sellingAmount: string;
+    readonly sellingAmount?: string;
     /**
-     * Estimated amount of buyingAsset to receive
+     * Estimated amount of buyingAsset to receive (exact-input quotes)
      */
     readonly estimatedBuyingAmount?: string;
+    /**
+     * Amount of the buying asset (exact-output quotes)
+     */
+    readonly buyingAmount?: string;
+    /**
+     * Estimated amount of sellingAsset to spend (exact-output quotes)
+     */
+    readonly estimatedSellingAmount?: string;
     /**
      * Equivalent direct path_payment trade estimate
      */
     readonly directTrade?: QuoteDirectTradeResult;
     /**
      * Difference between quoted price and estimated direct trade
+     * (denominated in buying asset for exact-input quotes and in selling asset for exact-output quotes)
      */
     readonly profit: string;
     /**
      * Error details from the server (for failed quotes)
      */
     readonly error?: string;
+    /**
+     * Independent verification results (available once verified by QuoteVerifier)
+     */
+    readonly verification?: QuoteVerification;
+    /**
+     * Metadata of the quoted assets (available once resolved by AssetMetadataResolver)
+     */
+    readonly assetMetadata?: AssetMetadataPair;
+}
+
+/**
+ * Verifies quotes independently using Horizon path-finding endpoints
+ */
+export class QuoteVerifier {
+    /**
+     * @param [options] - Verification settings
+     */
+    constructor(options?: QuoteVerifierOptions);
+
+    /**
+     * Network configuration
+     */
+    readonly network: NetworkConfig;
+    /**
+     * Max relative deviation between the quote and Horizon estimate that doesn't trigger a warning
+     */
+    readonly maxDeviation: number;
+
+    /**
+     * Estimate the same trade using Horizon path-finding and attach verification results to the quote
+     * @param quote - Successful quote to verify
+     */
+    verify(quote: QuoteResult): Promise<QuoteVerification>;
+}
+
+/**
+ * Quote verification settings
+ */
+export interface QuoteVerifierOptions {
+    /**
+     * Network preset name or custom network configuration ("public" by default)
+     */
+    network?: NetworkPreset | NetworkConfig;
+    /**
+     * Max relative deviation between the quote and Horizon estimate that doesn't trigger a warning (0.01 by default)
+     */
+    maxDeviation?: number;
+    /**
+     * Log entries receiver (console by default)
+     */
+    logger?: LoggerSink;
+    /**
+     * Min severity of logged entries ("warn" by default)
+     */
+    logLevel?: LogLevel;
+}
+
+/**
+ * Independent quote verification results
+ */
+export interface QuoteVerification {
+    /**
+     * Verification timestamp
+     */
+    verifiedAt: Date;
+    /**
+     * Amount of selling asset estimated by Horizon
+     */
+    selling?: string;
+    /**
+     * Amount of buying asset estimated by Horizon
+     */
+    buying?: string;
+    /**
+     * Conversion path found by Horizon
+     */
+    path?: string[];
+    /**
+     * Relative deviation of the quote from the Horizon estimate (0.01 = 1%), positive if the quote is better
+     */
+    deviation?: number;
+    /**
+     * Whether the quote deviates from the Horizon estimate by more than allowed or cannot be verified
+     */
+    warning: boolean;
+    /**
+     * Warning reason
+     */
+    reason?: string;
+}
+
+/**
+ * Resolves asset display metadata from issuer home domains (SEP-1 stellar.toml)
+ */
+export class AssetMetadataResolver {
+    /**
+     * @param [options] - Resolver settings
+     */
+    constructor(options?: AssetMetadataResolverOptions);
+
+    /**
+     * Network configuration
+     */
+    readonly network: NetworkConfig;
+    /**
+     * Time (ms) during which resolved metadata is cached
+     */
+    readonly ttl: number;
+    /**
+     * Max time to wait for stellar.toml response, in milliseconds
+     */
+    readonly timeout: number;
+
+    /**
+     * Resolve asset metadata, cached metadata is returned if available
+     * @param asset - Asset identifier
+     */
+    resolve(asset: AssetLike): Promise<AssetMetadata>;
+
+    /**
+     * Resolve metadata of the quoted assets and attach it to the quote
+     * @param quote - Quote to enrich
+     */
+    enrichQuote(quote: QuoteResult): Promise<QuoteResult>;
+
+    /**
+     * Resolve metadata of the traded assets and attach it to the trade result
+     * @param result - Trade result to enrich
+     * @param quote - Confirmed quote of the trade
+     */
+    enrichTradeResult(result: TradeResult, quote: QuoteResult): Promise<TradeResult>;
+
+    /**
+     * Drop all cached metadata
+     */
+    clear(): void;
+}
+
+/**
+ * Asset metadata resolver settings
+ */
+export interface AssetMetadataResolverOptions {
+    /**
+     * Network preset name or custom network configuration ("public" by default)
+     */
+    network?: NetworkPreset | NetworkConfig;
+    /**
+     * Horizon server instance used to load issuer accounts (created from the network config by default)
+     */
+    horizon?: Horizon.Server;
+    /**
+     * Fetch implementation used to load stellar.toml files (global fetch by default)
+     */
+    fetch?: typeof fetch;
+    /**
+     * Time (ms) during which resolved metadata is cached (1 hour by default)
+     */
+    ttl?: number;
+    /**
+     * Max time to wait for stellar.toml response, in milliseconds (10000 by default, 0 - no timeout)
+     */
+    timeout?: number;
+    /**
+     * Log entries receiver (console by default)
+     */
+    logger?: LoggerSink;
+    /**
+     * Min severity of logged entries ("warn" by default)
+     */
+    logLevel?: LogLevel;
+}
+
+/**
+ * Asset display metadata
+ */
+export interface AssetMetadata {
+    /**
+     * Asset identifier
+     */
+    asset: string;
+    /**
+     * Asset code
+     */
+    code?: string;
+    /**
+     * Issuer account address
+     */
+    issuer?: string;
+    /**
+     * Token contract address (Soroban tokens)
+     */
+    contract?: string;
+    /**
+     * Issuer home domain
+     */
+    domain?: string;
+    /**
+     * Asset display name
+     */
+    name?: string;
+    /**
+     * Asset description
+     */
+    description?: string;
+    /**
+     * Asset logo URL
+     */
+    image?: string;
+    /**
+     * Preferred number of decimals to display
+     */
+    decimals?: number;
+    /**
+     * Off-chain asset the token is anchored to
+     */
+    anchorAsset?: string;
+    /**
+     * Type of the anchored asset (fiat, crypto, stock, etc.)
+     */
+    anchorAssetType?: string;
+    /**
+     * Issuer organization name
+     */
+    orgName?: string;
+    /**
+     * Issuer organization website
+     */
+    orgUrl?: string;
+}
+
+/**
+ * Metadata of the traded assets (undefined if failed to resolve)
+ */
+export interface AssetMetadataPair {
+    /**
+     * Selling asset metadata
+     */
+    selling?: AssetMetadata;
+    /**
+     * Buying asset metadata
+     */
+    buying?: AssetMetadata;
 }
 
 /**
@@ -203,6 +1714,45 @@ export class StellarBrokerError extends Error {
      * @readonly
      */
     readonly code: number;
+    /**
+     * Whether the operation may succeed if retried
+     * @type {boolean}
+     * @readonly
+     */
+    readonly retriable: boolean;
+    /**
+     * Original error that caused this error
+     * @readonly
+     */
+    readonly cause?: any;
+    /**
+     * Details of the operation that failed
+     * @type {StellarBrokerErrorContext}
+     * @readonly
+     */
+    readonly context: StellarBrokerErrorContext;
+}
+
+/**
+ * Details of the operation that failed
+ */
+export interface StellarBrokerErrorContext {
+    /**
+     * Operation phase
+     */
+    phase?: "connection" | "quote" | "trade" | "signing" | "estimate" | "verification" | "metadata" | "mediator";
+    /**
+     * Hash of the related transaction
+     */
+    txHash?: string;
+    /**
+     * Error code reported by the server
+     */
+    serverCode?: string;
+    /**
+     * HTTP response status
+     */
+    httpStatus?: number;
 }
 
 /**
@@ -227,8 +1777,9 @@ export class Mediator {
      * @param sellingAmount - Amount to sell
      * @param authorization - Authorization callback or secret key
      * @param [reserveFeeAmount] - Amount reserved to cover tx fees (all unused funds will be refunded)
+     * @param [options] - Additional mediator options
      */
-    constructor(source: string, sellingAsset: string | Asset, buyingAsset: string | Asset, sellingAmount: string, authorization: ClientAuthorizationParams, reserveFeeAmount?: number)
+    constructor(source: string, sellingAsset: AssetLike, buyingAsset: AssetLike, sellingAmount: string, authorization: ClientAuthorizationParams, reserveFeeAmount?: number | string, options?: MediatorOptions)
 
     readonly source: string;
 
@@ -240,6 +1791,8 @@ export class Mediator {
 
     readonly mediatorAddress: string;
 
+    readonly network: NetworkConfig;
+
     /**
      * Check if there are any non-disposed mediators that belong to lost swap sessions
      */
@@ -262,8 +1815,9 @@ export class Mediator {
      * @param source - Initiator account that created a mediator
      * @param authorization - Authorization callback or secret key
      * @param [storagePrefix] - Local storage key prefix
+     * @param [options] - Additional mediator options
      */
-    static disposeObsoleteMediators(source: string, authorization: ClientAuthorizationParams, storagePrefix?: string): Promise<void>;
+    static disposeObsoleteMediators(source: string, authorization: ClientAuthorizationParams, storagePrefix?: string, options?: MediatorOptions): Promise<void>;
 
     /**
      * Create mediator account and deposit tokens to sell
@@ -275,3 +1829,21 @@ export class Mediator {
      */
     dispose(address?: string): Promise<void>;
 }
+
+/**
+ * Additional mediator options
+ */
+export interface MediatorOptions {
+    /**
+     * Network preset name or custom network configuration ("public" by default)
+     */
+    network?: NetworkPreset | NetworkConfig;
+    /**
+     * Log entries receiver (console by default)
+     */
+    logger?: LoggerSink;
+    /**
+     * Min severity of logged entries ("warn" by default)
+     */
+    logLevel?: LogLevel;
+}
@@ -1,5 +1,14 @@
 import {StellarBrokerClient} from './client.js'
+export {Amount} from './amount.js'
+export {AssetId} from './asset.js'
+export {AssetMetadataResolver} from './asset-metadata.js'
 export * from './estimate.js'
 export * from './mediator.js'
+export {StellarBrokerError} from './errors.js'
+export {networks} from './network.js'
+export {QuoteBoard} from './quote-board.js'
+export {QuoteHistory} from './quote-history.js'
+export {QuoteVerifier} from './quote-verifier.js'
+export {TradeJournal, MemoryJournalStorage, LocalStorageJournalStorage} from './journal.js'
 
 export {StellarBrokerClient}
\ No newline at end of file
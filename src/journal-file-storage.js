@@ -0,0 +1,139 @@
+import fs from 'node:fs'
+import errors from './errors.js'
+
+/**
+ * File-based journal storage for Node.js environment, keeps all records in a single JSON file.
+ * Records are cached in memory, changes are written to the file asynchronously in batches.
+ */
+export class FileJournalStorage {
+    /**
+     * @param {string} path - Journal file path
+     * @param {FileJournalStorageOptions} [options] - Storage settings
+     */
+    constructor(path, {writeDelay = 100} = {}) {
+        if (typeof writeDelay !== 'number' || !(writeDelay >= 0))
+            throw errors.invalidInitParam('writeDelay')
+        this.path = path
+        this.writeDelay = writeDelay
+    }
+
+    /**
+     * @type {string}
+     * @readonly
+     */
+    path
+    /**
+     * Delay before writing accumulated changes to the file, in milliseconds
+     * @type {number}
+     * @readonly
+     */
+    writeDelay
+    /**
+     * Cached journal records (loaded from the file on first access)
+     * @type {JournalRecord[]}
+     * @private
+     */
+    records
+    /**
+     * Whether cached records contain changes not written to the file yet
+     * @type {boolean}
+     * @private
+     */
+    dirty = false
+    /**
+     * Scheduled write timer
+     * @private
+     */
+    writeTimer
+    /**
+     * Last started file write
+     * @type {Promise}
+     * @private
+     */
+    writing = Promise.resolve()
+
+    list() {
+        return structuredClone(this.load())
+    }
+
+    save(record) {
+        const records = this.load()
+        const idx = records.findIndex(r => r.id === record.id)
+        if (idx < 0) {
+            records.push(structuredClone(record))
+        } else {
+            records[idx] = structuredClone(record)
+        }
+        this.scheduleWrite()
+    }
+
+    remove(id) {
+        this.records = this.load().filter(r => r.id !== id)
+        this.scheduleWrite()
+    }
+
+    /**
+     * Write pending changes to the file immediately
+     * @return {Promise} - Resolves once all changes are written, rejects if the file can't be written
+     */
+    flush() {
+        clearTimeout(this.writeTimer)
+        this.writeTimer = undefined
+        if (this.dirty) {
+            this.writing = this.writing
+                .catch(() => {
+                }) //failed changes are written again along with the new ones
+                .then(() => this.write())
+        }
+        return this.writing
+    }
+
+    /**
+     * @return {JournalRecord[]}
+     * @private
+     */
+    load() {
+        if (!this.records) {
+            this.records = fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path, 'utf8')) : []
+        }
+        return this.records
+    }
+
+    /**
+     * @private
+     */
+    scheduleWrite() {
+        this.dirty = true
+        if (this.writeTimer)
+            return //changes will be written in the same batch
+        this.writeTimer = setTimeout(() => {
+            this.flush()
+                .catch(() => {
+                }) //will be retried with the next change or reported by flush()
+        }, this.writeDelay)
+    }
+
+    /**
+     * @return {Promise}
+     * @private
+     */
+    async write() {
+        if (!this.dirty)
+            return
+        this.dirty = false
+        //write to a temporary file first to avoid journal corruption on crash
+        const tmp = this.path + '.tmp'
+        try {
+            await fs.promises.writeFile(tmp, JSON.stringify(this.records, null, 2))
+            await fs.promises.rename(tmp, this.path)
+        } catch (e) {
+            this.dirty = true
+            throw e
+        }
+    }
+}
+
+/**
+ * @typedef {object} FileJournalStorageOptions - File journal storage settings
+ * @property {number} [writeDelay] - Delay before writing accumulated changes to the file, in milliseconds (100 by default)
+ */
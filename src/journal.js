@@ -0,0 +1,266 @@
+import {TransactionBuilder} from '@stellar/stellar-sdk'
+
+/**
+ * Trade sessions journal for accounting and audit purposes
+ */
+export class TradeJournal {
+    /**
+     * @param {JournalStorage} [storage] - Storage backend (in-memory storage by default)
+     */
+    constructor(storage = new MemoryJournalStorage()) {
+        this.storage = storage
+    }
+
+    /**
+     * @type {JournalStorage}
+     * @readonly
+     */
+    storage
+
+    /**
+     * Start new trade session record
+     * @param {{uid: string, account: string, network: string, quoteRequest: QuoteParams, quote: QuoteResult}} session
+     * @return {string} - Session record id
+     */
+    startSession({uid, account, network, quoteRequest, quote}) {
+        /** @type {JournalRecord} */
+        const record = {
+            id: generateId(),
+            uid,
+            account,
+            network,
+            quoteRequest: {...quoteRequest},
+            quote: JSON.parse(JSON.stringify(quote)),
+            startedAt: new Date().toISOString(),
+            transactions: [],
+            progress: []
+        }
+        this.storage.save(record)
+        return record.id
+    }
+
+    /**
+     * Record transaction signed by the client
+     * @param {string} id - Session record id
+     * @param {string} xdr - Signed transaction XDR
+     */
+    recordTransaction(id, xdr) {
+        this.update(id, record => {
+            let hash
+            try {
+                hash = TransactionBuilder.fromXDR(xdr, record.network).hash().toString('hex')
+            } catch (e) {
+                hash = null
+            }
+            record.transactions.push({ts: new Date().toISOString(), hash, xdr})
+        })
+    }
+
+    /**
+     * Record trade progress snapshot
+     * @param {string} id - Session record id
+     * @param {TradeProgress} progress
+     */
+    recordProgress(id, progress) {
+        this.update(id, record => {
+            record.progress.push({ts: new Date().toISOString(), sold: progress.sold, bought: progress.bought})
+        })
+    }
+
+    /**
+     * Record final trade result
+     * @param {string} id - Session record id
+     * @param {TradeResult} result
+     */
+    finishSession(id, result) {
+        this.update(id, record => {
+            record.finishedAt = new Date().toISOString()
+            record.result = JSON.parse(JSON.stringify(result))
+        })
+    }
+
+    /**
+     * Retrieve session record
+     * @param {string} id - Session record id
+     * @return {JournalRecord|undefined}
+     */
+    get(id) {
+        return this.storage.list().find(r => r.id === id)
+    }
+
+    /**
+     * Retrieve all session records, ordered by start time
+     * @return {JournalRecord[]}
+     */
+    list() {
+        return this.storage.list()
+            .sort((a, b) => a.startedAt < b.startedAt ? -1 : (a.startedAt > b.startedAt ? 1 : 0))
+    }
+
+    /**
+     * Remove session record
+     * @param {string} id - Session record id
+     */
+    remove(id) {
+        this.storage.remove(id)
+    }
+
+    /**
+     * Export all session records as JSON
+     * @return {string}
+     */
+    exportJSON() {
+        return JSON.stringify(this.list(), null, 2)
+    }
+
+    /**
+     * Export all session records as CSV, one row per signed transaction
+     * @return {string}
+     */
+    exportCSV() {
+        const rows = [csvColumns]
+        for (const record of this.list()) {
+            const session = [
+                record.id,
+                record.uid,
+                record.account,
+                record.quote?.sellingAsset,
+                record.quote?.buyingAsset,
+                record.quote?.sellingAmount,
+                record.quote?.estimatedBuyingAmount,
+                record.quote?.buyingAmount,
+                record.quote?.estimatedSellingAmount,
+                record.startedAt,
+                record.finishedAt,
+                record.result?.status,
+                record.result?.sold,
+                record.result?.bought
+            ]
+            if (!record.transactions.length) {
+                rows.push([...session, '', ''])
+                continue
+            }
+            for (const tx of record.transactions) {
+                rows.push([...session, tx.ts, tx.hash])
+            }
+        }
+        return rows.map(row => row.map(formatCsvValue).join(',')).join('\n')
+    }
+
+    /**
+     * @param {string} id
+     * @param {function(JournalRecord)} modify
+     * @private
+     */
+    update(id, modify) {
+        const record = this.get(id)
+        if (!record)
+            return
+        modify(record)
+        this.storage.save(record)
+    }
+}
+
+/**
+ * In-memory journal storage
+ */
+export class MemoryJournalStorage {
+    /**
+     * @type {Map<string, JournalRecord>}
+     * @private
+     */
+    records = new Map()
+
+    list() {
+        return Array.from(this.records.values()).map(clone)
+    }
+
+    save(record) {
+        this.records.set(record.id, clone(record))
+    }
+
+    remove(id) {
+        this.records.delete(id)
+    }
+}
+
+/**
+ * Browser localStorage journal storage
+ */
+export class LocalStorageJournalStorage {
+    /**
+     * @param {string} [prefix] - Local storage key prefix
+     * @param {Storage} [storage] - Storage instance (global localStorage by default)
+     */
+    constructor(prefix = 'sbj_', storage = globalThis.localStorage) {
+        this.prefix = prefix
+        this.storage = storage
+    }
+
+    /**
+     * @type {string}
+     * @readonly
+     */
+    prefix
+    /**
+     * @type {Storage}
+     * @private
+     */
+    storage
+
+    list() {
+        return Object.keys(this.storage)
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => JSON.parse(this.storage.getItem(key)))
+    }
+
+    save(record) {
+        this.storage.setItem(this.prefix + record.id, JSON.stringify(record))
+    }
+
+    remove(id) {
+        this.storage.removeItem(this.prefix + id)
+    }
+}
+
+const csvColumns = ['session', 'uid', 'account', 'sellingAsset', 'buyingAsset', 'sellingAmount', 'estimatedBuyingAmount',
+    'buyingAmount', 'estimatedSellingAmount', 'startedAt', 'finishedAt', 'status', 'sold', 'bought', 'txTimestamp', 'txHash']
+
+function formatCsvValue(value) {
+    if (value === undefined || value === null)
+        return ''
+    value = value.toString()
+    if (/[",\n\r]/.test(value))
+        return '"' + value.replace(/"/g, '""') + '"'
+    return value
+}
+
+function clone(record) {
+    return JSON.parse(JSON.stringify(record))
+}
+
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10)
+}
+
+/**
+ * @typedef {object} JournalStorage - Journal storage backend
+ * @property {function():JournalRecord[]} list - Retrieve all stored records
+ * @property {function(JournalRecord)} save - Insert or update a record
+ * @property {function(string)} remove - Remove a record by id
+ */
+
+/**
+ * @typedef {object} JournalRecord - Trade session record
+ * @property {string} id - Record id
+ * @property {string} uid - Server session id
+ * @property {string} account - Trader account address
+ * @property {string} network - Network passphrase
+ * @property {QuoteParams} quoteRequest - Quote request parameters
+ * @property {QuoteResult} quote - Accepted quote
+ * @property {string} startedAt - Trade start timestamp
+ * @property {string} [finishedAt] - Trade finish timestamp
+ * @property {{ts: string, hash: string, xdr: string}[]} transactions - Transactions signed by the client
+ * @property {{ts: string, sold: string, bought: string}[]} progress - Trade progress snapshots
+ * @property {TradeResult} [result] - Final trade result
+ */
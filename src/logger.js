@@ -0,0 +1,131 @@
+import errors from './errors.js'
+
+const logLevels = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+}
+
+/**
+ * Leveled logger that forwards entries with structured fields to the configured sink
+ */
+export class Logger {
+    /**
+     * @param {LoggerSink} sink - Log entries receiver
+     * @param {LogLevel} level - Min severity of forwarded entries
+     * @param {{}} [fields] - Fields attached to every entry
+     */
+    constructor(sink, level, fields = {}) {
+        this.sink = sink
+        this.level = level
+        this.fields = fields
+    }
+
+    /**
+     * @type {LoggerSink}
+     * @private
+     */
+    sink
+    /**
+     * Min severity of forwarded entries
+     * @type {LogLevel}
+     * @readonly
+     */
+    level
+    /**
+     * @type {{}}
+     * @private
+     */
+    fields
+
+    /**
+     * @param {string} message
+     * @param {{}} [fields]
+     */
+    debug(message, fields) {
+        this.write('debug', message, fields)
+    }
+
+    /**
+     * @param {string} message
+     * @param {{}} [fields]
+     */
+    info(message, fields) {
+        this.write('info', message, fields)
+    }
+
+    /**
+     * @param {string} message
+     * @param {{}} [fields]
+     */
+    warn(message, fields) {
+        this.write('warn', message, fields)
+    }
+
+    /**
+     * @param {string} message
+     * @param {{}} [fields]
+     */
+    error(message, fields) {
+        this.write('error', message, fields)
+    }
+
+    /**
+     * Create logger that attaches additional fields to every entry
+     * @param {{}} fields
+     * @return {Logger}
+     */
+    child(fields) {
+        return new Logger(this.sink, this.level, {...this.fields, ...fields})
+    }
+
+    /**
+     * @param {LogLevel} level
+     * @param {string} message
+     * @param {{}} [fields]
+     * @private
+     */
+    write(level, message, fields) {
+        if (logLevels[level] < logLevels[this.level])
+            return
+        const entry = {...this.fields}
+        for (const [key, value] of Object.entries(fields || {})) {
+            if (value !== undefined) {
+                entry[key] = value
+            }
+        }
+        try {
+            this.sink[level](message, entry)
+        } catch (e) {
+            //logging failures should never affect the caller
+        }
+    }
+}
+
+/**
+ * Create logger from user-provided options
+ * @param {{logger?: LoggerSink, logLevel?: LogLevel}} [options]
+ * @return {Logger}
+ */
+export function createLogger(options = {}) {
+    const {logger = console, logLevel = 'warn'} = options
+    if (!logLevels[logLevel])
+        throw errors.invalidInitParam('logLevel')
+    if (!logger || ['debug', 'info', 'warn', 'error'].some(method => typeof logger[method] !== 'function'))
+        throw errors.invalidInitParam('logger')
+    return new Logger(logger, logLevel)
+}
+
+/**
+ * @typedef {'debug'|'info'|'warn'|'error'|'silent'} LogLevel - Log entries severity
+ */
+
+/**
+ * @typedef {object} LoggerSink - Log entries receiver (console-compatible)
+ * @property {function(string, {})} debug
+ * @property {function(string, {})} info
+ * @property {function(string, {})} warn
+ * @property {function(string, {})} error
+ */
@@ -1,44 +1,58 @@
-import {Asset, Keypair, Memo, Operation, TransactionBuilder, Horizon, Networks, StrKey, TimeoutInfinite, NotFoundError} from '@stellar/stellar-sdk'
-import {fromStroops, toStroops} from './stroops.js'
+import {Asset, Keypair, Memo, Operation, TransactionBuilder, Horizon, StrKey, TimeoutInfinite, NotFoundError} from '@stellar/stellar-sdk'
+import {Amount} from './amount.js'
 import {convertToStellarAsset} from './asset.js'
 import {AuthorizationWrapper} from './authorization.js'
+import {resolveNetwork} from './network.js'
+import errors from './errors.js'
+import {createLogger} from './logger.js'
 
 const defaultStoragePrefix = 'msb_'
+const baseEntryReserve = Amount.parse('0.5')
 
 export class Mediator {
     /**
      * Create a trader mediator account instance for a given source account
      * @param {string} source - Creator account address
-     * @param {string|Asset} sellingAsset - Identifier of the asset to sell
-     * @param {string|Asset} buyingAsset - Identifier of the asset to buy
+     * @param {AssetLike} sellingAsset - Identifier of the asset to sell
+     * @param {AssetLike} buyingAsset - Identifier of the asset to buy
      * @param {string} sellingAmount - Asset amount to sell
      * @param {ClientAuthorizationParams} authorization - Authorization callback or secret key
-     * @param {number} [reserveFeeAmount] - Amount reserved to cover tx fees (all unused funds will be refunded)
+     * @param {number|string} [reserveFeeAmount] - Amount reserved to cover tx fees (all unused funds will be refunded)
+     * @param {MediatorOptions} [options] - Additional mediator options
      */
-    constructor(source, sellingAsset, buyingAsset, sellingAmount, authorization, reserveFeeAmount = 5) {
+    constructor(source, sellingAsset, buyingAsset, sellingAmount, authorization, reserveFeeAmount = 5, options = {}) {
         if (!StrKey.isValidEd25519PublicKey(source))
-            throw new Error('Invalid source account')
+            throw errors.invalidMediatorParam('Invalid source account')
         this.source = source
         try {
             this.sellingAsset = convertToStellarAsset(sellingAsset)
         } catch (e) {
-            console.error(e)
-            throw new Error('Invalid selling asset')
+            throw errors.invalidMediatorParam('Invalid selling asset', e)
         }
         try {
             this.buyingAsset = convertToStellarAsset(buyingAsset)
         } catch (e) {
-            console.error(e)
-            throw new Error('Invalid buying asset')
+            throw errors.invalidMediatorParam('Invalid buying asset', e)
         }
         try {
-            this.sellingAmount = toStroops(sellingAmount)
+            this.sellingAmount = Amount.parse(sellingAmount).stroops
         } catch (e) {
-            console.error(e)
-            throw new Error('Invalid selling amount')
+            throw errors.invalidMediatorParam('Invalid selling amount', e)
         }
+        if (this.sellingAmount < 0n)
+            throw errors.invalidMediatorParam('Invalid selling amount')
+        try {
+            this.reserveFeeAmount = Amount.parse(reserveFeeAmount)
+        } catch (e) {
+            throw errors.invalidMediatorParam('Invalid fee reserve amount', e)
+        }
+        if (this.reserveFeeAmount.isNegative())
+            throw errors.invalidMediatorParam('Invalid fee reserve amount')
         this.authorization = new AuthorizationWrapper(authorization)
-        this.reserveFeeAmount = reserveFeeAmount
+        this.network = resolveNetwork(options.network)
+        this.logger = createLogger(options)
+        if (!this.network.horizon)
+            throw errors.invalidMediatorParam('Horizon URL not provided in the network configuration')
     }
 
     /**
@@ -84,10 +98,21 @@ export class Mediator {
      */
     storagePrefix = defaultStoragePrefix
     /**
-     * @type {number}
+     * @type {Amount}
      * @private
      */
     reserveFeeAmount
+    /**
+     * Stellar network configuration
+     * @type {NetworkConfig}
+     * @readonly
+     */
+    network
+    /**
+     * @type {Logger}
+     * @private
+     */
+    logger
 
     /**
      * Check if there are any non-disposed mediators that belong to lost swap sessions
@@ -125,10 +150,11 @@ export class Mediator {
      * @param {string} source - Initiator account that created a mediator
      * @param {ClientAuthorizationParams} authorization - Authorization callback or secret key
      * @param {string} [storagePrefix] - Local storage key prefix
+     * @param {MediatorOptions} [options] - Additional mediator options
      * @return {Promise}
      */
-    static async disposeObsoleteMediators(source, authorization, storagePrefix = defaultStoragePrefix) {
-        const wrapper = new Mediator(source, 'XLM', 'XLM', '0', authorization)
+    static async disposeObsoleteMediators(source, authorization, storagePrefix = defaultStoragePrefix, options = {}) {
+        const wrapper = new Mediator(source, 'XLM', 'XLM', '0', authorization, undefined, options)
         wrapper.storagePrefix = storagePrefix
         await wrapper.disposeObsoleteMediators()
     }
@@ -140,10 +166,10 @@ export class Mediator {
     async init() {
         const sourceAccount = await this.loadAccount(this.source)
         if (!sourceAccount)
-            throw new Error('Mediator account doesn\'t exist on the ledger')
+            throw errors.accountNotFound('Mediator account doesn\'t exist on the ledger')
         //calculate fees reserve + account entries reserve
         const subentries = 2 + sourceAccount.signers.length - 1 + [this.sellingAsset, this.buyingAsset].filter(a => !a.isNative()).length
-        const feesReserve = this.reserveFeeAmount + 0.5 * subentries
+        const feesReserve = this.reserveFeeAmount.add(baseEntryReserve.mul(subentries))
         const ops = []
         //create new random keypair for the trade
         this.mediator = Keypair.random()
@@ -151,21 +177,21 @@ export class Mediator {
         //create mediator account and deposit funds
         const {sellingAsset, buyingAsset} = this
         if (sellingAsset.isNative()) { //for XLM total amount should include fee reserves
-            const amount = this.sellingAmount + BigInt(feesReserve * 10000000)
+            const amount = feesReserve.add(Amount.fromStroops(this.sellingAmount))
             //check available balance
-            if (toStroops(findTrustline(sourceAccount, sellingAsset).balance) < amount)
-                throw new Error('Insufficient XLM balance for selling amount + potential trading fees')
+            if (Amount.parse(findTrustline(sourceAccount, sellingAsset).balance).lt(amount))
+                throw errors.insufficientBalance('Insufficient XLM balance for selling amount + potential trading fees')
             //only create account is required for asset transfer
             ops.push(Operation.createAccount({
                 source: this.source,
                 destination: this.mediatorAddress,
-                startingBalance: fromStroops(amount)
+                startingBalance: amount.toString()
             }))
         } else {
             //check available XLM balance
             const xlmBalance = findTrustline(sourceAccount, Asset.native())
-            if (parseFloat(xlmBalance.balance) < feesReserve)
-                throw new Error('Insufficient XLM balance for potential trading fees')
+            if (Amount.parse(xlmBalance.balance).lt(feesReserve))
+                throw errors.insufficientBalance('Insufficient XLM balance for potential trading fees')
             //create mediator account
             ops.push(Operation.createAccount({
                 source: this.source,
@@ -174,8 +200,8 @@ export class Mediator {
             }))
             //check available XLM balance
             const sellingTrustline = findTrustline(sourceAccount, this.sellingAsset)
-            if (!sellingTrustline || toStroops(sellingTrustline.balance) < this.sellingAmount)
-                throw new Error('Insufficient selling asset balance')
+            if (!sellingTrustline || Amount.parse(sellingTrustline.balance).lt(Amount.fromStroops(this.sellingAmount)))
+                throw errors.insufficientBalance('Insufficient selling asset balance')
             //TODO: check authorizations
             //create trustline for selling asset
             ops.push(Operation.changeTrust({
@@ -187,7 +213,7 @@ export class Mediator {
                 source: this.source,
                 asset: sellingAsset,
                 destination: this.mediatorAddress,
-                amount: fromStroops(this.sellingAmount)
+                amount: Amount.fromStroops(this.sellingAmount).toString()
             }))
         }
         //create trustline for buying asset
@@ -269,11 +295,11 @@ export class Mediator {
         if (!mediatorAccount) {
             //remove reference from local storage only if account doesn't exist on the ledger
             localStorage.removeItem(this.storagePrefix + address)
-            throw new Error(`Mediator account ${address} doesn't exist on the ledger`)
+            throw errors.accountNotFound(`Mediator account ${address} doesn't exist on the ledger`)
         }
 
         if (!mediatorAccount.signers.find(s => s.key === this.source))
-            throw new Error(`${address} is not a mediator account for ${this.source}`)
+            throw errors.notMediatorAccount(address, this.source)
         const ops = []
         //remove trustlines for each account balance
         for (const balance of mediatorAccount.balances) {
@@ -319,7 +345,7 @@ export class Mediator {
         //create builder
         const builder = new TransactionBuilder(account, {
             fee: '1000000',
-            networkPassphrase: Networks.PUBLIC
+            networkPassphrase: this.network.passphrase
         })
         builder.setTimeout(TimeoutInfinite)
         //add memo if needed
@@ -341,9 +367,15 @@ export class Mediator {
             tx = await this.authorization.authorize(tx)
         }
         //execute the tx
-        const res = await this.constructor.createHorizon().submitTransaction(tx, {skipMemoRequiredCheck: true})
+        let res
+        try {
+            res = await this.constructor.createHorizon(this.network.horizon).submitTransaction(tx, {skipMemoRequiredCheck: true})
+        } catch (e) {
+            this.logger.error('Failed to submit mediator transaction', {txHash: tx.hash().toString('hex'), error: e.message})
+            throw errors.mediatorTxFailed(e)
+        }
         if (!res.successful)
-            throw new Error('Failed to create mediator account')
+            throw errors.mediatorTxFailed(res)
     }
 
     /**
@@ -353,26 +385,34 @@ export class Mediator {
      */
     async loadAccount(address) {
         try {
-            return await this.constructor.createHorizon().loadAccount(address)
+            return await this.constructor.createHorizon(this.network.horizon).loadAccount(address)
         } catch (e) {
             if (e instanceof NotFoundError) {
-                console.warn(`Account ${address} doesn't exist on the ledger`)
+                this.logger.debug(`Account ${address} doesn't exist on the ledger`, {address})
                 return null
             }
-            console.error(e)
-            throw e
+            this.logger.error('Failed to load account', {address, error: e.message})
+            throw errors.mediatorAccountLoadFailed(address, e)
         }
     }
 
     /**
+     * @param {string} [horizonUrl] - Horizon server URL
      * @return {HorizonServer}
      * @private
      */
-    static createHorizon() {
-        return new Horizon.Server('https://horizon.stellar.org')
+    static createHorizon(horizonUrl = 'https://horizon.stellar.org') {
+        return new Horizon.Server(horizonUrl)
     }
 }
 
+/**
+ * @typedef {object} MediatorOptions - Additional mediator options
+ * @property {NetworkPreset|NetworkConfig} [network] - Network preset name or custom network configuration ("public" by default)
+ * @property {LoggerSink} [logger] - Log entries receiver (console by default)
+ * @property {LogLevel} [logLevel] - Min severity of logged entries ("warn" by default)
+ */
+
 
 /**
  * @param {AccountResponse} account
@@ -0,0 +1,551 @@
+import http from 'node:http'
+import {randomUUID} from 'node:crypto'
+import {WebSocketServer} from 'ws'
+import {Account, Keypair, Operation, TransactionBuilder} from '@stellar/stellar-sdk'
+import {convertToStellarAsset} from './asset.js'
+import {fromStroops, toStroops} from './stroops.js'
+import {validateQuoteRequest} from './quote-request.js'
+import {resolveNetwork} from './network.js'
+
+/**
+ * @typedef {object} MockScenario - Scripted behavior of the mock StellarBroker server
+ * @property {string} [rate] - Price of the selling asset denominated in the buying asset ("1" by default)
+ * @property {number} [directTradeShortfall] - Relative shortfall of the emulated direct trade compared to the quote (0.01 by default)
+ * @property {QuoteResultStatus} [quoteStatus] - Status of generated quotes ("success" by default)
+ * @property {string} [quoteError] - Error details for unsuccessful quotes
+ * @property {number} [quoteInterval] - Interval between quote updates, in milliseconds (1000 by default)
+ * @property {number} [pauseAfter] - Pause quotation after sending a given number of quotes
+ * @property {string} [executionRate] - Price used to build swap transactions (same as `rate` by default)
+ * @property {string} [realisedRate] - Price at which swap transactions are reported to be executed (same as `executionRate` by default)
+ * @property {string[]} [fills] - Amounts executed by each swap transaction, denominated in the selling asset (or in the buying asset for exact-output trades); the whole quoted amount is executed in a single transaction by default
+ * @property {boolean} [parallel] - Send all swap transactions at once instead of waiting for each signed transaction
+ * @property {string} [fee] - Service fee charged in the selling asset by every swap transaction
+ * @property {string} [networkFee] - Fee-bump base fee requested for every transaction, in stroops ("200" by default)
+ * @property {string} [status] - Final trade status ("success" by default)
+ * @property {'quote'|'trade'|number} [errorAt] - Respond with an error to the quote request, trade request, or after receiving a given number of signed transactions
+ * @property {string} [errorMessage] - Error message sent to the client
+ * @property {string} [errorCode] - Error code sent to the client (e.g. "insufficient_liquidity")
+ * @property {number} [disconnectAfter] - Drop the connection after receiving a given number of signed transactions
+ * @property {boolean} [dropHeartbeats] - Do not send heartbeat pings
+ * @property {number} [pingInterval] - Interval between heartbeat pings, in milliseconds (3000 by default)
+ */
+
+/**
+ * @type {MockScenario}
+ */
+const defaultScenario = {
+    rate: '1',
+    directTradeShortfall: 0.01,
+    quoteStatus: 'success',
+    quoteInterval: 1000,
+    networkFee: '200',
+    status: 'success',
+    errorMessage: 'Trade failed',
+    pingInterval: 3000
+}
+
+/**
+ * Local StellarBroker server emulator for integration tests
+ */
+export class MockBrokerServer {
+    /**
+     * @param {{network?: NetworkPreset|NetworkConfig, scenario?: MockScenario}} [options]
+     */
+    constructor({network = 'testnet', scenario} = {}) {
+        this.network = resolveNetwork(network).passphrase
+        this.setScenario(scenario)
+    }
+
+    /**
+     * Network passphrase used to build transactions
+     * @type {string}
+     * @readonly
+     */
+    network
+    /**
+     * Current server scenario
+     * @type {MockScenario}
+     * @readonly
+     */
+    scenario
+    /**
+     * Server origin, available once the server is started
+     * @type {string}
+     * @readonly
+     */
+    origin
+    /**
+     * Messages received from clients
+     * @type {{uid: string, message: {}}[]}
+     * @readonly
+     */
+    received = []
+    /**
+     * URLs of HTTP requests received from clients
+     * @type {string[]}
+     * @readonly
+     */
+    httpRequests = []
+    /**
+     * Signed transactions returned by clients
+     * @type {FeeBumpTransaction[]}
+     * @readonly
+     */
+    signedTransactions = []
+    /**
+     * Account that receives service fees
+     * @type {string}
+     * @readonly
+     */
+    feeCollector = Keypair.random().publicKey()
+    /**
+     * @type {Map<string, MockSession>}
+     * @private
+     */
+    sessions = new Map()
+    /**
+     * @type {Set<MockConnection>}
+     * @private
+     */
+    connections = new Set()
+    /**
+     * Channel account used as a source for swap transactions
+     * @type {Keypair}
+     * @private
+     */
+    channel = Keypair.random()
+    /**
+     * @type {Account}
+     * @private
+     */
+    channelAccount = new Account(this.channel.publicKey(), '100')
+
+    /**
+     * Replace current server scenario
+     * @param {MockScenario} [scenario]
+     */
+    setScenario(scenario) {
+        this.scenario = {...defaultScenario, ...scenario}
+    }
+
+    /**
+     * Start HTTP and WebSocket server
+     * @param {number} [port] - Port to listen on (random available port by default)
+     * @return {Promise<string>} - Server origin
+     */
+    async start(port = 0) {
+        this.httpServer = http.createServer((req, res) => this.processHttpRequest(req, res))
+        this.wsServer = new WebSocketServer({server: this.httpServer, path: '/ws'})
+        this.wsServer.on('connection', (socket, req) => this.processConnection(socket, req))
+        await new Promise(resolve => this.httpServer.listen(port, '127.0.0.1', resolve))
+        this.origin = 'http://127.0.0.1:' + this.httpServer.address().port
+        return this.origin
+    }
+
+    /**
+     * Stop the server and drop all connections
+     * @return {Promise}
+     */
+    async stop() {
+        for (const connection of this.connections) {
+            this.dropConnection(connection)
+        }
+        for (const session of this.sessions.values()) {
+            clearInterval(session.quoteTimer)
+        }
+        this.sessions.clear()
+        if (!this.httpServer)
+            return
+        await new Promise(resolve => this.wsServer.close(resolve))
+        await new Promise(resolve => this.httpServer.close(resolve))
+        this.httpServer = undefined
+        this.wsServer = undefined
+    }
+
+    /**
+     * Drop connections without closing handshake, emulating a network failure
+     */
+    disconnectAll() {
+        for (const connection of this.connections) {
+            this.dropConnection(connection)
+        }
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @private
+     */
+    processHttpRequest(req, res) {
+        this.httpRequests.push(req.url)
+        const url = new URL(req.url, 'http://localhost')
+        if (req.method !== 'GET' || url.pathname !== '/quote') {
+            res.writeHead(404, {'Content-Type': 'application/json'})
+            res.end(JSON.stringify({error: 'Not found'}))
+            return
+        }
+        let quote
+        try {
+            quote = this.buildQuote(validateQuoteRequest(Object.fromEntries(url.searchParams)))
+        } catch (e) {
+            res.writeHead(400, {'Content-Type': 'application/json'})
+            res.end(JSON.stringify({status: 'rejected', error: e.message}))
+            return
+        }
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify(quote))
+    }
+
+    /**
+     * @param {WebSocket} socket
+     * @param {http.IncomingMessage} req
+     * @private
+     */
+    processConnection(socket, req) {
+        const uid = randomUUID()
+        /** @type {MockConnection} */
+        const connection = {uid, socket}
+        this.connections.add(connection)
+        this.attachSession(connection, {
+            uid,
+            partner: new URL(req.url, 'http://localhost').searchParams.get('partner')
+        })
+        socket.on('message', data => {
+            const message = JSON.parse(data.toString())
+            this.received.push({uid: connection.session.uid, message})
+            this.processMessage(connection, message)
+        })
+        socket.on('close', () => this.dropConnection(connection))
+        this.send(connection.session, {type: 'connected', uid})
+        if (!this.scenario.dropHeartbeats) {
+            connection.pingTimer = setInterval(() => {
+                if (!this.scenario.dropHeartbeats) {
+                    this.send(connection.session, {type: 'ping', uid})
+                }
+            }, this.scenario.pingInterval)
+        }
+    }
+
+    /**
+     * @param {MockConnection} connection
+     * @param {MockSession} session
+     * @private
+     */
+    attachSession(connection, session) {
+        connection.session = session
+        session.connection = connection
+        this.sessions.set(session.uid, session)
+    }
+
+    /**
+     * @param {MockConnection} connection
+     * @private
+     */
+    dropConnection(connection) {
+        if (!this.connections.delete(connection))
+            return
+        clearInterval(connection.pingTimer)
+        const {session} = connection
+        clearInterval(session.quoteTimer)
+        session.connection = undefined
+        session.trade = undefined //the trade can't proceed without the client signing transactions
+        this.sessions.delete(session.uid)
+        connection.socket.terminate()
+    }
+
+    /**
+     * @param {MockConnection} connection
+     * @param {{}} message
+     * @private
+     */
+    processMessage(connection, message) {
+        const {session} = connection
+        switch (message.type) {
+            case 'quote':
+                this.startQuotation(session, message)
+                break
+            case 'trade':
+                this.startTrade(session, message.account)
+                break
+            case 'tx':
+                this.processSignedTx(session, message)
+                break
+            case 'stop':
+                clearInterval(session.quoteTimer)
+                session.quoteRequest = undefined
+                session.trade = undefined
+                break
+            case 'pong':
+                connection.lastPong = new Date()
+                break
+        }
+    }
+
+    /**
+     * @param {MockSession} session
+     * @param {QuoteParams} request
+     * @private
+     */
+    startQuotation(session, request) {
+        clearInterval(session.quoteTimer)
+        if (this.scenario.errorAt === 'quote') {
+            this.send(session, {type: 'error', error: this.scenario.errorMessage, code: this.scenario.errorCode})
+            return
+        }
+        const {type, ...quoteRequest} = request
+        session.quoteRequest = quoteRequest
+        let counter = 0
+        const sendQuote = () => {
+            if (this.scenario.pauseAfter !== undefined && counter >= this.scenario.pauseAfter) {
+                clearInterval(session.quoteTimer)
+                this.send(session, {type: 'paused'})
+                return
+            }
+            counter++
+            session.lastQuote = this.buildQuote(quoteRequest)
+            this.send(session, {type: 'quote', quote: session.lastQuote})
+        }
+        sendQuote()
+        session.quoteTimer = setInterval(sendQuote, this.scenario.quoteInterval)
+    }
+
+    /**
+     * @param {MockSession} session
+     * @param {string} account
+     * @private
+     */
+    startTrade(session, account) {
+        clearInterval(session.quoteTimer)
+        if (this.scenario.errorAt === 'trade' || !session.lastQuote) {
+            if (session.lastQuote) {
+                this.send(session, {type: 'error', error: this.scenario.errorMessage, code: this.scenario.errorCode})
+            } else {
+                this.send(session, {type: 'error', error: 'Quote not available', code: 'quote_not_available'})
+            }
+            return
+        }
+        const quote = session.lastQuote
+        session.trade = {
+            account,
+            quote,
+            fills: this.scenario.fills || [quote.buyingAmount || quote.sellingAmount],
+            step: 0,
+            signed: 0,
+            pending: [],
+            sold: 0n,
+            bought: 0n
+        }
+        this.sendNextTx(session)
+    }
+
+    /**
+     * @param {MockSession} session
+     * @private
+     */
+    sendNextTx(session) {
+        const {trade} = session
+        if (trade.pending.length)
+            return //wait for pending transactions
+        if (trade.step >= trade.fills.length) {
+            this.send(session, {
+                type: 'stop',
+                status: this.scenario.status,
+                sold: fromStroops(trade.sold),
+                bought: fromStroops(trade.bought)
+            })
+            session.trade = undefined
+            return
+        }
+        const fills = this.scenario.parallel ? trade.fills.slice(trade.step) : [trade.fills[trade.step]]
+        trade.pending = fills.map(fill => this.buildSwapTx(trade, fill))
+        this.sendPendingTx(session)
+    }
+
+    /**
+     * @param {{}} trade
+     * @param {string} fill
+     * @return {{hash: string, xdr: string, sold: bigint, bought: bigint}}
+     * @private
+     */
+    buildSwapTx(trade, fill) {
+        const selling = convertToStellarAsset(trade.quote.sellingAsset)
+        const buying = convertToStellarAsset(trade.quote.buyingAsset)
+        const executionRate = toStroops(this.scenario.executionRate || this.scenario.rate)
+        const builder = new TransactionBuilder(this.channelAccount, {fee: '100', networkPassphrase: this.network})
+        let sell
+        let buy
+        if (trade.quote.buyingAmount) { //exact-output trade - fills are denominated in the buying asset
+            buy = toStroops(fill)
+            sell = buy * 10000000n / executionRate
+            const maxSell = sell * BigInt(Math.round((1 + trade.quote.slippageTolerance) * 10000000)) / 10000000n
+            builder.addOperation(Operation.pathPaymentStrictReceive({
+                source: trade.account,
+                sendAsset: selling,
+                sendMax: fromStroops(maxSell),
+                destination: trade.account,
+                destAsset: buying,
+                destAmount: fromStroops(buy),
+                path: []
+            }))
+        } else {
+            sell = toStroops(fill)
+            buy = sell * executionRate / 10000000n
+            const minBuy = buy * BigInt(Math.round((1 - trade.quote.slippageTolerance) * 10000000)) / 10000000n
+            builder.addOperation(Operation.pathPaymentStrictSend({
+                source: trade.account,
+                sendAsset: selling,
+                sendAmount: fromStroops(sell),
+                destination: trade.account,
+                destAsset: buying,
+                destMin: fromStroops(minBuy > 0n ? minBuy : 1n),
+                path: []
+            }))
+        }
+        if (this.scenario.fee) {
+            builder.addOperation(Operation.pathPaymentStrictSend({
+                source: trade.account,
+                sendAsset: selling,
+                sendAmount: this.scenario.fee,
+                destination: this.feeCollector,
+                destAsset: selling,
+                destMin: this.scenario.fee,
+                path: []
+            }))
+        }
+        const tx = builder.setTimeout(300).build()
+        tx.sign(this.channel)
+        if (this.scenario.realisedRate) { //emulate execution at a worse price within the transaction limits
+            const realisedRate = toStroops(this.scenario.realisedRate)
+            if (trade.quote.buyingAmount) {
+                sell = buy * 10000000n / realisedRate
+            } else {
+                buy = sell * realisedRate / 10000000n
+            }
+        }
+        return {
+            hash: tx.hash().toString('hex'),
+            xdr: tx.toXDR(),
+            sold: sell,
+            bought: buy
+        }
+    }
+
+    /**
+     * @param {MockSession} session
+     * @private
+     */
+    sendPendingTx(session) {
+        for (const pending of session.trade.pending) {
+            this.send(session, {type: 'tx', hash: pending.hash, xdr: pending.xdr, networkFee: this.scenario.networkFee})
+        }
+    }
+
+    /**
+     * @param {MockSession} session
+     * @param {{hash: string, xdr: string}} message
+     * @private
+     */
+    processSignedTx(session, message) {
+        const {trade} = session
+        const pending = trade?.pending.find(pending => pending.hash === message.hash)
+        if (!pending)
+            return //unexpected tx
+        this.signedTransactions.push(TransactionBuilder.fromXDR(message.xdr, this.network))
+        trade.sold += pending.sold
+        trade.bought += pending.bought
+        trade.pending.splice(trade.pending.indexOf(pending), 1)
+        trade.step++
+        trade.signed++
+        if (this.scenario.errorAt === trade.signed) {
+            this.send(session, {type: 'error', error: this.scenario.errorMessage, code: this.scenario.errorCode})
+            session.trade = undefined
+            return
+        }
+        this.send(session, {type: 'progress', sold: fromStroops(trade.sold), bought: fromStroops(trade.bought)})
+        if (this.scenario.disconnectAfter === trade.signed) {
+            this.dropConnection(session.connection)
+            return
+        }
+        this.sendNextTx(session)
+    }
+
+    /**
+     * @param {QuoteParams} request
+     * @return {{}}
+     * @private
+     */
+    buildQuote(request) {
+        const {sellingAsset, buyingAsset, sellingAmount, buyingAmount, slippageTolerance} = request
+        const {quoteStatus, quoteError, rate, directTradeShortfall} = this.scenario
+        if (quoteStatus !== 'success')
+            return {status: quoteStatus, sellingAsset, buyingAsset, sellingAmount, buyingAmount, slippageTolerance, error: quoteError}
+        if (buyingAmount) {
+            const estimated = toStroops(buyingAmount) * 10000000n / toStroops(rate)
+            const direct = estimated * BigInt(Math.round((1 + directTradeShortfall) * 10000000)) / 10000000n
+            return {
+                status: 'success',
+                sellingAsset,
+                buyingAsset,
+                buyingAmount,
+                slippageTolerance,
+                estimatedSellingAmount: fromStroops(estimated),
+                directTrade: {
+                    selling: fromStroops(direct),
+                    buying: buyingAmount,
+                    path: []
+                },
+                ts: new Date().toISOString()
+            }
+        }
+        const estimated = toStroops(sellingAmount) * toStroops(rate) / 10000000n
+        const direct = estimated * BigInt(Math.round((1 - directTradeShortfall) * 10000000)) / 10000000n
+        return {
+            status: 'success',
+            sellingAsset,
+            buyingAsset,
+            sellingAmount,
+            slippageTolerance,
+            estimatedBuyingAmount: fromStroops(estimated),
+            directTrade: {
+                selling: sellingAmount,
+                buying: fromStroops(direct),
+                path: []
+            },
+            ts: new Date().toISOString()
+        }
+    }
+
+    /**
+     * @param {MockSession} session
+     * @param {{}} message
+     * @private
+     */
+    send(session, message) {
+        const socket = session.connection?.socket
+        if (socket?.readyState === 1) {
+            socket.send(JSON.stringify(message))
+        }
+    }
+}
+
+/**
+ * @typedef {object} MockSession
+ * @property {string} uid
+ * @property {string} [partner]
+ * @property {MockConnection} [connection]
+ * @property {QuoteParams} [quoteRequest]
+ * @property {{}} [lastQuote]
+ * @property {{}} [trade]
+ * @property {*} [quoteTimer]
+ * @private
+ */
+
+/**
+ * @typedef {object} MockConnection
+ * @property {string} uid
+ * @property {WebSocket} socket
+ * @property {MockSession} session
+ * @property {*} [pingTimer]
+ * @property {Date} [lastPong]
+ * @private
+ */
@@ -0,0 +1,61 @@
+import {Networks} from '@stellar/stellar-sdk'
+import errors from './errors.js'
+
+/**
+ * @typedef {object} NetworkConfig - Stellar network and StellarBroker service endpoints
+ * @property {string} passphrase - Stellar network passphrase
+ * @property {string} [origin] - StellarBroker API origin
+ * @property {string} [horizon] - Horizon server URL
+ */
+
+/**
+ * @typedef {'public'|'testnet'|'futurenet'} NetworkPreset - Predefined network configuration name
+ */
+
+/**
+ * @typedef {'public'|NetworkConfig} BrokerNetwork - Network configuration that includes StellarBroker API origin
+ * (only the "public" preset has a predefined origin, other networks require a custom config with explicit origin)
+ */
+
+/**
+ * Predefined network configurations (StellarBroker API origin is predefined only for the public network)
+ * @type {Object<NetworkPreset, NetworkConfig>}
+ */
+export const networks = Object.freeze({
+    public: Object.freeze({
+        passphrase: Networks.PUBLIC,
+        origin: 'https://api.stellar.broker',
+        horizon: 'https://horizon.stellar.org'
+    }),
+    testnet: Object.freeze({
+        passphrase: Networks.TESTNET,
+        horizon: 'https://horizon-testnet.stellar.org'
+    }),
+    futurenet: Object.freeze({
+        passphrase: Networks.FUTURENET,
+        horizon: 'https://horizon-futurenet.stellar.org'
+    })
+})
+
+/**
+ * Resolve network configuration from a preset name or a custom config object.
+ * Missing endpoints of a custom config are populated from the preset with the same passphrase.
+ * @param {NetworkPreset|NetworkConfig} [network] - Network preset name or custom configuration ("public" by default)
+ * @return {NetworkConfig}
+ */
+export function resolveNetwork(network = 'public') {
+    if (typeof network === 'string') {
+        const preset = networks[network]
+        if (!preset)
+            throw errors.invalidInitParam('network')
+        return preset
+    }
+    if (!network || typeof network.passphrase !== 'string' || !network.passphrase)
+        throw errors.invalidInitParam('network')
+    const preset = Object.values(networks).find(n => n.passphrase === network.passphrase)
+    return Object.freeze({...preset, ...stripUndefined(network)})
+}
+
+function stripUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(kv => kv[1] !== undefined))
+}
@@ -0,0 +1,215 @@
+import {ClientOptions} from "ws";
+import {FeeBumpTransaction} from "@stellar/stellar-sdk";
+import {
+    StellarBrokerClient as StellarBrokerBaseClient,
+    QuoteBoard as QuoteBoardBase,
+    QuoteBoardOptions,
+    ClientInitializationParams,
+    WebSocketTransport,
+    NetworkConfig,
+    NetworkPreset,
+    QuoteResultStatus,
+    JournalStorage,
+    JournalRecord
+} from "./index";
+
+export * from "./index";
+
+/**
+ * Create WebSocket transport based on the "ws" package
+ * @param [options] - "ws" client options (e.g. proxy agent or custom headers)
+ */
+export function createWsTransport(options?: ClientOptions): WebSocketTransport;
+
+/**
+ * Client for StellarBroker service that uses "ws" package as a WebSocket transport by default
+ */
+export class StellarBrokerClient extends StellarBrokerBaseClient {
+    constructor(params: ClientInitializationParams);
+}
+
+/**
+ * Multi-pair quote board that uses "ws" package as a WebSocket transport by default
+ */
+export class QuoteBoard extends QuoteBoardBase {
+    constructor(params: ClientInitializationParams, options?: QuoteBoardOptions);
+}
+
+/**
+ * File-based journal storage for Node.js environment, keeps all records in a single JSON file.
+ * Records are cached in memory, changes are written to the file asynchronously in batches.
+ */
+export class FileJournalStorage implements JournalStorage {
+    /**
+     * @param path - Journal file path
+     * @param [options] - Storage settings
+     */
+    constructor(path: string, options?: FileJournalStorageOptions);
+
+    readonly path: string;
+
+    /**
+     * Delay before writing accumulated changes to the file, in milliseconds
+     */
+    readonly writeDelay: number;
+
+    list(): JournalRecord[];
+    save(record: JournalRecord): void;
+    remove(id: string): void;
+
+    /**
+     * Write pending changes to the file immediately
+     * @return Resolves once all changes are written, rejects if the file can't be written
+     */
+    flush(): Promise<void>;
+}
+
+/**
+ * File journal storage settings
+ */
+export interface FileJournalStorageOptions {
+    /**
+     * Delay before writing accumulated changes to the file, in milliseconds (100 by default)
+     */
+    writeDelay?: number;
+}
+
+/**
+ * Scripted behavior of the mock StellarBroker server
+ */
+export interface MockScenario {
+    /**
+     * Price of the selling asset denominated in the buying asset ("1" by default)
+     */
+    rate?: string;
+    /**
+     * Relative shortfall of the emulated direct trade compared to the quote (0.01 by default)
+     */
+    directTradeShortfall?: number;
+    /**
+     * Status of generated quotes ("success" by default)
+     */
+    quoteStatus?: QuoteResultStatus;
+    /**
+     * Error details for unsuccessful quotes
+     */
+    quoteError?: string;
+    /**
+     * Interval between quote updates, in milliseconds (1000 by default)
+     */
+    quoteInterval?: number;
+    /**
+     * Pause quotation after sending a given number of quotes
+     */
+    pauseAfter?: number;
+    /**
+     * Price used to build swap transactions (same as `rate` by default)
+     */
+    executionRate?: string;
+    /**
+     * Price at which swap transactions are reported to be executed (same as `executionRate` by default)
+     */
+    realisedRate?: string;
+    /**
+     * Amounts executed by each swap transaction, denominated in the selling asset (or in the buying asset for exact-output trades);
+     * the whole quoted amount is executed in a single transaction by default
+     */
+    fills?: string[];
+    /**
+     * Send all swap transactions at once instead of waiting for each signed transaction
+     */
+    parallel?: boolean;
+    /**
+     * Service fee charged in the selling asset by every swap transaction
+     */
+    fee?: string;
+    /**
+     * Fee-bump base fee requested for every transaction, in stroops ("200" by default)
+     */
+    networkFee?: string;
+    /**
+     * Final trade status ("success" by default)
+     */
+    status?: string;
+    /**
+     * Respond with an error to the quote request, trade request, or after receiving a given number of signed transactions
+     */
+    errorAt?: "quote" | "trade" | number;
+    /**
+     * Error message sent to the client
+     */
+    errorMessage?: string;
+    /**
+     * Error code sent to the client (e.g. "insufficient_liquidity")
+     */
+    errorCode?: string;
+    /**
+     * Drop the connection after receiving a given number of signed transactions
+     */
+    disconnectAfter?: number;
+    /**
+     * Do not send heartbeat pings
+     */
+    dropHeartbeats?: boolean;
+    /**
+     * Interval between heartbeat pings, in milliseconds (3000 by default)
+     */
+    pingInterval?: number;
+}
+
+/**
+ * Local StellarBroker server emulator for integration tests
+ */
+export class MockBrokerServer {
+    constructor(options?: { network?: NetworkPreset | NetworkConfig, scenario?: MockScenario });
+
+    /**
+     * Network passphrase used to build transactions
+     */
+    readonly network: string;
+    /**
+     * Current server scenario
+     */
+    readonly scenario: MockScenario;
+    /**
+     * Server origin, available once the server is started
+     */
+    readonly origin: string;
+    /**
+     * Messages received from clients
+     */
+    readonly received: { uid: string, message: any }[];
+    /**
+     * URLs of HTTP requests received from clients
+     */
+    readonly httpRequests: string[];
+    /**
+     * Signed transactions returned by clients
+     */
+    readonly signedTransactions: FeeBumpTransaction[];
+    /**
+     * Account that receives service fees
+     */
+    readonly feeCollector: string;
+
+    /**
+     * Replace current server scenario
+     */
+    setScenario(scenario?: MockScenario): void;
+
+    /**
+     * Start HTTP and WebSocket server
+     * @param [port] - Port to listen on (random available port by default)
+     */
+    start(port?: number): Promise<string>;
+
+    /**
+     * Stop the server and drop all connections
+     */
+    stop(): Promise<void>;
+
+    /**
+     * Drop connections without closing handshake, emulating a network failure
+     */
+    disconnectAll(): void;
+}
@@ -0,0 +1,41 @@
+import WebSocket from 'ws'
+import {StellarBrokerClient as StellarBrokerBaseClient} from './client.js'
+import {QuoteBoard as QuoteBoardBase} from './quote-board.js'
+
+export * from './index.js'
+export {MockBrokerServer} from './mock-server.js'
+export {FileJournalStorage} from './journal-file-storage.js'
+
+/**
+ * Create WebSocket transport based on the "ws" package
+ * @param {{}} [options] - "ws" client options (e.g. proxy agent or custom headers)
+ * @return {WebSocketTransport}
+ */
+export function createWsTransport(options) {
+    return url => new WebSocket(url, options)
+}
+
+/**
+ * Client for StellarBroker service that uses "ws" package as a WebSocket transport by default
+ */
+export class StellarBrokerClient extends StellarBrokerBaseClient {
+    /**
+     * @param {ClientInitializationParams} params
+     */
+    constructor(params) {
+        super({transport: createWsTransport(), ...params})
+    }
+}
+
+/**
+ * Multi-pair quote board that uses "ws" package as a WebSocket transport by default
+ */
+export class QuoteBoard extends QuoteBoardBase {
+    /**
+     * @param {ClientInitializationParams} params
+     * @param {QuoteBoardOptions} [options]
+     */
+    constructor(params, options) {
+        super({transport: createWsTransport(), ...params}, options)
+    }
+}
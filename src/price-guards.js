@@ -0,0 +1,108 @@
+import errors from './errors.js'
+import {toStroops} from './stroops.js'
+import {getQuotedAmounts} from './quote-result.js'
+
+/**
+ * @param {PriceGuards} guards
+ * @return {PriceGuards}
+ */
+export function validatePriceGuards(guards = {}) {
+    const {minBuyingAmount, maxPriceImpact, maxQuoteAge} = guards
+    if (minBuyingAmount !== undefined) {
+        let amount
+        try {
+            amount = toStroops(minBuyingAmount, true)
+        } catch (e) {
+        }
+        if (!(amount > 0n))
+            throw errors.invalidQuoteParam('minBuyingAmount', 'Invalid min buying amount: ' + minBuyingAmount)
+    }
+    if (maxPriceImpact !== undefined && (typeof maxPriceImpact !== 'number' || !(maxPriceImpact >= 0 && maxPriceImpact < 1)))
+        throw errors.invalidQuoteParam('maxPriceImpact', 'Invalid max price impact, expected value >= 0 and < 1')
+    if (maxQuoteAge !== undefined && (typeof maxQuoteAge !== 'number' || !(maxQuoteAge > 0)))
+        throw errors.invalidQuoteParam('maxQuoteAge', 'Invalid max quote age, positive number expected')
+    return {minBuyingAmount, maxPriceImpact, maxQuoteAge}
+}
+
+/**
+ * Check the quote against price guards
+ * @param {QuoteResult} quote
+ * @param {PriceGuards} guards
+ * @return {string|undefined} - Violation details, if any
+ */
+export function findPriceGuardViolation(quote, guards) {
+    const {selling, buying} = getQuotedAmounts(quote)
+    if (guards.minBuyingAmount !== undefined && buying < toStroops(guards.minBuyingAmount))
+        return 'Estimated buying amount is lower than ' + guards.minBuyingAmount
+    if (guards.maxPriceImpact !== undefined) {
+        const direct = getDirectTradeAmounts(quote)
+        if (!direct)
+            return 'Direct trade estimate not available'
+        const minRatio = BigInt(Math.round((1 - guards.maxPriceImpact) * 10000000))
+        // buying/selling < directBuying/directSelling * (1 - maxPriceImpact)
+        if (buying * direct.selling * 10000000n < selling * direct.buying * minRatio)
+            return 'Quoted price deviates from the direct trade price by more than ' + guards.maxPriceImpact
+    }
+}
+
+/**
+ * Calculate the min acceptable realised rate (buying amount per unit of selling amount) for the trade
+ * @param {QuoteResult} quote
+ * @param {PriceGuards} guards
+ * @return {RateFloor|undefined}
+ */
+export function getRateFloor(quote, guards) {
+    const candidates = []
+    if (guards.minBuyingAmount !== undefined) {
+        candidates.push({buying: toStroops(guards.minBuyingAmount), selling: getQuotedAmounts(quote).selling})
+    }
+    if (guards.maxPriceImpact !== undefined) {
+        const direct = getDirectTradeAmounts(quote)
+        if (direct) {
+            const minRatio = BigInt(Math.round((1 - guards.maxPriceImpact) * 10000000))
+            candidates.push({buying: direct.buying * minRatio, selling: direct.selling * 10000000n})
+        }
+    }
+    //pick the highest floor
+    return candidates.reduce((floor, rate) => !floor || rate.buying * floor.selling > floor.buying * rate.selling ? rate : floor, undefined)
+}
+
+/**
+ * Check whether realised trade rate is below the floor
+ * @param {RateFloor} floor
+ * @param {string} sold - Amount of selling asset sold so far
+ * @param {string} bought - Amount of buying asset bought so far
+ * @return {boolean}
+ */
+export function isBelowRateFloor(floor, sold, bought) {
+    const soldAmount = toStroops(sold)
+    if (!floor || soldAmount <= 0n)
+        return false
+    return toStroops(bought) * floor.selling < soldAmount * floor.buying
+}
+
+/**
+ * @param {QuoteResult} quote
+ * @return {{selling: bigint, buying: bigint}|undefined}
+ */
+function getDirectTradeAmounts(quote) {
+    const {directTrade} = quote
+    if (!directTrade?.selling || !directTrade?.buying)
+        return undefined
+    const res = {selling: toStroops(directTrade.selling), buying: toStroops(directTrade.buying)}
+    if (res.selling <= 0n || res.buying <= 0n)
+        return undefined
+    return res
+}
+
+/**
+ * @typedef {object} PriceGuards - Price protection checked at confirmation time and enforced during the trade
+ * @property {string} [minBuyingAmount] - Minimum acceptable estimated amount of the buying asset
+ * @property {number} [maxPriceImpact] - Max relative deviation of the quoted price below the equivalent direct trade price
+ * @property {number} [maxQuoteAge] - Max age of the confirmed quote, in milliseconds (overrides client-level setting)
+ */
+
+/**
+ * @typedef {{selling: bigint, buying: bigint}} RateFloor - Min acceptable ratio of bought and sold amounts
+ * @private
+ */
@@ -0,0 +1,261 @@
+import errors from './errors.js'
+import {buildEvent, createEmitter} from './events.js'
+import {StellarBrokerClient} from './client.js'
+import {validateQuoteRequest} from './quote-request.js'
+import {getPairKey} from './quote-result.js'
+
+/**
+ * Live quotes for multiple trading pairs.
+ * Every subscribed pair is served by a separate pooled client connection (the server protocol streams quotes for a single
+ * pair per connection), idle connections are reused for new subscriptions.
+ */
+export class QuoteBoard {
+    /**
+     * @param {ClientInitializationParams} params - Client initialization params shared by all pooled connections
+     * @param {QuoteBoardOptions} [options] - Quote board options
+     */
+    constructor(params, {maxPairs = 10} = {}) {
+        if (!Number.isInteger(maxPairs) || maxPairs < 1)
+            throw errors.invalidInitParam('maxPairs')
+        this.params = params
+        this.maxPairs = maxPairs
+        this.emitter = createEmitter()
+    }
+
+    /**
+     * @type {ClientInitializationParams}
+     * @private
+     */
+    params
+    /**
+     * Max number of simultaneously subscribed pairs (and pooled connections)
+     * @type {number}
+     * @readonly
+     */
+    maxPairs
+    /**
+     * @type {EventTarget}
+     * @private
+     */
+    emitter
+    /**
+     * Subscribed pairs
+     * @type {Map<string, QuoteBoardSubscription>}
+     * @private
+     */
+    subscriptions = new Map()
+    /**
+     * Clients available for reuse
+     * @type {StellarBrokerClient[]}
+     * @private
+     */
+    idle = []
+
+    /**
+     * Start receiving quotes for the trading pair (replaces quote params if the pair has been already subscribed)
+     * @param {QuoteParams} params - Quote parameters
+     * @return {string} - Pair key
+     * @throws {StellarBrokerError} Max number of subscribed pairs exceeded
+     */
+    subscribe(params) {
+        const request = validateQuoteRequest(params)
+        const key = getPairKey(request.sellingAsset, request.buyingAsset)
+        let subscription = this.subscriptions.get(key)
+        if (!subscription) {
+            if (this.subscriptions.size >= this.maxPairs)
+                throw errors.quoteBoardLimitExceeded(this.maxPairs)
+            subscription = {key, request}
+            this.subscriptions.set(key, subscription)
+            this.attachClient(subscription)
+        } else {
+            subscription.request = request
+            subscription.quote = undefined
+        }
+        subscription.client.quote(request)
+        return key
+    }
+
+    /**
+     * Stop receiving quotes for the trading pair
+     * @param {string} key - Pair key
+     */
+    unsubscribe(key) {
+        const subscription = this.subscriptions.get(key)
+        if (!subscription)
+            return
+        this.subscriptions.delete(key)
+        const client = this.detachClient(subscription)
+        if (client.status !== 'quote' || !client.socket || client.socket.readyState !== 1) {
+            client.close() //drop connections that are not established yet along with the pending quote request
+            return
+        }
+        client.stop()
+        this.idle.push(client)
+    }
+
+    /**
+     * Latest quote received for the trading pair
+     * @param {string} key - Pair key
+     * @return {QuoteResult|undefined}
+     */
+    get(key) {
+        return this.subscriptions.get(key)?.quote
+    }
+
+    /**
+     * Subscribed pairs and their latest quotes
+     * @return {QuoteBoardEntry[]}
+     */
+    entries() {
+        return [...this.subscriptions.values()].map(({key, request, quote}) => ({key, request, quote}))
+    }
+
+    /**
+     * Confirm the latest quote of the trading pair and start trading.
+     * The client that executes the trade is detached from the board, the pair keeps receiving quotes via another connection.
+     * @param {string} key - Pair key
+     * @param {string} [account] - Trader account address (overrides value provided in the constructor)
+     * @param {ClientAuthorizationParams} [authorization] - Authorization params (overrides value provided in the constructor)
+     * @param {PriceGuards} [guards] - Price protection guards
+     * @return {StellarBrokerClient} - Client that executes the trade, should be closed once the trade is finished
+     */
+    promote(key, account, authorization, guards) {
+        const subscription = this.subscriptions.get(key)
+        if (!subscription)
+            throw errors.quoteNotSet()
+        const {client} = subscription
+        client.confirmQuote(account, authorization, guards)
+        this.detachClient(subscription)
+        subscription.quote = undefined
+        this.attachClient(subscription)
+        subscription.client.quote(subscription.request)
+        return client
+    }
+
+    /**
+     * Add event listener
+     * @param {QuoteBoardEvent} type
+     * @param {function} callback
+     * @return {function} - Unsubscribe function
+     */
+    on(type, callback) {
+        validateEventType(type)
+        this.emitter.addEventListener(type, callback)
+        return () => this.off(type, callback)
+    }
+
+    /**
+     * Remove event listener
+     * @param {QuoteBoardEvent} type
+     * @param {function} callback
+     */
+    off(type, callback) {
+        validateEventType(type)
+        this.emitter.removeEventListener(type, callback)
+    }
+
+    /**
+     * Unsubscribe from all pairs and close pooled connections
+     */
+    close() {
+        for (const subscription of this.subscriptions.values()) {
+            this.detachClient(subscription).close()
+        }
+        this.subscriptions.clear()
+        for (const client of this.idle) {
+            client.close()
+        }
+        this.idle = []
+    }
+
+    /**
+     * Take a client from the pool and start listening to its quotes
+     * @param {QuoteBoardSubscription} subscription
+     * @private
+     */
+    attachClient(subscription) {
+        const client = subscription.client = this.idle.pop() || this.createClient()
+        const {key} = subscription
+        subscription.detach = [
+            client.on('quote', ({quote}) => {
+                subscription.quote = quote
+                this.emitter.dispatchEvent(buildEvent('update', {key, quote}))
+            }),
+            client.on('paused', () => {
+                if (client.status === 'quote') {
+                    client.quote(subscription.request) //keep the board live
+                }
+            }),
+            client.on('error', ({error}) => this.emitter.dispatchEvent(buildEvent('error', {key, error})))
+        ]
+    }
+
+    /**
+     * Stop listening to the subscription client quotes
+     * @param {QuoteBoardSubscription} subscription
+     * @return {StellarBrokerClient}
+     * @private
+     */
+    detachClient(subscription) {
+        for (const unsubscribe of subscription.detach) {
+            unsubscribe()
+        }
+        const {client} = subscription
+        subscription.client = undefined
+        subscription.detach = undefined
+        return client
+    }
+
+    /**
+     * @return {StellarBrokerClient}
+     * @private
+     */
+    createClient() {
+        return new StellarBrokerClient(this.params)
+    }
+}
+
+const quoteBoardEvents = new Set(['update', 'error'])
+
+function validateEventType(type) {
+    if (!quoteBoardEvents.has(type))
+        throw errors.unsupportedEventType(type)
+}
+
+/**
+ * @typedef {'update'|'error'} QuoteBoardEvent - Event type generated by the quote board
+ */
+
+/**
+ * @typedef {object} QuoteBoardUpdate - New quote received for the trading pair ("update" event payload)
+ * @property {string} key - Pair key
+ * @property {QuoteResult} quote - Received quote
+ */
+
+/**
+ * @typedef {object} QuoteBoardError - Quotation error of the trading pair ("error" event payload)
+ * @property {string} key - Pair key
+ * @property {StellarBrokerError} error - Error details
+ */
+
+/**
+ * @typedef {object} QuoteBoardOptions - Quote board options
+ * @property {number} [maxPairs] - Max number of simultaneously subscribed pairs, each pair holds a separate connection (10 by default)
+ */
+
+/**
+ * @typedef {object} QuoteBoardEntry - Subscribed trading pair
+ * @property {string} key - Pair key
+ * @property {QuoteParams} request - Quote parameters
+ * @property {QuoteResult} [quote] - Latest received quote
+ */
+
+/**
+ * @typedef {object} QuoteBoardSubscription
+ * @property {string} key
+ * @property {QuoteParams} request
+ * @property {QuoteResult} [quote]
+ * @property {StellarBrokerClient} client
+ * @property {function[]} detach
+ * @private
+ */
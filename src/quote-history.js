@@ -0,0 +1,212 @@
+import errors from './errors.js'
+import {parseAsset} from './asset.js'
+import {getPairKey, getQuotedAmounts} from './quote-result.js'
+import {toStroops} from './stroops.js'
+
+/**
+ * Rolling window of received quotes with derived market metrics, grouped by trading pair
+ */
+export class QuoteHistory {
+    /**
+     * @param {QuoteHistoryOptions} [options] - Rolling window settings
+     */
+    constructor(options = {}) {
+        const {maxSize = 100, maxAge = 300_000} = options
+        if (!Number.isInteger(maxSize) || maxSize < 2)
+            throw errors.invalidInitParam('quoteHistory.maxSize')
+        if (typeof maxAge !== 'number' || !(maxAge > 0))
+            throw errors.invalidInitParam('quoteHistory.maxAge')
+        this.maxSize = maxSize
+        this.maxAge = maxAge
+    }
+
+    /**
+     * Max number of quotes kept per pair
+     * @type {number}
+     * @readonly
+     */
+    maxSize
+    /**
+     * Max age of kept quotes, in milliseconds
+     * @type {number}
+     * @readonly
+     */
+    maxAge
+    /**
+     * Recorded quotes, grouped by pair key
+     * @type {Map<string, QuoteHistoryEntry[]>}
+     * @private
+     */
+    pairs = new Map()
+
+    /**
+     * Add quote to the history (failed quotes are ignored)
+     * @param {QuoteResult} quote
+     */
+    record(quote) {
+        if (quote.status !== 'success')
+            return
+        const {selling, buying} = getQuotedAmounts(quote)
+        if (selling <= 0n || buying <= 0n)
+            return
+        const key = getPairKey(quote.sellingAsset, quote.buyingAsset)
+        let entries = this.pairs.get(key)
+        if (!entries) {
+            entries = []
+            this.pairs.set(key, entries)
+        }
+        entries.push({quote, rate: Number(buying) / Number(selling), profitRatio: getProfitRatio(quote)})
+        this.trim(key)
+    }
+
+    /**
+     * Quotes recorded for the trading pair, from oldest to newest
+     * @param {string} sellingAsset - Asset to sell
+     * @param {string} buyingAsset - Asset to buy
+     * @return {QuoteResult[]}
+     */
+    getQuotes(sellingAsset, buyingAsset) {
+        return this.getEntries(sellingAsset, buyingAsset).map(entry => entry.quote)
+    }
+
+    /**
+     * Calculate market metrics for the trading pair
+     * @param {string} sellingAsset - Asset to sell
+     * @param {string} buyingAsset - Asset to buy
+     * @return {QuoteMetrics|undefined} - Metrics, or undefined if no quotes have been recorded for the pair
+     */
+    getMetrics(sellingAsset, buyingAsset) {
+        const entries = this.getEntries(sellingAsset, buyingAsset)
+        if (!entries.length)
+            return undefined
+        let best = entries[0]
+        let worst = entries[0]
+        for (const entry of entries) {
+            if (entry.rate > best.rate) {
+                best = entry
+            }
+            if (entry.rate < worst.rate) {
+                worst = entry
+            }
+        }
+        const first = entries[0].rate
+        const last = entries[entries.length - 1].rate
+        const profitRatios = entries.map(entry => entry.profitRatio).filter(ratio => ratio !== undefined)
+        return {
+            count: entries.length,
+            rates: entries.map(({quote, rate}) => ({ts: quote.ts, rate})),
+            lastRate: last,
+            change: (last - first) / first,
+            volatility: calculateVolatility(entries.map(entry => entry.rate)),
+            best: best.quote,
+            worst: worst.quote,
+            averageProfitRatio: profitRatios.length ? profitRatios.reduce((sum, ratio) => sum + ratio, 0) / profitRatios.length : undefined
+        }
+    }
+
+    /**
+     * Remove recorded quotes
+     * @param {string} [sellingAsset] - Asset to sell (all pairs are cleared if not specified)
+     * @param {string} [buyingAsset] - Asset to buy
+     */
+    clear(sellingAsset, buyingAsset) {
+        if (!sellingAsset) {
+            this.pairs.clear()
+            return
+        }
+        this.pairs.delete(getPairKey(parseAsset(sellingAsset, 'sellingAsset'), parseAsset(buyingAsset, 'buyingAsset')))
+    }
+
+    /**
+     * @param {string} sellingAsset
+     * @param {string} buyingAsset
+     * @return {QuoteHistoryEntry[]}
+     * @private
+     */
+    getEntries(sellingAsset, buyingAsset) {
+        const key = getPairKey(parseAsset(sellingAsset, 'sellingAsset'), parseAsset(buyingAsset, 'buyingAsset'))
+        if (!this.pairs.has(key))
+            return []
+        this.trim(key)
+        return this.pairs.get(key) || []
+    }
+
+    /**
+     * Drop quotes that exceed the window size or age
+     * @param {string} key
+     * @private
+     */
+    trim(key) {
+        const entries = this.pairs.get(key)
+        const expiration = new Date() - this.maxAge
+        let remove = Math.max(0, entries.length - this.maxSize)
+        while (remove < entries.length && entries[remove].quote.ts < expiration) {
+            remove++
+        }
+        entries.splice(0, remove)
+        if (!entries.length) {
+            this.pairs.delete(key)
+        }
+    }
+}
+
+/**
+ * Relative improvement of the quote over the equivalent direct trade
+ * @param {QuoteResult} quote
+ * @return {number|undefined}
+ */
+function getProfitRatio(quote) {
+    const {directTrade} = quote
+    if (!directTrade?.selling || !directTrade?.buying)
+        return undefined
+    const {selling, buying} = getQuotedAmounts(quote)
+    if (quote.buyingAmount) { //exact-output quote - less selling asset spent
+        const direct = toStroops(directTrade.selling)
+        return direct > 0n ? Number(direct - selling) / Number(direct) : undefined
+    }
+    const direct = toStroops(directTrade.buying)
+    return direct > 0n ? Number(buying - direct) / Number(direct) : undefined
+}
+
+/**
+ * Standard deviation of relative rate changes between consecutive quotes
+ * @param {number[]} rates
+ * @return {number}
+ */
+function calculateVolatility(rates) {
+    if (rates.length < 3)
+        return 0
+    const returns = []
+    for (let i = 1; i < rates.length; i++) {
+        returns.push(Math.log(rates[i] / rates[i - 1]))
+    }
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length
+    const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1)
+    return Math.sqrt(variance)
+}
+
+/**
+ * @typedef {object} QuoteHistoryOptions - Quote history rolling window settings
+ * @property {number} [maxSize] - Max number of quotes kept per pair (100 by default)
+ * @property {number} [maxAge] - Max age of kept quotes, in milliseconds (5 minutes by default)
+ */
+
+/**
+ * @typedef {object} QuoteMetrics - Market metrics derived from the recorded quotes
+ * @property {number} count - Number of recorded quotes
+ * @property {{ts: Date, rate: number}[]} rates - Rate (buying amount per unit of selling amount) time series
+ * @property {number} lastRate - Rate of the latest quote
+ * @property {number} change - Relative rate change between the oldest and the latest quote
+ * @property {number} volatility - Standard deviation of relative rate changes between consecutive quotes
+ * @property {QuoteResult} best - Quote with the highest rate
+ * @property {QuoteResult} worst - Quote with the lowest rate
+ * @property {number} [averageProfitRatio] - Average relative improvement over the equivalent direct trade
+ */
+
+/**
+ * @typedef {object} QuoteHistoryEntry
+ * @property {QuoteResult} quote
+ * @property {number} rate
+ * @property {number} [profitRatio]
+ * @private
+ */
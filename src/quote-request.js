@@ -1,19 +1,22 @@
 import errors from './errors.js'
-import {parseAsset} from './asset.js'
+import {isSameAsset, parseAsset} from './asset.js'
+import {Amount} from './amount.js'
 
 /**
  * @typedef {object} QuoteParams - Quote request parameters provided by the client
  * @property {string} sellingAsset - Asset to sell
  * @property {string} buyingAsset - Asset to buy
- * @property {string} [sellingAmount] - Amount of selling asset
+ * @property {string} [sellingAmount] - Amount of selling asset (exact-input quotes)
+ * @property {string} [buyingAmount] - Amount of buying asset (exact-output quotes)
  * @property {number} [slippageTolerance] - Swap slippage tolerance (0.02 by default - 2%)
  */
 
 /**
  * @param {QuoteParams} params
+ * @param {string} [network] - Network passphrase (allows matching classic assets against their Stellar Asset Contracts)
  * @return {QuoteParams}
  */
-export function validateQuoteRequest(params) {
+export function validateQuoteRequest(params, network) {
     const {
         sellingAsset, selling_asset, buyingAsset, buying_asset, sellingAmount, selling_amount,
         buyingAmount, buying_amount, slippageTolerance, slippage_tolerance, ...other
@@ -22,15 +25,20 @@ export function validateQuoteRequest(params) {
         sellingAsset: parseAsset(sellingAsset || selling_asset, 'sellingAsset'),
         buyingAsset: parseAsset(buyingAsset || buying_asset, 'buyingAsset'),
         sellingAmount: parseAmount(sellingAmount || selling_amount, 'sellingAmount'),
-        //buyingAmount: parseAmount(buyingAmount || buying_amount, 'buyingAmount'),
+        buyingAmount: parseAmount(buyingAmount || buying_amount, 'buyingAmount'),
         slippageTolerance: parseSlippageTolerance(slippageTolerance || slippage_tolerance || 0.02, 'slippageTolerance')
     }
-    if (res.buyingAsset === res.sellingAsset)
+    if (isSameAsset(res.buyingAsset, res.sellingAsset, network))
         throw errors.invalidQuoteParam('buyingAsset', 'Buying asset can\'t be the same as selling asset')
-    if (res.sellingAmount === undefined)
-        throw errors.invalidQuoteParam('sellingAmount', 'Parameter "sellingAmount" parameter is required')
-    /*if (res.buyingAmount !== undefined && res.sellingAmount !== undefined)
-        throw errors.invalidQuoteParam('sellingAmount', 'Parameters "buyingAmount" and "sellingAmount" are mutually exclusive')*/
+    if (res.buyingAmount !== undefined && res.sellingAmount !== undefined)
+        throw errors.invalidQuoteParam('sellingAmount', 'Parameters "buyingAmount" and "sellingAmount" are mutually exclusive')
+    if (res.buyingAmount !== undefined) {
+        delete res.sellingAmount
+    } else {
+        if (res.sellingAmount === undefined)
+            throw errors.invalidQuoteParam('sellingAmount', 'Either "sellingAmount" or "buyingAmount" parameter is required')
+        delete res.buyingAmount
+    }
     Object.assign(res, other) //add remaining optional params
     Object.freeze(res)
     return res
@@ -39,10 +47,10 @@ export function validateQuoteRequest(params) {
 function parseAmount(amount, parameter) {
     if (amount === undefined)
         return undefined
-    const parsed = parseFloat(amount)
-    if (isNaN(parsed) || parsed <= 0)
+    const parsed = Amount.tryParse(amount)
+    if (!parsed?.isPositive())
         throw errors.invalidQuoteParam(parameter, 'Invalid asset amount: ' + amount)
-    return amount
+    return parsed.toString()
 }
 
 function parseSlippageTolerance(src, parameter) {
@@ -1,4 +1,5 @@
-import {fromStroops, toStroops} from './stroops.js'
+import {toStroops} from './stroops.js'
+import {Amount} from './amount.js'
 
 /**
  * @typedef {'unfeasible'|'rejected'|'success'} QuoteResultStatus - Result status code returned by the server
@@ -21,10 +22,13 @@ export class QuoteResult {
      */
     constructor(result) {
         Object.assign(this, result)
-        if (result.estimatedBuyingAmount && result.directTrade) {
-            const profit = toStroops(result.estimatedBuyingAmount) - toStroops(result.directTrade.buying)
-            if (profit > 0) {
-                this.profit = fromStroops(profit)
+        if (result.directTrade) {
+            //exact-output quote - profit is the amount of selling asset saved
+            const profit = result.buyingAmount ?
+                calculateProfit(result.directTrade.selling, result.estimatedSellingAmount) :
+                calculateProfit(result.estimatedBuyingAmount, result.directTrade.buying)
+            if (profit?.isPositive()) {
+                this.profit = profit.toString()
             }
         }
         this.ts = new Date()
@@ -61,17 +65,29 @@ export class QuoteResult {
      */
     slippageTolerance
     /**
-     * Amount of the selling asset
+     * Amount of the selling asset (exact-input quotes)
      * @type {string}
      * @readonly
      */
     sellingAmount
     /**
-     * Estimated amount of buyingAsset to receive
+     * Estimated amount of buyingAsset to receive (exact-input quotes)
      * @type {string}
      * @readonly
      */
     estimatedBuyingAmount
+    /**
+     * Amount of the buying asset (exact-output quotes)
+     * @type {string}
+     * @readonly
+     */
+    buyingAmount
+    /**
+     * Estimated amount of sellingAsset to spend (exact-output quotes)
+     * @type {string}
+     * @readonly
+     */
+    estimatedSellingAmount
     /**
      * Equivalent direct path_payment trade estimate
      * @type {QuoteDirectTradeResult}
@@ -80,6 +96,7 @@ export class QuoteResult {
     directTrade
     /**
      * Difference between quoted price and estimated direct trade
+     * (denominated in buying asset for exact-input quotes and in selling asset for exact-output quotes)
      * @type {string}
      * @readonly
      */
@@ -90,4 +107,69 @@ export class QuoteResult {
      * @readonly
      */
     error
-}
\ No newline at end of file
+    /**
+     * Independent verification results (available once verified by QuoteVerifier)
+     * @type {QuoteVerification}
+     * @readonly
+     */
+    verification
+    /**
+     * Metadata of the quoted assets (available once resolved by AssetMetadataResolver)
+     * @type {AssetMetadataPair}
+     * @readonly
+     */
+    assetMetadata
+}
+
+/**
+ * @param {string} amount
+ * @param {string} baseline - Amount to subtract
+ * @return {Amount|undefined} - Difference between amounts, or undefined if any of them is missing or invalid
+ */
+function calculateProfit(amount, baseline) {
+    const parsedAmount = Amount.tryParse(amount, 'trunc')
+    const parsedBaseline = Amount.tryParse(baseline, 'trunc')
+    if (!parsedAmount || !parsedBaseline)
+        return undefined
+    return parsedAmount.sub(parsedBaseline)
+}
+
+/**
+ * Get quoted amounts of selling and buying assets regardless of the quote direction
+ * @param {QuoteResult} quote
+ * @return {{selling: bigint, buying: bigint}}
+ */
+export function getQuotedAmounts(quote) {
+    if (quote.buyingAmount)
+        return {
+            selling: toStroops(quote.estimatedSellingAmount),
+            buying: toStroops(quote.buyingAmount)
+        }
+    return {
+        selling: toStroops(quote.sellingAmount),
+        buying: toStroops(quote.estimatedBuyingAmount)
+    }
+}
+
+/**
+ * Get trading pair key
+ * @param {string} sellingAsset
+ * @param {string} buyingAsset
+ * @return {string}
+ */
+export function getPairKey(sellingAsset, buyingAsset) {
+    return sellingAsset + '/' + buyingAsset
+}
+
+/**
+ * Get max amount of selling asset that can be spent on the quoted trade
+ * (exact-output quotes allow spending estimated amount plus slippage tolerance)
+ * @param {QuoteResult} quote
+ * @param {number} slippageTolerance
+ * @return {bigint}
+ */
+export function getMaxSellingAmount(quote, slippageTolerance) {
+    if (!quote.buyingAmount)
+        return toStroops(quote.sellingAmount)
+    return toStroops(quote.estimatedSellingAmount) * BigInt(Math.round((1 + slippageTolerance) * 10000000)) / 10000000n
+}
@@ -0,0 +1,144 @@
+import {Horizon} from '@stellar/stellar-sdk'
+import errors from './errors.js'
+import {convertToStellarAsset, formatAssetId} from './asset.js'
+import {resolveNetwork} from './network.js'
+import {createLogger} from './logger.js'
+import {toStroops} from './stroops.js'
+import {getQuotedAmounts} from './quote-result.js'
+
+/**
+ * Verifies quotes independently using Horizon path-finding endpoints
+ */
+export class QuoteVerifier {
+    /**
+     * @param {QuoteVerifierOptions} [options] - Verification settings
+     */
+    constructor(options = {}) {
+        const {maxDeviation = 0.01} = options
+        this.network = resolveNetwork(options.network)
+        if (!this.network.horizon)
+            throw errors.invalidInitParam('network.horizon')
+        if (typeof maxDeviation !== 'number' || !(maxDeviation >= 0 && maxDeviation < 1))
+            throw errors.invalidInitParam('maxDeviation')
+        this.maxDeviation = maxDeviation
+        this.logger = createLogger(options)
+    }
+
+    /**
+     * @type {NetworkConfig}
+     * @readonly
+     */
+    network
+    /**
+     * Max relative deviation between the quote and Horizon estimate that doesn't trigger a warning
+     * @type {number}
+     * @readonly
+     */
+    maxDeviation
+    /**
+     * @type {Logger}
+     * @private
+     */
+    logger
+
+    /**
+     * Estimate the same trade using Horizon path-finding and attach verification results to the quote
+     * @param {QuoteResult} quote - Successful quote to verify
+     * @return {Promise<QuoteVerification>}
+     */
+    async verify(quote) {
+        if (quote?.status !== 'success')
+            throw errors.quoteNotSet()
+        const selling = convertToStellarAsset(quote.sellingAsset)
+        const buying = convertToStellarAsset(quote.buyingAsset)
+        const quoted = getQuotedAmounts(quote)
+        const exactOutput = !!quote.buyingAmount
+        let records
+        try {
+            const horizon = this.constructor.createHorizon(this.network.horizon)
+            const request = exactOutput ?
+                horizon.strictReceivePaths([selling], buying, quote.buyingAmount) :
+                horizon.strictSendPaths(selling, quote.sellingAmount, [buying])
+            records = (await request.call()).records
+        } catch (e) {
+            this.logger.warn('Failed to load Horizon paths', {error: e.message})
+            throw errors.quoteVerificationFailed(e)
+        }
+        /** @type {QuoteVerification} */
+        const verification = {
+            verifiedAt: new Date(),
+            warning: true
+        }
+        const best = findBestPath(records, exactOutput)
+        if (!best) {
+            verification.reason = 'No Horizon paths found'
+        } else {
+            verification.selling = best.source_amount
+            verification.buying = best.destination_amount
+            verification.path = best.path.map(asset => formatAssetId(convertToStellarAsset(asset)))
+            //positive deviation means that the quote is better than the Horizon estimate
+            verification.deviation = exactOutput ?
+                Number(toStroops(best.source_amount) - quoted.selling) / Number(toStroops(best.source_amount)) :
+                Number(quoted.buying - toStroops(best.destination_amount)) / Number(toStroops(best.destination_amount))
+            verification.warning = Math.abs(verification.deviation) > this.maxDeviation
+            if (verification.warning) {
+                verification.reason = 'Quote deviates from the Horizon estimate by more than ' + this.maxDeviation
+            }
+        }
+        quote.verification = verification
+        if (verification.warning) {
+            this.logger.info('Quote verification warning', {reason: verification.reason, deviation: verification.deviation})
+        }
+        return verification
+    }
+
+    /**
+     * @param {string} horizonUrl - Horizon server URL
+     * @return {HorizonServer}
+     */
+    static createHorizon(horizonUrl) {
+        return new Horizon.Server(horizonUrl)
+    }
+}
+
+/**
+ * Pick the path with the best price
+ * @param {{}[]} records - Horizon path records
+ * @param {boolean} exactOutput - Whether paths have been found for strict-receive trade
+ * @return {{}|undefined}
+ */
+function findBestPath(records, exactOutput) {
+    let best
+    for (const record of records || []) {
+        if (!best) {
+            best = record
+            continue
+        }
+        const better = exactOutput ?
+            toStroops(record.source_amount) < toStroops(best.source_amount) :
+            toStroops(record.destination_amount) > toStroops(best.destination_amount)
+        if (better) {
+            best = record
+        }
+    }
+    return best
+}
+
+/**
+ * @typedef {object} QuoteVerifierOptions - Quote verification settings
+ * @property {NetworkPreset|NetworkConfig} [network] - Network preset name or custom network configuration ("public" by default)
+ * @property {number} [maxDeviation] - Max relative deviation between the quote and Horizon estimate that doesn't trigger a warning (0.01 by default)
+ * @property {LoggerSink} [logger] - Log entries receiver (console by default)
+ * @property {LogLevel} [logLevel] - Min severity of logged entries ("warn" by default)
+ */
+
+/**
+ * @typedef {object} QuoteVerification - Independent quote verification results
+ * @property {Date} verifiedAt - Verification timestamp
+ * @property {string} [selling] - Amount of selling asset estimated by Horizon
+ * @property {string} [buying] - Amount of buying asset estimated by Horizon
+ * @property {string[]} [path] - Conversion path found by Horizon
+ * @property {number} [deviation] - Relative deviation of the quote from the Horizon estimate (0.01 = 1%), positive if the quote is better
+ * @property {boolean} warning - Whether the quote deviates from the Horizon estimate by more than allowed or cannot be verified
+ * @property {string} [reason] - Warning reason
+ */
@@ -0,0 +1,84 @@
+import errors from './errors.js'
+
+/**
+ * @typedef {object} ReconnectPolicy - Automatic reconnection settings
+ * @property {number} [maxAttempts] - Maximum number of consecutive reconnection attempts (10 by default)
+ * @property {number} [minDelay] - Delay before the first reconnection attempt, in milliseconds (500 by default)
+ * @property {number} [maxDelay] - Upper bound for the delay between attempts, in milliseconds (30s by default)
+ * @property {number} [factor] - Exponential backoff multiplier (2 by default)
+ * @property {number} [jitter] - Random delay spread relative to the calculated delay, 0..1 (0.3 by default)
+ */
+
+const defaultReconnectPolicy = {
+    maxAttempts: 10,
+    minDelay: 500,
+    maxDelay: 30_000,
+    factor: 2,
+    jitter: 0.3
+}
+
+/**
+ * @typedef {object} RetryPolicy - Failed requests retry settings
+ * @property {number} [maxAttempts] - Maximum number of retries (2 by default)
+ * @property {number} [minDelay] - Delay before the first retry, in milliseconds (300 by default)
+ * @property {number} [maxDelay] - Upper bound for the delay between retries, in milliseconds (3s by default)
+ * @property {number} [factor] - Exponential backoff multiplier (2 by default)
+ * @property {number} [jitter] - Random delay spread relative to the calculated delay, 0..1 (0.3 by default)
+ */
+
+const defaultRetryPolicy = {
+    maxAttempts: 2,
+    minDelay: 300,
+    maxDelay: 3_000,
+    factor: 2,
+    jitter: 0.3
+}
+
+/**
+ * @param {ReconnectPolicy|boolean} [params] - Custom reconnection policy, or false to disable reconnection
+ * @return {ReconnectPolicy|null}
+ */
+export function normalizeReconnectPolicy(params) {
+    return normalizeBackoffPolicy(params, defaultReconnectPolicy, 'reconnect')
+}
+
+/**
+ * @param {RetryPolicy|boolean} [params] - Custom retry policy, or false to disable retries
+ * @return {RetryPolicy|null}
+ */
+export function normalizeRetryPolicy(params) {
+    return normalizeBackoffPolicy(params, defaultRetryPolicy, 'retry')
+}
+
+/**
+ * @param {ReconnectPolicy|RetryPolicy|boolean} params
+ * @param {ReconnectPolicy|RetryPolicy} defaults
+ * @param {string} paramName
+ * @return {ReconnectPolicy|RetryPolicy|null}
+ */
+function normalizeBackoffPolicy(params, defaults, paramName) {
+    if (params === false)
+        return null
+    const policy = {...defaults, ...(typeof params === 'object' ? params : null)}
+    for (const [key, value] of Object.entries(policy)) {
+        if (typeof value !== 'number' || isNaN(value) || value < 0)
+            throw errors.invalidInitParam(paramName + '.' + key)
+    }
+    if (policy.jitter > 1)
+        throw errors.invalidInitParam(paramName + '.jitter')
+    if (policy.factor < 1)
+        throw errors.invalidInitParam(paramName + '.factor')
+    return policy
+}
+
+/**
+ * Calculate delay before the next reconnection attempt (or retry) using exponential backoff with jitter
+ * @param {number} attempt - Reconnection attempt number (starting from 1)
+ * @param {ReconnectPolicy|RetryPolicy} policy
+ * @return {number}
+ */
+export function getReconnectDelay(attempt, policy) {
+    const base = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** (attempt - 1))
+    const spread = base * policy.jitter
+    return Math.max(0, Math.round(base - spread + Math.random() * spread * 2))
+}
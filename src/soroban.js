@@ -0,0 +1,166 @@
+import {Address, StrKey, scValToNative, xdr} from '@stellar/stellar-sdk'
+import errors from './errors.js'
+import {getAssetContractId} from './asset.js'
+
+export {getAssetContractId}
+
+/**
+ * Validate Soroban swap invocation and its authorization tree
+ * @param {StellarBrokerClient} client
+ * @param {Operation.InvokeHostFunction} op
+ * @return {{sold: bigint, bought: bigint}} - Max amount of selling asset to sell and min amount of buying asset to receive
+ * @throws {StellarBrokerError} Invalid swap transaction received
+ */
+export function validateInvocation(client, op) {
+    const quote = client.tradeQuote
+    if (op.func.switch() !== xdr.HostFunctionType.hostFunctionTypeInvokeContract())
+        throw errors.invalidSwapTx('Unsupported host function type: ' + op.func.switch().name)
+    const invocation = op.func.invokeContract()
+    const contract = Address.fromScAddress(invocation.contractAddress()).toString()
+    const fn = invocation.functionName().toString()
+    //check that the contract function is explicitly allowed
+    const allowedFunctions = client.sorobanAllowlist[contract]
+    if (!allowedFunctions)
+        throw errors.invalidSwapTx('Contract not allowed: ' + contract)
+    const fnSpec = Object.hasOwn(allowedFunctions, fn) ? allowedFunctions[fn] : undefined
+    if (!fnSpec)
+        throw errors.invalidSwapTx(`Contract function not allowed: ${contract}.${fn}`)
+    //swap should operate with quoted assets
+    const sellingToken = getAssetContractId(quote.sellingAsset, client.network)
+    const buyingToken = getAssetContractId(quote.buyingAsset, client.network)
+    const args = invocation.args()
+    const referencedContracts = new Set()
+    for (const arg of args) {
+        collectContractAddresses(arg, referencedContracts)
+    }
+    if (!referencedContracts.has(sellingToken) || !referencedContracts.has(buyingToken))
+        throw errors.invalidSwapTx('Invocation does not reference quoted asset contracts')
+    //min amount to receive is enforced by the contract
+    const bought = args[fnSpec.minOutArg] ? scValToNative(args[fnSpec.minOutArg]) : undefined
+    if (typeof bought !== 'bigint' || bought <= 0n)
+        throw errors.invalidSwapTx('Invalid minimum buying amount argument')
+    //check authorization tree
+    let sold = 0n
+    for (const auth of op.auth || []) {
+        const credentials = auth.credentials()
+        //source account credentials would authorize the entire invocation tree with the transaction signature
+        if (credentials.switch() !== xdr.SorobanCredentialsType.sorobanCredentialsAddress())
+            throw errors.invalidSwapTx('Unsupported authorization credentials type: ' + credentials.switch().name)
+        const authAddress = Address.fromScAddress(credentials.address().address()).toString()
+        if (authAddress !== client.trader)
+            throw errors.invalidSwapTx('Unexpected authorization address: ' + authAddress)
+        const root = auth.rootInvocation()
+        const rootFn = getContractFn(root)
+        if (Address.fromScAddress(rootFn.contractAddress()).toString() !== contract || rootFn.functionName().toString() !== fn)
+            throw errors.invalidSwapTx('Authorized invocation does not match the contract call')
+        //the signed authorization can be replayed with any call matching the root invocation, so arguments validated above
+        //should be exactly the ones that get authorized
+        if (!isSameArgs(rootFn.args(), args))
+            throw errors.invalidSwapTx('Authorized invocation arguments do not match the contract call')
+        for (const subInvocation of root.subInvocations()) {
+            sold += validateTransfer(client, subInvocation, sellingToken)
+        }
+    }
+    if (sold <= 0n)
+        throw errors.invalidSwapTx('Invocation does not authorize selling asset transfer')
+    return {sold, bought}
+}
+
+/**
+ * Validate authorized sub-invocation - only selling token transfers from the trader account to allowlisted contracts are allowed
+ * @param {StellarBrokerClient} client
+ * @param {xdr.SorobanAuthorizedInvocation} invocation
+ * @param {string} sellingToken - Selling asset contract address
+ * @return {bigint} - Transferred amount
+ */
+function validateTransfer(client, invocation, sellingToken) {
+    const fn = getContractFn(invocation)
+    const contract = Address.fromScAddress(fn.contractAddress()).toString()
+    if (contract !== sellingToken || fn.functionName().toString() !== 'transfer')
+        throw errors.invalidSwapTx(`Unexpected sub-invocation: ${contract}.${fn.functionName().toString()}`)
+    if (invocation.subInvocations().length)
+        throw errors.invalidSwapTx('Unexpected nested sub-invocations')
+    const [from, to, amount] = fn.args().map(arg => scValToNative(arg))
+    if (from !== client.trader || typeof amount !== 'bigint' || amount <= 0n)
+        throw errors.invalidSwapTx('Invalid transfer authorization')
+    if (typeof to !== 'string' || !Object.hasOwn(client.sorobanAllowlist, to))
+        throw errors.invalidSwapTx('Unexpected transfer destination: ' + to)
+    return amount
+}
+
+/**
+ * @param {xdr.ScVal[]} a
+ * @param {xdr.ScVal[]} b
+ * @return {boolean}
+ */
+function isSameArgs(a, b) {
+    if (a.length !== b.length)
+        return false
+    return a.every((arg, i) => arg.toXDR('base64') === b[i].toXDR('base64'))
+}
+
+/**
+ * @param {xdr.SorobanAuthorizedInvocation} invocation
+ * @return {xdr.InvokeContractArgs}
+ */
+function getContractFn(invocation) {
+    const fn = invocation.function()
+    if (fn.switch() !== xdr.SorobanAuthorizedFunctionType.sorobanAuthorizedFunctionTypeContractFn())
+        throw errors.invalidSwapTx('Unexpected authorized function type: ' + fn.switch().name)
+    return fn.contractFn()
+}
+
+/**
+ * Recursively collect all contract addresses referenced in the invocation argument
+ * @param {xdr.ScVal} value
+ * @param {Set<string>} result
+ */
+function collectContractAddresses(value, result) {
+    switch (value.switch()) {
+        case xdr.ScValType.scvAddress(): {
+            const address = Address.fromScAddress(value.address()).toString()
+            if (StrKey.isValidContract(address)) {
+                result.add(address)
+            }
+            break
+        }
+        case xdr.ScValType.scvVec():
+            for (const item of value.vec() || []) {
+                collectContractAddresses(item, result)
+            }
+            break
+        case xdr.ScValType.scvMap():
+            for (const entry of value.map() || []) {
+                collectContractAddresses(entry.key(), result)
+                collectContractAddresses(entry.val(), result)
+            }
+            break
+    }
+}
+
+/**
+ * @param {SorobanAllowlist} allowlist
+ * @return {SorobanAllowlist}
+ */
+export function validateSorobanAllowlist(allowlist) {
+    if (!allowlist || typeof allowlist !== 'object')
+        throw errors.invalidInitParam('sorobanAllowlist')
+    for (const [contract, functions] of Object.entries(allowlist)) {
+        if (!StrKey.isValidContract(contract) || !functions || typeof functions !== 'object' || Array.isArray(functions))
+            throw errors.invalidInitParam('sorobanAllowlist')
+        for (const spec of Object.values(functions)) {
+            if (!Number.isInteger(spec?.minOutArg) || spec.minOutArg < 0)
+                throw errors.invalidInitParam('sorobanAllowlist')
+        }
+    }
+    return allowlist
+}
+
+/**
+ * @typedef {Object<string, Object<string, SorobanSwapFunction>>} SorobanAllowlist - Allowed contract functions, grouped by contract address
+ */
+
+/**
+ * @typedef {object} SorobanSwapFunction - Allowed swap contract function
+ * @property {number} minOutArg - Index of the invocation argument that holds min amount of buying asset to receive
+ */
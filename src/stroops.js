@@ -10,7 +10,7 @@ export function toStroops(value, throwIfInvalid = false) {
             return 0n
         value = value.toFixed(7)
     }
-    if (typeof value !== 'string' || !/^-?[\d.,]+$/.test(value)) {
+    if (typeof value !== 'string' || !/^-?(\d+(\.\d*)?|\.\d+)$/.test(value)) {
         if (throwIfInvalid)
             throw new TypeError('Invalid number format')
         return 0n
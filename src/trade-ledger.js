@@ -0,0 +1,289 @@
+import errors from './errors.js'
+import {fromStroops, toStroops} from './stroops.js'
+import {getMaxSellingAmount, getQuotedAmounts} from './quote-result.js'
+
+/**
+ * Running totals of amounts committed by transactions signed during the trade
+ */
+export class TradeLedger {
+    /**
+     * @param {QuoteResult} quote - Confirmed trade quote
+     * @param {TradeLimits} limits - Trade limits
+     */
+    constructor(quote, {maxFeeRatio, slippageTolerance, maxNetworkFee, maxTotalNetworkFees}) {
+        this.maxSold = getMaxSellingAmount(quote, slippageTolerance)
+        if (quote.buyingAmount) {
+            this.maxBought = toStroops(quote.buyingAmount)
+        }
+        const ratio = BigInt(Math.round(maxFeeRatio * 10000000))
+        this.maxFees = {
+            [quote.sellingAsset]: this.maxSold * ratio / 10000000n,
+            [quote.buyingAsset]: getQuotedAmounts(quote).buying * ratio / 10000000n
+        }
+        this.maxNetworkFee = maxNetworkFee
+        this.maxTotalNetworkFees = maxTotalNetworkFees
+    }
+
+    /**
+     * Max amount of selling asset that can be sold
+     * @type {bigint}
+     * @readonly
+     */
+    maxSold
+    /**
+     * Max amount of buying asset that can be bought (exact-output trades only)
+     * @type {bigint|undefined}
+     * @readonly
+     */
+    maxBought
+    /**
+     * Max fees that can be charged, grouped by asset
+     * @type {Object<string, bigint>}
+     * @readonly
+     */
+    maxFees
+    /**
+     * Max network fee per transaction, in stroops
+     * @type {bigint|undefined}
+     * @readonly
+     */
+    maxNetworkFee
+    /**
+     * Max total network fees per trade, in stroops
+     * @type {bigint|undefined}
+     * @readonly
+     */
+    maxTotalNetworkFees
+    /**
+     * Total amount of selling asset committed
+     * @type {bigint}
+     * @readonly
+     */
+    sold = 0n
+    /**
+     * Total min amount of buying asset committed
+     * @type {bigint}
+     * @readonly
+     */
+    bought = 0n
+    /**
+     * Total fees committed, grouped by asset
+     * @type {Object<string, bigint>}
+     * @readonly
+     */
+    fees = {}
+    /**
+     * Total network fees committed, in stroops
+     * @type {bigint}
+     * @readonly
+     */
+    networkFees = 0n
+    /**
+     * Number of signed transactions wrapped with fee-bump
+     * @type {number}
+     * @readonly
+     */
+    transactions = 0
+    /**
+     * Hashes of committed transactions and keys of signed Soroban authorization entries
+     * @type {Set<string>}
+     * @private
+     */
+    committed = new Set()
+    /**
+     * Amounts reserved by transactions and authorization entries that are being signed, grouped by inner transaction
+     * hash or authorization entry key
+     * @type {Map<string, LedgerReservation>}
+     * @private
+     */
+    pending = new Map()
+
+    /**
+     * Check whether a transaction or authorization entry has been already committed
+     * @param {string} hash - Inner transaction hash or authorization entry key
+     * @return {boolean}
+     */
+    isCommitted(hash) {
+        return this.committed.has(hash)
+    }
+
+    /**
+     * Ensure that the transaction doesn't push totals (including pending reservations) above the limits
+     * @param {SwapTxSummary} summary
+     * @throws {StellarBrokerError}
+     */
+    verify(summary) {
+        const totals = this.getReservedTotals()
+        if (totals.sold + summary.sold > this.maxSold)
+            throw errors.spendLimitExceeded()
+        if (this.maxBought !== undefined && totals.bought + summary.bought > this.maxBought)
+            throw errors.buyLimitExceeded()
+        for (const [asset, fee] of Object.entries(summary.fees)) {
+            if ((totals.fees[asset] || 0n) + fee > (this.maxFees[asset] || 0n))
+                throw errors.feeLimitExceeded()
+        }
+    }
+
+    /**
+     * Verify transaction amounts and reserve them until the transaction gets committed or released
+     * @param {string} hash - Inner transaction hash or authorization entry key
+     * @param {SwapTxSummary} summary
+     * @throws {StellarBrokerError}
+     */
+    reserve(hash, summary) {
+        if (this.pending.has(hash))
+            throw errors.invalidSwapTx('Transaction is already being signed')
+        this.verify(summary)
+        this.pending.set(hash, {summary, networkFee: 0n})
+    }
+
+    /**
+     * Ensure that the fee-bump network fee doesn't exceed the limits and reserve it
+     * @param {string} hash - Inner transaction hash
+     * @param {bigint} networkFee - Fee-bump transaction fee, in stroops
+     * @throws {StellarBrokerError}
+     */
+    reserveNetworkFee(hash, networkFee) {
+        if (this.maxNetworkFee !== undefined && networkFee > this.maxNetworkFee)
+            throw errors.networkFeeLimitExceeded()
+        const reservation = this.pending.get(hash)
+        if (!reservation)
+            return //the fee has been charged already
+        if (this.maxTotalNetworkFees !== undefined && this.getReservedTotals().networkFees + networkFee > this.maxTotalNetworkFees)
+            throw errors.totalNetworkFeesLimitExceeded()
+        reservation.networkFee = networkFee
+    }
+
+    /**
+     * Add reserved transaction amounts to the running totals
+     * @param {string} hash - Inner transaction hash or authorization entry key
+     */
+    commit(hash) {
+        const reservation = this.pending.get(hash)
+        if (!reservation)
+            return
+        this.pending.delete(hash)
+        const {summary, networkFee} = reservation
+        this.committed.add(hash)
+        if (networkFee > 0n) { //authorization entries are not wrapped with fee-bump
+            this.transactions++
+        }
+        this.networkFees += networkFee
+        this.sold += summary.sold
+        this.bought += summary.bought
+        for (const [asset, fee] of Object.entries(summary.fees)) {
+            this.fees[asset] = (this.fees[asset] || 0n) + fee
+        }
+    }
+
+    /**
+     * Drop amounts reserved by the transaction that hasn't been committed
+     * @param {string} hash - Inner transaction hash or authorization entry key
+     */
+    release(hash) {
+        this.pending.delete(hash)
+    }
+
+    /**
+     * Drop amounts reserved by all transactions that are being signed
+     */
+    releaseAll() {
+        this.pending.clear()
+    }
+
+    /**
+     * Committed totals plus amounts reserved by transactions that are being signed
+     * @return {{sold: bigint, bought: bigint, fees: Object<string, bigint>, networkFees: bigint}}
+     * @private
+     */
+    getReservedTotals() {
+        const totals = {sold: this.sold, bought: this.bought, fees: {...this.fees}, networkFees: this.networkFees}
+        for (const {summary, networkFee} of this.pending.values()) {
+            totals.sold += summary.sold
+            totals.bought += summary.bought
+            totals.networkFees += networkFee
+            for (const [asset, fee] of Object.entries(summary.fees)) {
+                totals.fees[asset] = (totals.fees[asset] || 0n) + fee
+            }
+        }
+        return totals
+    }
+
+    /**
+     * Export running totals for persistence
+     * @return {TradeLedgerState}
+     */
+    serialize() {
+        return {
+            sold: this.sold.toString(),
+            bought: this.bought.toString(),
+            fees: Object.fromEntries(Object.entries(this.fees).map(([asset, fee]) => [asset, fee.toString()])),
+            networkFees: this.networkFees.toString(),
+            transactions: this.transactions,
+            committed: [...this.committed]
+        }
+    }
+
+    /**
+     * Restore running totals exported by serialize()
+     * @param {TradeLedgerState} state
+     * @return {TradeLedger}
+     */
+    restore(state) {
+        this.sold = BigInt(state.sold)
+        this.bought = BigInt(state.bought)
+        this.fees = Object.fromEntries(Object.entries(state.fees).map(([asset, fee]) => [asset, BigInt(fee)]))
+        this.networkFees = BigInt(state.networkFees)
+        this.transactions = state.transactions
+        this.committed = new Set(state.committed)
+        return this
+    }
+
+    /**
+     * @return {TradeCommitment}
+     */
+    toJSON() {
+        return {
+            transactions: this.transactions,
+            sold: fromStroops(this.sold),
+            bought: fromStroops(this.bought),
+            fees: Object.fromEntries(Object.entries(this.fees).map(([asset, fee]) => [asset, fromStroops(fee)])),
+            networkFees: fromStroops(this.networkFees)
+        }
+    }
+}
+
+/**
+ * @typedef {object} TradeCommitment - Totals committed by transactions signed during the trade
+ * @property {number} transactions - Number of signed transactions
+ * @property {string} sold - Max amount of selling asset committed
+ * @property {string} bought - Min amount of buying asset committed
+ * @property {Object<string, string>} fees - Fees committed, grouped by asset
+ * @property {string} networkFees - Total network fees (XLM) paid for fee-bump transactions
+ */
+
+/**
+ * @typedef {object} TradeLedgerState - Serialized running totals, amounts in stroops
+ * @property {string} sold
+ * @property {string} bought
+ * @property {Object<string, string>} fees
+ * @property {string} networkFees
+ * @property {number} transactions - Number of signed transactions
+ * @property {string[]} committed - Hashes of committed transactions and keys of signed authorization entries
+ * @private
+ */
+
+/**
+ * @typedef {object} LedgerReservation - Amounts reserved by the transaction that is being signed
+ * @property {SwapTxSummary} summary
+ * @property {bigint} networkFee - Fee-bump transaction fee, in stroops
+ * @private
+ */
+
+/**
+ * @typedef {object} TradeLimits - Trade limits enforced by the client
+ * @property {number} maxFeeRatio - Max share of the confirmed trade amount that can be charged as fees
+ * @property {number} slippageTolerance - Effective slippage tolerance of the trade
+ * @property {bigint} [maxNetworkFee] - Max network fee per transaction, in stroops
+ * @property {bigint} [maxTotalNetworkFees] - Max total network fees per trade, in stroops
+ */
@@ -1,5 +1,10 @@
 import {hash, nativeToScVal, StrKey, TransactionBuilder, xdr} from '@stellar/stellar-sdk'
 import errors from './errors.js'
+import {buildEvent} from './events.js'
+import {formatAssetId, isSameAsset} from './asset.js'
+import {toStroops} from './stroops.js'
+import {validateInvocation} from './soroban.js'
+import {getMaxSellingAmount, getQuotedAmounts} from './quote-result.js'
 
 const networkIdCache = {}
 
@@ -17,28 +22,68 @@ export async function processTxRequest(client, txRequest) {
         throw errors.invalidSwapTx()
     }
     //check that transaction is correct
-    if (!validateTransaction(client, tx))
-        throw errors.invalidSwapTx()
-    //if transaction has not been authorized yet by the channel account
+    const summary = validateTransaction(client, tx)
+    const txHash = tx.hash().toString('hex')
     const isSorobanTx = tx.operations[0].auth?.length > 0
-    if (isSorobanTx) {
-        //send tx back to the server
-        if (!tx.signatures.length) {
-            //sign auth
-            await authorizeInvocation(client, tx)
+    //if transaction has not been authorized yet by the channel account
+    const isAuthRequest = isSorobanTx && !tx.signatures.length
+    //signed authorization entry can be submitted with any transaction, so Soroban swap amounts are committed once
+    //the entry is signed (keyed by its nonce), and the fee-bump wrapper of the authorized transaction adds only the network fee
+    const authKey = isSorobanTx ? getAuthorizationKey(tx) : undefined
+    const key = isAuthRequest ? authKey : txHash
+    //ensure that the trade totals stay within the confirmed quote (unless the server requested a signature again),
+    //amounts are reserved synchronously so that concurrently signed transactions can't exceed the limits together
+    const {ledger} = client
+    if (!ledger.isCommitted(key)) {
+        const isAuthorized = isSorobanTx && !isAuthRequest && ledger.isCommitted(authKey)
+        ledger.reserve(key, isAuthorized ? {sold: 0n, bought: 0n, fees: {}} : summary)
+    }
+    try {
+        if (isSorobanTx) {
+            //send tx back to the server
+            if (isAuthRequest) {
+                //sign auth
+                await authorizeInvocation(client, tx)
+                tx = await signTx(client, tx)
+                ledger.commit(key)
+                notifyTxSigned(client, txHash, 'soroban-auth')
+                return tx.toXDR()//wait for the signed tx from the server to wrap it with fee bump tx
+            }
+        } else {
+            //sign transaction
             tx = await signTx(client, tx)
-            return tx.toXDR()//wait for the signed tx from the server to wrap it with fee bump tx
+            notifyTxSigned(client, txHash, 'swap')
+        }
+        //wrap with fee bump
+        let wrapped
+        try {
+            wrapped = TransactionBuilder.buildFeeBumpTransaction(client.trader, txRequest.networkFee, tx, client.network)
+        } catch (e) {
+            throw errors.invalidSwapTx('Invalid network fee: ' + txRequest.networkFee)
         }
-    } else {
-        //sign transaction
-        tx = await signTx(client, tx)
+        ledger.reserveNetworkFee(key, BigInt(wrapped.fee))
+        //sign fee bump wrapper tx
+        wrapped = await signTx(client, wrapped)
+        ledger.commit(key)
+        notifyTxSigned(client, wrapped.hash().toString('hex'), 'fee-bump')
+        //respond with signed transaction
+        return wrapped.toXDR()
+    } finally {
+        ledger.release(key) //no-op for committed transactions
     }
-    //wrap with fee bump
-    let wrapped = TransactionBuilder.buildFeeBumpTransaction(client.trader, txRequest.networkFee, tx, client.network)
-    //sign fee bump wrapper tx
-    wrapped = await signTx(client, wrapped)
-    //respond with signed transaction
-    return wrapped.toXDR()
+}
+
+/**
+ * Build a key that identifies Soroban authorization entries of the transaction
+ * @param {TransactionI} tx
+ * @return {string}
+ * @private
+ */
+function getAuthorizationKey(tx) {
+    //address credentials are validated before, and the nonce can be used only once for the authorizing address
+    return 'auth:' + tx.operations[0].auth
+        .map(auth => auth.credentials().address().nonce().toString())
+        .join(',')
 }
 
 /**
@@ -101,14 +146,25 @@ function signTx(client, tx) {
             return tx
         })
         .catch(e => {
-            console.error(e)
-            throw errors.failedToSignTx()
+            throw errors.failedToSignTx(e)
         })
 }
 
+/**
+ * @param {StellarBrokerClient} client
+ * @param {string} hash
+ * @param {'swap'|'fee-bump'|'soroban-auth'} kind
+ * @private
+ */
+function notifyTxSigned(client, hash, kind) {
+    client.log('debug', 'Transaction signed', {txHash: hash, kind})
+    client.emitter.dispatchEvent(buildEvent('txSigned', {hash, kind}, 'tx'))
+}
+
 /**
  * @param {StellarBrokerClient} client
  * @param {Transaction} tx
+ * @return {SwapTxSummary}
  * @throws {StellarBrokerError} Invalid swap transaction received
  */
 function validateTransaction(client, tx) {
@@ -117,22 +173,94 @@ function validateTransaction(client, tx) {
     const {innerTransaction} = tx
     if (tx.feeSource !== this.source)
         return false*/
+    const quote = client.tradeQuote
+    if (!quote)
+        throw errors.invalidSwapTx('Trade quote not set')
+    const summary = {sold: 0n, bought: 0n, fees: {}}
     for (let swap of tx.operations) {
-        if (swap.type === 'invokeHostFunction')
-            continue //TODO: add additional validation
+        if (swap.type === 'invokeHostFunction') {
+            const {sold, bought} = validateInvocation(client, swap)
+            if (!isPriceAcceptable(client, sold, bought))
+                throw errors.invalidSwapTx('Swap price exceeds quote slippage tolerance')
+            summary.sold += sold
+            summary.bought += bought
+            continue
+        }
         if (swap.type !== 'pathPaymentStrictSend' && swap.type !== 'pathPaymentStrictReceive')
-            return false
+            throw errors.invalidSwapTx('Unexpected operation type: ' + swap.type)
+        const sendAsset = formatAssetId(swap.sendAsset)
         const isFee = swap.destination !== client.trader
         if (isFee) {
             if (swap.type !== 'pathPaymentStrictSend')
-                return false
+                throw errors.invalidSwapTx('Unexpected fee operation type: ' + swap.type)
             if ((swap.source && swap.source !== client.trader))
-                return false
+                throw errors.invalidSwapTx('Invalid fee operation source account: ' + swap.source)
+            //fees are grouped by quoted asset identifiers
+            const feeAsset = [quote.sellingAsset, quote.buyingAsset].find(asset => isSameAsset(sendAsset, asset, client.network))
+            if (!feeAsset)
+                throw errors.invalidSwapTx('Unexpected fee asset: ' + sendAsset)
+            summary.fees[feeAsset] = (summary.fees[feeAsset] || 0n) + toStroops(swap.sendAmount)
         } else {
             if ((swap.source && swap.source !== swap.destination) || swap.destination !== client.trader)
-                return false
+                throw errors.invalidSwapTx('Invalid swap operation source account: ' + swap.source)
+            if (!isSameAsset(sendAsset, quote.sellingAsset, client.network))
+                throw errors.invalidSwapTx('Unexpected selling asset: ' + sendAsset)
+            const destAsset = formatAssetId(swap.destAsset)
+            if (!isSameAsset(destAsset, quote.buyingAsset, client.network))
+                throw errors.invalidSwapTx('Unexpected buying asset: ' + destAsset)
+            const isStrictSend = swap.type === 'pathPaymentStrictSend'
+            //worst-case amounts
+            const sold = toStroops(isStrictSend ? swap.sendAmount : swap.sendMax)
+            const bought = toStroops(isStrictSend ? swap.destMin : swap.destAmount)
+            if (!isPriceAcceptable(client, sold, bought))
+                throw errors.invalidSwapTx('Swap price exceeds quote slippage tolerance')
+            summary.sold += sold
+            summary.bought += bought
         }
     }
-    //TODO: check assets and amounts
-    return true
-}
\ No newline at end of file
+    if (summary.sold > getMaxSellingAmount(quote, getSlippageTolerance(client)))
+        throw errors.invalidSwapTx('Swap amount exceeds quoted selling amount')
+    if (quote.buyingAmount && summary.bought > toStroops(quote.buyingAmount))
+        throw errors.invalidSwapTx('Swap amount exceeds quoted buying amount')
+    //fees should not exceed the expected share of the swapped amount
+    const maxFeeRatio = BigInt(Math.round(client.maxFeeRatio * 10000000))
+    for (const [asset, fee] of Object.entries(summary.fees)) {
+        const swapped = asset === quote.sellingAsset ? summary.sold : summary.bought
+        if (fee * 10000000n > swapped * maxFeeRatio)
+            throw errors.invalidSwapTx('Fee amount exceeds the allowed limit')
+    }
+    return summary
+}
+
+/**
+ * Check that the effective swap price is within the slippage tolerance of the quoted price
+ * @param {StellarBrokerClient} client
+ * @param {bigint} sold - Max amount of selling asset to sell
+ * @param {bigint} bought - Min amount of buying asset to receive
+ * @return {boolean}
+ */
+function isPriceAcceptable(client, sold, bought) {
+    const {selling: quotedSelling, buying: quotedBuying} = getQuotedAmounts(client.tradeQuote)
+    if (quotedSelling <= 0n || quotedBuying <= 0n || sold <= 0n)
+        return false
+    const minRatio = BigInt(Math.round((1 - getSlippageTolerance(client)) * 10000000))
+    // bought/sold >= quotedBuying/quotedSelling * (1 - slippageTolerance)
+    return bought * quotedSelling * 10000000n >= sold * quotedBuying * minRatio
+}
+
+/**
+ * Get effective trade slippage tolerance - the stricter of the requested and quoted tolerance
+ * @param {StellarBrokerClient} client
+ * @return {number}
+ */
+export function getSlippageTolerance(client) {
+    return Math.min(client.tradeQuote?.slippageTolerance ?? 1, client.quoteRequest?.slippageTolerance ?? 1)
+}
+
+/**
+ * @typedef {object} SwapTxSummary - Worst-case amounts committed by a swap transaction
+ * @property {bigint} sold - Max amount of selling asset to sell
+ * @property {bigint} bought - Min amount of buying asset to receive
+ * @property {Object<string, bigint>} fees - Fees charged, grouped by asset
+ * @private
+ */
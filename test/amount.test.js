@@ -0,0 +1,58 @@
+import {Amount} from '../src/index.js'
+import {toStroops} from '../src/stroops.js'
+import {validateQuoteRequest} from '../src/quote-request.js'
+import {QuoteResult} from '../src/quote-result.js'
+
+describe('amount', () => {
+    test('strict parsing', () => {
+        expect(Amount.parse('10.5').stroops).toEqual(105000000n)
+        expect(Amount.parse(0.1).add('0.2').toString()).toEqual('0.3')
+        expect(Amount.parse('-0.0000001').toString()).toEqual('-0.0000001')
+        expect(Amount.parse('1.00000005', 'half-even').toString()).toEqual('1')
+        expect(Amount.parse('1.00000015', 'half-even').toString()).toEqual('1.0000002')
+        expect(() => Amount.parse('1.00000005')).toThrow(/more than 7 decimal places/)
+        expect(() => Amount.parse('922337203685.4775808')).toThrow(/int64 range/)
+        for (const invalid of ['1,5', '1.2.3', '', '.5', '1e5', ' 1', NaN, null]) {
+            expect(() => Amount.parse(invalid)).toThrow(TypeError)
+        }
+        expect(toStroops('1,5')).toEqual(0n)
+        expect(() => toStroops('1,5', true)).toThrow(/Invalid number format/)
+    })
+
+    test('arithmetic and rounding', () => {
+        const amount = Amount.parse('10')
+        expect(amount.div(3).toString()).toEqual('3.3333333')
+        expect(amount.div(3, 'ceil').toString()).toEqual('3.3333334')
+        expect(amount.sub('10.0000001').div(3, 'floor').toString()).toEqual('-0.0000001')
+        expect(amount.mul('1.5').toString()).toEqual('15')
+        expect(amount.percent(0.15).toString()).toEqual('0.015')
+        expect(Amount.parse('0.0000001').minusSlippage(0.02).toString()).toEqual('0')
+        expect(Amount.parse('0.0000001').plusSlippage(0.02).toString()).toEqual('0.0000002')
+        expect(Amount.parse('2.45').round(1, 'half-even').toString()).toEqual('2.4')
+        expect(amount.gt('9.9999999') && amount.eq(10) && amount.lte(Amount.parse('10'))).toEqual(true)
+        expect(() => amount.div(0)).toThrow(RangeError)
+        expect(() => amount.minusSlippage(1)).toThrow(RangeError)
+        expect(JSON.stringify({amount})).toEqual('{"amount":"10"}')
+    })
+
+    test('locale formatting', () => {
+        const amount = Amount.parse('1234567.8915')
+        expect(amount.format({locale: 'en-US'})).toEqual('1,234,567.8915')
+        expect(amount.format({locale: 'de-DE', maxDecimals: 2})).toEqual('1.234.567,89')
+        expect(Amount.parse('-5').format({locale: 'en-US', minDecimals: 2, grouping: false})).toEqual('-5.00')
+        expect(Amount.parseLocale('1.234.567,8915', 'de-DE').eq(amount)).toEqual(true)
+        expect(Amount.parseLocale(amount.format({locale: 'fr-FR'}), 'fr-FR').eq(amount)).toEqual(true)
+        expect(() => Amount.parseLocale('1,234,5', 'de-DE')).toThrow(TypeError)
+    })
+
+    test('quote amounts', () => {
+        expect(validateQuoteRequest({sellingAsset: 'XLM', buyingAsset: 'USDC-GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN', sellingAmount: '10.50'}))
+            .toMatchObject({sellingAmount: '10.5'})
+        for (const sellingAmount of ['1,5', '0', '-1', '1.00000001']) {
+            expect(() => validateQuoteRequest({sellingAsset: 'XLM', buyingAsset: 'USDC-GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN', sellingAmount}))
+                .toThrow(/Invalid asset amount/)
+        }
+        const quote = new QuoteResult({status: 'success', buyingAmount: '10', estimatedSellingAmount: '99.9999999', directTrade: {selling: '100.1', buying: '10'}})
+        expect(quote.profit).toEqual('0.1000001')
+    })
+})
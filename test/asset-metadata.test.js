@@ -0,0 +1,128 @@
+import {Keypair} from '@stellar/stellar-sdk'
+import {AssetMetadataResolver} from '../src/index.js'
+import {QuoteResult} from '../src/quote-result.js'
+
+describe('asset metadata', () => {
+    const issuer = Keypair.random().publicKey()
+    const unknownIssuer = Keypair.random().publicKey()
+    const largeIssuer = Keypair.random().publicKey()
+    const streamingIssuer = Keypair.random().publicKey()
+    const usdc = 'USDC-' + issuer
+    const toml = `# SEP-1 fixture
+VERSION = "2.0.0"
+ACCOUNTS = [
+    "${issuer}", # issuer
+]
+
+[DOCUMENTATION]
+ORG_NAME = "Example \\"Anchor\\""
+ORG_URL = 'https://anchor.example'
+
+[[CURRENCIES]]
+code = "USDC"
+issuer = "${issuer}"
+name = "USD Coin"
+desc = """
+Fully reserved \\
+stablecoin"""
+image = "https://anchor.example/usdc.png"
+display_decimals = 2
+anchor_asset_type = "fiat"
+anchor_asset = "USD"
+
+[[CURRENCIES]]
+code = "EURC"
+issuer = "${issuer}"
+`
+    let requests
+    let resolver
+    let pulledChunks
+
+    beforeEach(() => {
+        requests = []
+        pulledChunks = 0
+        const accounts = {
+            [issuer]: {home_domain: 'anchor.example'},
+            [unknownIssuer]: {home_domain: 'broken.example'},
+            [largeIssuer]: {home_domain: 'large.example'},
+            [streamingIssuer]: {home_domain: 'streaming.example'}
+        }
+        resolver = new AssetMetadataResolver({
+            logLevel: 'silent',
+            horizon: {
+                loadAccount: async address => {
+                    requests.push(address)
+                    return accounts[address]
+                }
+            },
+            fetch: async url => {
+                requests.push(url)
+                if (url === 'https://anchor.example/.well-known/stellar.toml')
+                    return new Response(toml)
+                if (url === 'https://large.example/.well-known/stellar.toml')
+                    return new Response(createStream(), {headers: {'content-length': '1000000'}})
+                if (url === 'https://streaming.example/.well-known/stellar.toml')
+                    return new Response(createStream())
+                return new Response('[CURRENCIES', {status: 200})
+            }
+        })
+    })
+
+    test('resolve and cache stellar.toml metadata', async () => {
+        expect(await resolver.resolve('USDC:' + issuer)).toEqual({
+            asset: usdc,
+            code: 'USDC',
+            issuer,
+            domain: 'anchor.example',
+            name: 'USD Coin',
+            description: 'Fully reserved stablecoin',
+            image: 'https://anchor.example/usdc.png',
+            decimals: 2,
+            anchorAsset: 'USD',
+            anchorAssetType: 'fiat',
+            orgName: 'Example "Anchor"',
+            orgUrl: 'https://anchor.example'
+        })
+        expect(await resolver.resolve('EURC-' + issuer)).toMatchObject({code: 'EURC', domain: 'anchor.example', orgName: 'Example "Anchor"'})
+        await resolver.resolve(usdc)
+        //stellar.toml is fetched once per domain
+        expect(requests).toEqual([issuer, 'https://anchor.example/.well-known/stellar.toml', issuer])
+        expect(await resolver.resolve('native')).toEqual({asset: 'XLM', code: 'XLM', name: 'Stellar Lumens', decimals: 7})
+    })
+
+    test('enrich quotes and tolerate failures', async () => {
+        await expect(resolver.resolve('XYZ-' + unknownIssuer)).rejects.toMatchObject({code: 18, context: {phase: 'metadata'}})
+
+        const quote = new QuoteResult({status: 'success', sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '10', estimatedBuyingAmount: '1'})
+        await resolver.enrichQuote(quote)
+        expect(quote.assetMetadata.selling.name).toEqual('Stellar Lumens')
+        expect(quote.assetMetadata.buying.name).toEqual('USD Coin')
+
+        const result = await resolver.enrichTradeResult({status: 'success', sold: '10', bought: '1'},
+            {sellingAsset: 'XYZ-' + unknownIssuer, buyingAsset: usdc})
+        expect(result.assetMetadata).toEqual({selling: undefined, buying: quote.assetMetadata.buying})
+        //failed resolutions are not cached
+        expect(requests.filter(r => r === unknownIssuer).length).toEqual(2)
+    })
+
+    test('enforce stellar.toml size limit', async () => {
+        await expect(resolver.resolve('XYZ-' + largeIssuer)).rejects.toThrow(/exceeds allowed size of 102400 bytes/)
+        expect(pulledChunks).toBeLessThanOrEqual(1) //declared content length is checked before reading the body
+        await expect(resolver.resolve('XYZ-' + streamingIssuer)).rejects.toThrow(/exceeds allowed size of 102400 bytes/)
+        expect(pulledChunks).toBeLessThan(20) //download is aborted once the limit is reached
+    })
+
+    function createStream() {
+        const chunk = new TextEncoder().encode('#'.repeat(16 * 1024))
+        return new ReadableStream({
+            pull(controller) {
+                pulledChunks++
+                if (pulledChunks > 100) {
+                    controller.close()
+                    return
+                }
+                controller.enqueue(chunk)
+            }
+        })
+    }
+})
@@ -0,0 +1,52 @@
+import {Asset, Keypair, Networks, StrKey} from '@stellar/stellar-sdk'
+import {AssetId, isSameAsset, parseAsset} from '../src/asset.js'
+
+describe('asset', () => {
+    const issuer = Keypair.random().publicKey()
+    const usdc = 'USDC-' + issuer
+    const usdcContract = new Asset('USDC', issuer).contractId(Networks.TESTNET)
+
+    test('parse supported formats', () => {
+        for (const asset of ['XLM', 'xlm', 'native', {asset_type: 'native'}, Asset.native()]) {
+            expect(parseAsset(asset)).toEqual('XLM')
+        }
+        for (const asset of [usdc, usdc + '-1', 'USDC:' + issuer, new Asset('USDC', issuer),
+            {asset_type: 'credit_alphanum4', asset_code: 'USDC', asset_issuer: issuer}, {code: 'USDC', issuer}]) {
+            expect(parseAsset(asset)).toEqual(usdc)
+        }
+        expect(AssetId.parse('yUSDC:' + issuer)).toMatchObject({type: 'credit_alphanum12', code: 'yUSDC', issuer})
+        expect(AssetId.parse('yUSDC-' + issuer).toSep11()).toEqual('yUSDC:' + issuer)
+        expect(AssetId.parse(usdcContract)).toMatchObject({type: 'contract', contract: usdcContract})
+        expect(AssetId.parse({contract: usdcContract}).toString()).toEqual(usdcContract)
+    })
+
+    test('reject invalid and ambiguous identifiers', () => {
+        const invalid = {
+            '': /Asset identifier is empty/,
+            [issuer]: /Asset code is missing/,
+            ['USDC:' + issuer + '-1']: /Ambiguous asset identifier/,
+            ['USDC-' + issuer + '-2']: /Asset type suffix "2" does not match asset code USDC/,
+            ['USDC-' + issuer + '-1-1']: /Unknown asset identifier format/,
+            'USDC': /Unknown asset identifier format/,
+            ['TOOLONGASSETCODE-' + issuer]: /Invalid asset code: TOOLONGASSETCODE/,
+            ['USDC-' + StrKey.encodeMed25519PublicKey(Buffer.alloc(40))]: /Muxed account cannot be an asset issuer/,
+            ['C' + issuer.substring(1)]: /Invalid contract address/
+        }
+        for (const [asset, error] of Object.entries(invalid)) {
+            expect(() => parseAsset(asset, 'sellingAsset')).toThrow(error)
+        }
+        expect(() => parseAsset({asset_type: 'credit_alphanum12', asset_code: 'USDC', asset_issuer: issuer}))
+            .toThrow(/Asset type credit_alphanum12 does not match asset code USDC/)
+        expect(() => parseAsset({asset_type: 'liquidity_pool_shares'})).toThrow(/Unsupported asset type/)
+        expect(() => parseAsset(42)).toThrow(/Asset identifier expected/)
+        expect(() => AssetId.parse(usdcContract).toStellarAsset()).toThrow(/cannot be used as a classic asset/)
+    })
+
+    test('match classic assets with Stellar Asset Contracts', () => {
+        expect(isSameAsset(usdc, 'USDC:' + issuer)).toEqual(true)
+        expect(isSameAsset(usdc, usdcContract)).toEqual(false)
+        expect(isSameAsset(usdc, usdcContract, Networks.TESTNET)).toEqual(true)
+        expect(isSameAsset('XLM', usdcContract, Networks.TESTNET)).toEqual(false)
+        expect(isSameAsset('native', Asset.native().contractId(Networks.TESTNET), Networks.TESTNET)).toEqual(true)
+    })
+})
@@ -0,0 +1,832 @@
+import {FeeBumpTransaction, Keypair, Networks} from '@stellar/stellar-sdk'
+import {StellarBrokerClient, MockBrokerServer, QuoteBoard, QuoteHistory, SwapEstimator, TradeJournal, createWsTransport, estimateSwap, estimateSwaps} from '../src/node.js'
+
+describe('client', () => {
+    const issuer = Keypair.random().publicKey()
+    const usdc = 'USDC-' + issuer
+    const server = new MockBrokerServer({network: 'testnet'})
+    let network
+    let client
+
+    beforeAll(async () => {
+        const origin = await server.start()
+        network = {passphrase: Networks.TESTNET, origin}
+    })
+
+    afterAll(() => server.stop())
+
+    afterEach(() => {
+        client?.close()
+        client = undefined
+        server.disconnectAll()
+        server.setScenario()
+        server.signedTransactions.length = 0
+    })
+
+    function createClient(params) {
+        const trader = Keypair.random()
+        client = new StellarBrokerClient({
+            partnerKey: 'test',
+            network,
+            account: trader.publicKey(),
+            authorization: trader.secret(),
+            reconnect: {minDelay: 10, maxDelay: 50},
+            logLevel: 'silent',
+            ...params
+        })
+        return client
+    }
+
+    test('swap with partial fills', async () => {
+        server.setScenario({rate: '0.5', fills: ['4', '6'], fee: '0.01'})
+        const client = createClient()
+        const progress = []
+        client.on('progress', e => progress.push(e.status))
+
+        const result = await client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}, {timeout: 5000})
+
+        expect(result).toEqual({
+            status: 'success',
+            sold: '10',
+            bought: '5',
+            committed: {transactions: 2, sold: '10', bought: '4.9', fees: {XLM: '0.02'}, networkFees: '0.00012'}
+        })
+        expect(progress).toMatchObject([
+            {sold: '4', bought: '2', committed: {transactions: 1, networkFees: '0.00006'}},
+            {sold: '10', bought: '5', committed: {transactions: 2, networkFees: '0.00012'}}
+        ])
+        expect(server.signedTransactions.length).toEqual(2)
+        for (const tx of server.signedTransactions) {
+            expect(tx).toBeInstanceOf(FeeBumpTransaction)
+            expect(tx.feeSource).toEqual(client.trader)
+            expect(tx.signatures.length).toEqual(1)
+            expect(tx.innerTransaction.signatures.length).toEqual(2)
+        }
+        expect(client.status).toEqual('ready')
+    })
+
+    test('record trade in the journal', async () => {
+        server.setScenario({rate: '0.5', fills: ['4', '6']})
+        const journal = new TradeJournal()
+        const client = createClient({journal})
+
+        await client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}, {timeout: 5000})
+
+        const [record] = journal.list()
+        expect(record).toMatchObject({
+            account: client.trader,
+            network: Networks.TESTNET,
+            quoteRequest: {sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '10'},
+            quote: {status: 'success', estimatedBuyingAmount: '5'},
+            progress: [{sold: '4', bought: '2'}, {sold: '10', bought: '5'}],
+            result: {status: 'success', sold: '10', bought: '5'}
+        })
+        expect(record.transactions.map(tx => tx.hash))
+            .toEqual(server.signedTransactions.map(tx => tx.hash().toString('hex')))
+        const csv = journal.exportCSV().split('\n')
+        expect(csv.length).toEqual(3)
+        expect(csv[1]).toContain(record.transactions[0].hash)
+    })
+
+    test('exact-output swap', async () => {
+        server.setScenario({rate: '0.5', fills: ['2', '3']})
+        const client = createClient()
+
+        const result = await client.swap({sellingAsset: 'xlm', buyingAsset: usdc, buyingAmount: '5'}, {timeout: 5000})
+
+        expect(client.lastQuote).toMatchObject({buyingAmount: '5', estimatedSellingAmount: '10', profit: '0.1'})
+        expect(result).toMatchObject({status: 'success', sold: '10', bought: '5', committed: {sold: '10.2', bought: '5'}})
+        expect(server.signedTransactions.map(tx => tx.innerTransaction.operations[0].type))
+            .toEqual(['pathPaymentStrictReceive', 'pathPaymentStrictReceive'])
+    })
+
+    test('refuse exact-output swap transactions exceeding confirmed buying amount', async () => {
+        server.setScenario({rate: '0.5', executionRate: '0.6', fills: ['3', '3']})
+        const client = createClient()
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, buyingAmount: '5'}))
+            .rejects.toThrow(/Total swap amount exceeds confirmed buying amount/)
+        expect(server.signedTransactions.length).toEqual(1)
+    })
+
+    test('quote amounts are mutually exclusive', () => {
+        const client = createClient()
+        expect(() => client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1', buyingAmount: '1'}))
+            .toThrow(/mutually exclusive/)
+        expect(() => client.quote({sellingAsset: 'xlm', buyingAsset: usdc}))
+            .toThrow(/Either "sellingAmount" or "buyingAmount" parameter is required/)
+    })
+
+    function createFakeTransport(sockets) {
+        return url => {
+            const socket = {
+                url,
+                readyState: 1,
+                sent: [],
+                send(data) {
+                    this.sent.push(JSON.parse(data))
+                },
+                close() {
+                    this.readyState = 3
+                    this.onclose?.({})
+                },
+                receive(message) {
+                    this.onmessage({data: JSON.stringify(message)})
+                }
+            }
+            sockets.push(socket)
+            setTimeout(() => socket.receive({type: 'connected', uid: 'fake'}), 0)
+            return socket
+        }
+    }
+
+    test('custom transport', async () => {
+        const sockets = []
+        const transport = createFakeTransport(sockets)
+        const client = createClient({transport, reconnect: false})
+        const quote = new Promise(resolve => client.on('quote', e => resolve(e.quote)))
+        client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'})
+        await client.connect()
+        expect(sockets.length).toEqual(1)
+        expect(sockets[0].url).toEqual(network.origin + '/ws?partner=test')
+        expect(sockets[0].sent).toEqual([{type: 'quote', sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '1', slippageTolerance: expect.any(Number)}])
+        sockets[0].receive({type: 'quote', quote: {status: 'success', sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '1', estimatedBuyingAmount: '0.5'}})
+        expect(await quote).toMatchObject({status: 'success', estimatedBuyingAmount: '0.5'})
+        client.close()
+        expect(sockets[0].readyState).toEqual(3)
+
+        //"ws" transport with custom client options
+        const wsClient = createClient({transport: createWsTransport({headers: {'User-Agent': 'test'}})})
+        await wsClient.connect()
+        expect(wsClient.status).toEqual('ready')
+        wsClient.close()
+    })
+
+    test('once listeners', async () => {
+        const client = createClient({transport: createFakeTransport([]), reconnect: false})
+        const listenerCount = () => [...client.listeners.values()].reduce((total, callbacks) => total + callbacks.size, 0)
+        const received = []
+        const removed = () => received.push('removed')
+        client.once('connected', e => received.push(e.connected.uid))
+        client.once('connected', removed)
+        client.off('connected', removed)
+        expect(listenerCount()).toEqual(1)
+
+        await client.connect()
+        expect(received).toEqual(['fake'])
+        expect(listenerCount()).toEqual(0)
+    })
+
+    test('reject malformed trade amounts', async () => {
+        for (const [type, sold] of [['progress', '1,5'], ['stop', '-1'], ['progress', undefined]]) {
+            const sockets = []
+            const client = createClient({transport: createFakeTransport(sockets), reconnect: false})
+            const errors = []
+            const finished = []
+            client.on('error', e => errors.push(e.error))
+            client.on('finished', e => finished.push(e.result))
+            client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'})
+            await client.connect()
+            sockets[0].receive({type: 'quote', quote: {status: 'success', sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '1', estimatedBuyingAmount: '0.5', ts: new Date().toISOString()}})
+            client.confirmQuote()
+            expect(client.status).toEqual('trade')
+
+            sockets[0].receive({type, status: 'success', sold, bought: '0.5'})
+            expect(errors).toMatchObject([{code: 32, context: {phase: 'trade'}}])
+            expect(errors[0].message).toMatch(/Malformed (progress|stop) amounts/)
+            expect(finished).toEqual([])
+            expect(client.status).toEqual('ready')
+            expect(sockets[0].sent.at(-1)).toEqual({type: 'stop'})
+            client.close()
+        }
+    })
+
+    test('lifecycle events', async () => {
+        server.setScenario({fills: ['4', '6']})
+        const client = createClient()
+        const events = []
+        client.on('connected', () => events.push('connected'))
+        client.on('statusChange', e => events.push(e.statusChange.oldStatus + '->' + e.statusChange.newStatus))
+        client.on('txSigned', e => events.push(e.tx.kind))
+        const unsubscribe = client.on('progress', () => events.push('progress'))
+        unsubscribe()
+
+        await client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}, {timeout: 5000})
+
+        expect(events).toEqual([
+            'disconnected->quote',
+            'connected',
+            'quote->trade',
+            'swap',
+            'fee-bump',
+            'swap',
+            'fee-bump',
+            'trade->ready'
+        ])
+        client.close()
+        events.length = 0
+        await client.connect()
+        expect(events).toEqual([])
+    })
+
+    test('custom logger', async () => {
+        server.setScenario({fee: '0.2'})
+        const entries = []
+        const sink = {}
+        for (const level of ['debug', 'info', 'warn', 'error']) {
+            sink[level] = (message, fields) => entries.push({level, message, fields})
+        }
+        const client = createClient({logger: sink, logLevel: 'error'})
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})).rejects.toThrow()
+
+        expect(entries.length).toEqual(1)
+        expect(entries[0]).toMatchObject({
+            level: 'error',
+            message: expect.stringMatching(/Fee amount exceeds the allowed limit/),
+            fields: {uid: client.uid, code: 21, phase: 'trade', txHash: expect.stringMatching(/^[0-9a-f]{64}$/)}
+        })
+        expect(() => createClient({logLevel: 'verbose'})).toThrow(/Invalid parameter value: "logLevel"/)
+        //only the public preset has a predefined StellarBroker API origin
+        expect(() => createClient({network: 'testnet'})).toThrow(/Invalid parameter value: "network.origin"/)
+    })
+
+    test('swap rejected by the server', async () => {
+        server.setScenario({errorAt: 1, errorMessage: 'Insufficient liquidity', errorCode: 'insufficient_liquidity', fills: ['5', '5']})
+        const client = createClient()
+        const errors = []
+        client.on('error', e => errors.push(e.error))
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}))
+            .rejects.toThrow('Insufficient liquidity')
+        expect(errors).toMatchObject([{
+            code: 105,
+            message: 'Insufficient liquidity',
+            retriable: true,
+            context: {phase: 'trade', serverCode: 'insufficient_liquidity'}
+        }])
+        expect(server.signedTransactions.length).toEqual(1)
+    })
+
+    test('refuse swap transactions with excessive fees', async () => {
+        server.setScenario({fee: '0.2'})
+        const client = createClient()
+        const rejected = []
+        client.on('txRejected', e => rejected.push(e.tx))
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}))
+            .rejects.toThrow(/Fee amount exceeds the allowed limit/)
+        expect(server.signedTransactions.length).toEqual(0)
+        expect(rejected).toMatchObject([{error: {code: 21}}])
+    })
+
+    test('refuse swap transactions exceeding slippage tolerance', async () => {
+        server.setScenario({rate: '1', executionRate: '0.9'})
+        const client = createClient()
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10', slippageTolerance: 0.05}))
+            .rejects.toThrow(/exceeds quote slippage tolerance/)
+        expect(server.signedTransactions.length).toEqual(0)
+    })
+
+    test('refuse swap transactions exceeding confirmed selling amount', async () => {
+        server.setScenario({fills: ['6', '6']})
+        const client = createClient()
+
+        const promise = client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+        await expect(promise).rejects.toThrow(/Total swap amount exceeds confirmed selling amount/)
+        await expect(promise).rejects.toMatchObject({code: 25, retriable: false, context: {phase: 'trade'}})
+        expect((await promise.catch(e => e)).context.txHash).toMatch(/^[0-9a-f]{64}$/)
+        expect(server.signedTransactions.length).toEqual(1)
+    })
+
+    test('refuse transactions exceeding network fee limits', async () => {
+        server.setScenario({networkFee: '1000'})
+        let client = createClient({maxNetworkFee: '0.0001'})
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}))
+            .rejects.toThrow(/Transaction network fee exceeds the allowed limit/)
+        client.close()
+
+        server.setScenario({networkFee: '500', fills: ['5', '5']})
+        client = createClient({maxNetworkFee: '0.0001', maxTotalFees: '0.00015'})
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}))
+            .rejects.toThrow(/Total network fees exceed the allowed limit/)
+        expect(server.signedTransactions.length).toEqual(1)
+    })
+
+    test('concurrently signed transactions cannot exceed confirmed selling amount', async () => {
+        server.setScenario({fills: ['6', '6'], parallel: true})
+        const trader = Keypair.random()
+        const client = createClient({account: trader.publicKey(), authorization: delayedAuthorization(trader)})
+        const rejected = []
+        client.on('error', () => {
+        })
+        client.on('txRejected', e => rejected.push(e.tx.error))
+        client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+        await new Promise(resolve => client.once('quote', resolve))
+        const signed = new Promise(resolve => client.on('txSigned', e => e.tx.kind === 'fee-bump' && resolve()))
+        client.confirmQuote()
+        await signed
+
+        expect(rejected).toMatchObject([{code: 25}])
+        expect(client.ledger.toJSON()).toMatchObject({transactions: 1, sold: '6'})
+    })
+
+    test('concurrently signed transactions cannot exceed total network fees limit', async () => {
+        server.setScenario({networkFee: '200', fills: ['4', '6'], parallel: true})
+        const trader = Keypair.random()
+        const client = createClient({account: trader.publicKey(), authorization: delayedAuthorization(trader), maxTotalFees: '0.00005'})
+        const rejected = []
+        client.on('error', () => {
+        })
+        client.on('txRejected', e => rejected.push(e.tx.error))
+        client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+        await new Promise(resolve => client.once('quote', resolve))
+        const signed = new Promise(resolve => client.on('txSigned', e => e.tx.kind === 'fee-bump' && resolve()))
+        client.confirmQuote()
+        await signed
+
+        expect(rejected).toMatchObject([{code: 28}])
+        expect(client.ledger.toJSON()).toMatchObject({transactions: 1, networkFees: '0.00004'})
+    })
+
+    test('price protection guards', async () => {
+        server.setScenario({rate: '0.5', directTradeShortfall: 0.01, quoteInterval: 20})
+        const client = createClient()
+        client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+        await new Promise(resolve => client.once('quote', resolve))
+
+        expect(() => client.confirmQuote(undefined, undefined, {minBuyingAmount: '5.1'}))
+            .toThrow(/Estimated buying amount is lower than 5.1/)
+        expect(() => client.confirmQuote(undefined, undefined, {maxPriceImpact: -1}))
+            .toThrow(/Invalid max price impact/)
+        await new Promise(resolve => setTimeout(resolve, 50))
+        expect(() => client.confirmQuote(undefined, undefined, {maxQuoteAge: 1}))
+            .toThrow(/quote expired/)
+        expect(client.status).toEqual('quote')
+    })
+
+    test('stop trade once realised rate drops below the floor', async () => {
+        server.setScenario({rate: '0.5', realisedRate: '0.47', fills: ['4', '6']})
+        const client = createClient()
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}, {minBuyingAmount: '4.8'}))
+            .rejects.toThrow(/Realised trade rate dropped below the floor/)
+        expect(server.signedTransactions.length).toEqual(1)
+    })
+
+    test('swap timeout', async () => {
+        server.setScenario({quoteStatus: 'unfeasible', quoteError: 'No liquidity', quoteInterval: 20})
+        const client = createClient()
+        const started = Date.now()
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}, {timeout: 100}))
+            .rejects.toMatchObject({code: 24, retriable: true})
+        expect(Date.now() - started).toBeGreaterThanOrEqual(90)
+        expect(client.status).toEqual('ready')
+        expect([...client.listeners.values()].every(callbacks => !callbacks.size)).toEqual(true)
+    })
+
+    test('concurrent swap does not interrupt the trade in progress', async () => {
+        server.setScenario({fills: ['4', '6']})
+        const client = createClient()
+        const params = {sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}
+        const trading = new Promise(resolve => client.on('progress', resolve))
+        const swap = client.swap(params, {timeout: 5000})
+        await trading
+
+        await expect(client.swap(params)).rejects.toMatchObject({code: 20})
+        expect(client.status).toEqual('trade')
+        await expect(swap).resolves.toMatchObject({status: 'success', sold: '10'})
+    })
+
+    test('swap guards reject quotes', async () => {
+        server.setScenario({rate: '0.5', quoteInterval: 20})
+        const client = createClient()
+        const params = {sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}
+        const received = server.received.length
+        const tradeRequests = () => server.received.slice(received).filter(r => r.message.type === 'trade').length
+
+        await expect(client.swap(params, {minBuyingAmount: '5.1', timeout: 150}))
+            .rejects.toMatchObject({code: 24})
+        await expect(client.swap(params, {maxPriceImpact: -1}))
+            .rejects.toThrow(/Invalid max price impact/)
+        server.setScenario({rate: '0.5', quoteInterval: 10, pauseAfter: 3})
+        await expect(client.swap(params, {minBuyingAmount: '5.1'}))
+            .rejects.toThrow(/Quotation paused before receiving an acceptable quote/)
+        expect(tradeRequests()).toEqual(0)
+        expect(server.signedTransactions.length).toEqual(0)
+
+        server.setScenario({rate: '0.5', quoteInterval: 20})
+        const result = await client.swap(params, {minBuyingAmount: '4.9', timeout: 5000})
+        expect(result).toMatchObject({status: 'success', sold: '10', bought: '5'})
+        expect(tradeRequests()).toEqual(1)
+    })
+
+    test('swap aborted by the client', async () => {
+        server.setScenario({quoteStatus: 'unfeasible', quoteError: 'No liquidity', quoteInterval: 20})
+        const client = createClient()
+        const abortController = new AbortController()
+        setTimeout(() => abortController.abort(), 100)
+
+        await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'}, {signal: abortController.signal}))
+            .rejects.toMatchObject({code: 23})
+        expect(client.status).toEqual('ready')
+    })
+
+    test('quote stream ends when quotation is paused', async () => {
+        server.setScenario({rate: '2', pauseAfter: 3, quoteInterval: 10})
+        const client = createClient()
+        const quotes = []
+        for await (const quote of client.quotes({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'})) {
+            quotes.push(quote)
+        }
+        expect(quotes.length).toEqual(3)
+        expect(quotes[0]).toMatchObject({status: 'success', estimatedBuyingAmount: '2', profit: '0.02'})
+    })
+
+    test('quote stream resumes paused quotation', async () => {
+        server.setScenario({rate: '2', pauseAfter: 2, quoteInterval: 10})
+        const client = createClient()
+        const received = server.received.length
+        const quotes = []
+        for await (const quote of client.quotes({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'}, {resumeOnPause: true})) {
+            quotes.push(quote)
+            if (quotes.length === 5)
+                break
+        }
+        expect(quotes.length).toEqual(5)
+        //quotation paused twice and was requested again each time
+        expect(server.received.slice(received).filter(r => r.message.type === 'quote').length).toEqual(3)
+        expect(client.status).toEqual('ready')
+    })
+
+    test('quote stream cancellation', async () => {
+        server.setScenario({quoteInterval: 10})
+        const client = createClient()
+        const params = {sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'}
+        const listenerCount = () => [...client.listeners.values()].reduce((total, callbacks) => total + callbacks.size, 0)
+        //abort signal
+        const abortController = new AbortController()
+        const quotes = []
+        for await (const quote of client.quotes(params, {signal: abortController.signal})) {
+            quotes.push(quote)
+            if (quotes.length === 2) {
+                abortController.abort()
+            }
+        }
+        expect(quotes.length).toEqual(2)
+        expect(client.status).toEqual('ready')
+        expect(listenerCount()).toEqual(0)
+        await new Promise(resolve => setTimeout(resolve, 20))
+        expect(server.received.filter(r => r.uid === client.uid).map(r => r.message.type)).toEqual(['quote', 'stop'])
+        //explicit return()
+        const stream = client.quotes(params)
+        expect(await stream.next()).toMatchObject({done: false, value: {status: 'success'}})
+        expect(listenerCount()).toEqual(3)
+        expect(await stream.return()).toEqual({done: true, value: undefined})
+        expect(client.status).toEqual('ready')
+        expect(listenerCount()).toEqual(0)
+        //already aborted signal
+        const aborted = client.quotes(params, {signal: AbortSignal.abort()})
+        expect(await aborted.next()).toEqual({done: true, value: undefined})
+        expect(client.status).toEqual('ready')
+    })
+
+    test('quote stream errors', async () => {
+        server.setScenario({errorAt: 'quote', errorMessage: 'No liquidity', errorCode: 'insufficient_liquidity'})
+        const client = createClient()
+        const quotes = []
+        const iterate = async () => {
+            for await (const quote of client.quotes({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'})) {
+                quotes.push(quote)
+            }
+        }
+        await expect(iterate()).rejects.toMatchObject({code: 105, message: 'No liquidity', context: {phase: 'quote'}})
+        expect(quotes).toEqual([])
+        expect(client.listeners.get('quote').size).toEqual(0)
+        //invalid params are reported on the first iteration
+        await expect(client.quotes({sellingAsset: 'xlm', buyingAsset: usdc}).next()).rejects.toMatchObject({code: 14})
+        expect(client.listeners.get('error').size).toEqual(0)
+    })
+
+    test('quote history metrics', async () => {
+        server.setScenario({rate: '0.5', quoteInterval: 10})
+        const history = new QuoteHistory({maxSize: 4})
+        const client = createClient({quoteHistory: history})
+        const rates = ['0.5', '0.55', '0.5', '0.45', '0.6']
+        await new Promise(resolve => {
+            let received = 0
+            client.on('quote', () => {
+                received++
+                if (received === rates.length)
+                    return resolve()
+                server.setScenario({rate: rates[received], quoteInterval: 10})
+            })
+            client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+        })
+        client.stop()
+
+        const metrics = client.getQuoteMetrics()
+        expect(metrics).toMatchObject({
+            count: 4,
+            lastRate: 0.6,
+            best: {estimatedBuyingAmount: '6'},
+            worst: {estimatedBuyingAmount: '4.5'},
+            averageProfitRatio: expect.closeTo(0.0101, 4)
+        })
+        expect(metrics.rates.map(r => r.rate)).toEqual([0.55, 0.5, 0.45, 0.6])
+        expect(metrics.change).toBeCloseTo(0.0909, 4)
+        expect(metrics.volatility).toBeGreaterThan(0.1)
+        expect(history.getMetrics(usdc, 'xlm')).toBeUndefined() //pairs are tracked separately for each direction
+    })
+
+    test('report quote connection failures', async () => {
+        const offline = new MockBrokerServer({network: 'testnet'})
+        const origin = await offline.start()
+        await offline.stop()
+        const unhandled = []
+        const onUnhandled = e => unhandled.push(e)
+        process.on('unhandledRejection', onUnhandled)
+        try {
+            const client = createClient({network: {passphrase: Networks.TESTNET, origin}, reconnect: false})
+            const error = new Promise(resolve => client.on('error', e => resolve(e.error)))
+            client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'})
+            expect(await error).toMatchObject({code: 3, context: {phase: 'connection'}})
+            expect(client.status).toEqual('disconnected')
+
+            await expect(client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'}, {timeout: 5000}))
+                .rejects.toMatchObject({code: 3})
+            await new Promise(resolve => setTimeout(resolve, 50))
+            expect(unhandled).toEqual([])
+        } finally {
+            process.off('unhandledRejection', onUnhandled)
+        }
+    })
+
+    test('reconnect after missed heartbeats', async () => {
+        server.setScenario({dropHeartbeats: true, quoteInterval: 20})
+        const client = createClient({heartbeatTimeout: 200})
+        const events = []
+        client.on('disconnected', e => events.push('disconnected:' + e.disconnected.reconnect))
+        client.on('reconnecting', () => {
+            events.push('reconnecting')
+            server.setScenario({pingInterval: 50, quoteInterval: 20})
+        })
+        const reconnected = new Promise(resolve => client.on('reconnected', e => resolve(e.reconnected)))
+        client.quote({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '1'})
+        const {uid} = await client.connect()
+
+        expect(await reconnected).toMatchObject({status: 'quote'})
+        expect(client.uid).not.toEqual(uid)
+        expect(events).toEqual(['disconnected:true', 'reconnecting'])
+        //quotation was requested again in the new session
+        const quote = await new Promise(resolve => client.on('quote', e => resolve(e.quote)))
+        expect(quote).toMatchObject({status: 'success'})
+        expect(server.received.filter(r => r.uid === client.uid && r.message.type === 'quote').length).toEqual(1)
+        //heartbeats keep the new connection alive
+        await new Promise(resolve => setTimeout(resolve, 400))
+        expect(events.length).toEqual(2)
+    })
+
+    test('reconnect and resume trade', async () => {
+        server.setScenario({fills: ['1', '2', '3'], disconnectAfter: 1})
+        const client = createClient()
+        const events = []
+        client.on('reconnecting', () => {
+            events.push('reconnecting')
+            server.setScenario({fills: ['2', '3']}) //the new session trades the remaining amount
+        })
+        client.on('reconnected', e => events.push('reconnected:' + e.reconnected.status))
+        const received = server.received.length
+
+        const result = await client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '6'}, {timeout: 5000})
+
+        expect(result).toMatchObject({status: 'success', sold: '6', bought: '6', committed: {transactions: 3, sold: '6'}})
+        expect(events).toEqual(['reconnecting', 'reconnected:trade'])
+        expect(server.signedTransactions.length).toEqual(3)
+        const requests = server.received.slice(received).map(r => r.message)
+            .filter(m => m.type === 'quote' || m.type === 'trade')
+            .map(m => m.type + (m.sellingAmount ? ':' + m.sellingAmount : ''))
+        expect(requests).toEqual(['quote:6', 'trade', 'quote:5', 'trade'])
+    })
+
+    test('reconnect while transaction is being signed', async () => {
+        server.setScenario({fills: ['1', '2', '3']})
+        const trader = Keypair.random()
+        let signed = 0
+        const client = createClient({
+            account: trader.publicKey(),
+            authorization: async tx => {
+                if (!tx.innerTransaction && ++signed === 2) { //slow wallet callback
+                    server.setScenario({fills: ['2', '3']})
+                    server.disconnectAll()
+                    await new Promise(resolve => setTimeout(resolve, 200))
+                }
+                tx.sign(trader)
+                return tx
+            }
+        })
+
+        const result = await client.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '6'}, {timeout: 5000})
+
+        expect(result).toMatchObject({status: 'success', sold: '6', bought: '6', committed: {transactions: 3, sold: '6'}})
+        expect(server.signedTransactions.length).toEqual(3)
+        await new Promise(resolve => setTimeout(resolve, 200))
+        expect(server.signedTransactions.length).toEqual(3) //transaction signed for the lost session is dropped
+    })
+
+    test('resume trade after reload', async () => {
+        server.setScenario({fills: ['1', '2', '3'], disconnectAfter: 1})
+        const sessionStore = new MemoryStore()
+        const trader = Keypair.random()
+        const interrupted = createClient({sessionStore, reconnect: false, account: trader.publicKey(), authorization: trader.secret()})
+        await expect(interrupted.swap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '6'}, {timeout: 5000}))
+            .rejects.toMatchObject({code: 3})
+        interrupted.close()
+        const sessionKey = 'stellar_broker_session:' + network.passphrase + ':' + trader.publicKey()
+        expect(JSON.parse(sessionStore.getItem(sessionKey))).toMatchObject({
+            account: trader.publicKey(),
+            ledger: {committed: [expect.any(String)]},
+            settled: {sold: '1', bought: '1'}
+        })
+        server.setScenario({fills: ['2', '3']})
+
+        //sessions of other accounts sharing the store are not affected
+        const other = createClient({sessionStore})
+        expect(await other.resumeSession()).toEqual(false)
+        other.close()
+        const client = createClient({sessionStore, account: undefined, authorization: undefined})
+        await expect(client.resumeSession(trader.secret())).rejects.toThrow(/Invalid trader account address: missing/)
+        const finished = new Promise(resolve => client.on('finished', e => resolve(e.result)))
+        expect(await client.resumeSession(trader.secret(), trader.publicKey())).toEqual(true)
+        expect(client.status).toEqual('trade')
+
+        expect(await finished).toMatchObject({status: 'success', sold: '6', bought: '6', committed: {transactions: 3}})
+        expect(client.trader).toEqual(trader.publicKey())
+        expect(server.signedTransactions.length).toEqual(3)
+        expect(sessionStore.getItem(sessionKey)).toEqual(null)
+        expect(await client.resumeSession()).toEqual(false)
+    })
+
+    test('quote board', async () => {
+        server.setScenario({rate: '0.5', fills: ['10']})
+        const trader = Keypair.random()
+        const board = new QuoteBoard({partnerKey: 'test', network, logLevel: 'silent'})
+        const updated = new Set()
+        const waitForUpdates = keys => new Promise(resolve => {
+            updated.clear()
+            const unsubscribe = board.on('update', e => {
+                updated.add(e.update.key)
+                if (keys.every(key => updated.has(key))) {
+                    unsubscribe()
+                    resolve()
+                }
+            })
+        })
+        try {
+            const pending = waitForUpdates(['XLM/' + usdc, usdc + '/XLM'])
+            const xlmUsdc = board.subscribe({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+            const usdcXlm = board.subscribe({sellingAsset: usdc, buyingAsset: 'xlm', sellingAmount: '5'})
+            await pending
+            expect(board.get(xlmUsdc)).toMatchObject({status: 'success', estimatedBuyingAmount: '5'})
+            expect(board.entries().map(e => e.key)).toEqual([xlmUsdc, usdcXlm])
+
+            const trading = board.promote(xlmUsdc, trader.publicKey(), trader.secret())
+            const result = await new Promise(resolve => trading.on('finished', e => resolve(e.result)))
+            trading.close()
+            expect(result).toMatchObject({status: 'success', sold: '10', bought: '5'})
+
+            await waitForUpdates([xlmUsdc]) //the pair is still quoted after the promotion
+            board.unsubscribe(usdcXlm)
+            expect(board.get(usdcXlm)).toBeUndefined()
+            expect(() => board.promote(usdcXlm)).toThrow(/Price quote not available/)
+        } finally {
+            board.close()
+        }
+    })
+
+    test('quote board teardown before connecting', async () => {
+        const unhandled = []
+        const onUnhandled = e => unhandled.push(e)
+        process.on('unhandledRejection', onUnhandled)
+        const board = new QuoteBoard({partnerKey: 'test', network, logLevel: 'silent'}, {maxPairs: 2})
+        try {
+            const errors = []
+            board.on('error', e => errors.push(e.error))
+            const xlmUsdc = board.subscribe({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '10'})
+            board.subscribe({sellingAsset: usdc, buyingAsset: 'xlm', sellingAmount: '5'})
+            expect(() => board.subscribe({sellingAsset: 'xlm', buyingAsset: 'EURC-' + issuer, sellingAmount: '1'}))
+                .toThrow(/Quote board pairs limit exceeded/)
+            board.unsubscribe(xlmUsdc)
+            board.subscribe({sellingAsset: 'xlm', buyingAsset: 'EURC-' + issuer, sellingAmount: '1'})
+            board.close()
+            await new Promise(resolve => setTimeout(resolve, 100))
+            expect(errors).toEqual([])
+            expect(unhandled).toEqual([])
+        } finally {
+            process.off('unhandledRejection', onUnhandled)
+            board.close()
+        }
+    })
+
+    test('estimate swap', async () => {
+        server.setScenario({rate: '0.1'})
+        const quote = await estimateSwap({sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '100'}, {network})
+        expect(quote).toMatchObject({
+            status: 'success',
+            sellingAsset: 'XLM',
+            buyingAsset: usdc,
+            sellingAmount: '100',
+            estimatedBuyingAmount: '10'
+        })
+    })
+    test('estimate swap request failures', async () => {
+        server.setScenario({rate: '0.1'})
+        const params = {sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '100'}
+        const calls = []
+        const failures = [
+            () => Promise.reject(new TypeError('fetch failed')),
+            () => Promise.resolve(new Response(JSON.stringify({error: 'Maintenance'}), {status: 503}))
+        ]
+        const flakyFetch = (url, init) => {
+            calls.push({url, init})
+            return calls.length <= failures.length ? failures[calls.length - 1]() : fetch(url, init)
+        }
+        const options = {network, logLevel: 'silent', partnerKey: 'demo', headers: {'X-App': 'test'}, retry: {minDelay: 1}}
+
+        const quote = await estimateSwap(params, {...options, fetch: flakyFetch})
+        expect(quote).toMatchObject({status: 'success', estimatedBuyingAmount: '10'})
+        expect(calls.length).toEqual(3)
+        expect(calls[2].url).toContain('partner=demo')
+        expect(calls[2].init.headers).toEqual({'X-App': 'test'})
+
+        const throttled = () => Promise.resolve(new Response(JSON.stringify({error: 'Slow down'}), {status: 429}))
+        await expect(estimateSwap(params, {...options, fetch: throttled}))
+            .rejects.toMatchObject({code: 108, message: 'Slow down', context: {httpStatus: 429, phase: 'estimate'}})
+
+        const hanging = (url, {signal}) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))))
+        await expect(estimateSwap(params, {...options, fetch: hanging, timeout: 20, retry: false}))
+            .rejects.toMatchObject({code: 15, retriable: true})
+        const controller = new AbortController()
+        const aborted = estimateSwap(params, {...options, fetch: hanging, signal: controller.signal})
+        controller.abort()
+        await expect(aborted).rejects.toMatchObject({code: 16})
+    })
+
+    test('batched estimates', async () => {
+        server.setScenario({rate: '0.1'})
+        server.httpRequests.length = 0
+        const estimator = new SwapEstimator({network, logLevel: 'silent', concurrency: 1, ttl: 10_000})
+        const xlmUsdc = {sellingAsset: 'xlm', buyingAsset: usdc, sellingAmount: '100'}
+
+        const items = await estimateSwaps([
+            xlmUsdc,
+            {sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '100'},
+            {sellingAsset: usdc, buyingAsset: 'xlm', sellingAmount: '1'},
+            {sellingAsset: 'xlm', buyingAsset: 'invalid', sellingAmount: '1'}
+        ], {estimator})
+
+        expect(items.map(item => item.result?.estimatedBuyingAmount)).toEqual(['10', '10', '0.1', undefined])
+        expect(items[3].error).toMatchObject({code: 14})
+        expect(server.httpRequests.length).toEqual(2) //identical requests are fetched once
+        await estimator.estimateSwap(xlmUsdc)
+        expect(server.httpRequests.length).toEqual(2) //served from the cache
+
+        const stale = new SwapEstimator({network, logLevel: 'silent', ttl: 0, staleTtl: 10_000})
+        const quote = await stale.estimateSwap(xlmUsdc)
+        expect(await stale.estimateSwap(xlmUsdc)).toBe(quote) //stale estimate returned while revalidating
+        for (let i = 0; i < 50 && server.httpRequests.length < 4; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10))
+        }
+        expect(server.httpRequests.length).toEqual(4)
+    })
+})
+
+
+class MemoryStore {
+    items = new Map()
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null
+    }
+
+    setItem(key, value) {
+        this.items.set(key, value)
+    }
+
+    removeItem(key) {
+        this.items.delete(key)
+    }
+}
+
+function delayedAuthorization(keypair, delay = 20) {
+    return async payload => {
+        await new Promise(resolve => setTimeout(resolve, delay))
+        if (payload.sign) {
+            payload.sign(keypair)
+            return payload
+        }
+        return keypair.sign(payload)
+    }
+}
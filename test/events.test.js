@@ -0,0 +1,25 @@
+import {buildEvent, createEmitter} from '../src/events.js'
+
+describe('events', () => {
+    test('isolate failing listeners in legacy runtimes', () => {
+        const {EventTarget, reportError} = globalThis
+        const reported = []
+        globalThis.EventTarget = undefined
+        globalThis.reportError = e => reported.push(e.message)
+        try {
+            const emitter = createEmitter()
+            const received = []
+            emitter.addEventListener('quote', () => {
+                throw new Error('Listener failed')
+            })
+            emitter.addEventListener('quote', e => received.push(e.quote), {once: true})
+            emitter.dispatchEvent(buildEvent('quote', {price: '1'}))
+            emitter.dispatchEvent(buildEvent('quote', {price: '2'}))
+            expect(received).toEqual([{price: '1'}])
+            expect(reported).toEqual(['Listener failed', 'Listener failed'])
+        } finally {
+            globalThis.EventTarget = EventTarget
+            globalThis.reportError = reportError
+        }
+    })
+})
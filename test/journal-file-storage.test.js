@@ -0,0 +1,60 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import {FileJournalStorage, TradeJournal} from '../src/node.js'
+
+describe('file journal storage', () => {
+    let dir
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'))
+    })
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true})
+    })
+
+    test('batch writes and replace the file atomically', async () => {
+        const file = path.join(dir, 'trades.json')
+        const storage = new FileJournalStorage(file, {writeDelay: 20})
+        const journal = new TradeJournal(storage)
+        const renames = jest.spyOn(fs.promises, 'rename')
+        try {
+            const id = journal.startSession({uid: '1', account: 'GA', network: 'testnet', quoteRequest: {}, quote: {}})
+            journal.recordTransaction(id, 'AAAA')
+            journal.recordProgress(id, {sold: '1', bought: '2'})
+            expect(fs.existsSync(file)).toEqual(false) //nothing is written synchronously
+            expect(journal.get(id).transactions.length).toEqual(1)
+
+            await new Promise(resolve => setTimeout(resolve, 100))
+            await storage.flush() //wait for the scheduled write to complete
+            expect(renames).toHaveBeenCalledTimes(1) //all changes are written in a single batch
+            expect(fs.readdirSync(dir)).toEqual(['trades.json'])
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(journal.list())
+
+            journal.finishSession(id, {status: 'success', sold: '1', bought: '2'})
+            await storage.flush()
+            expect(renames).toHaveBeenCalledTimes(2)
+            //records are loaded from the file by a new instance
+            const restored = new TradeJournal(new FileJournalStorage(file))
+            expect(restored.get(id)).toMatchObject({id, result: {status: 'success'}})
+
+            journal.remove(id)
+            await storage.flush()
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([])
+        } finally {
+            renames.mockRestore()
+        }
+    })
+
+    test('report write failures on flush and retry with the next write', async () => {
+        const file = path.join(dir, 'missing', 'trades.json')
+        const storage = new FileJournalStorage(file, {writeDelay: 0})
+        storage.save({id: '1'})
+        await expect(storage.flush()).rejects.toThrow(/ENOENT/)
+        fs.mkdirSync(path.dirname(file))
+        await storage.flush()
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([{id: '1'}])
+        expect(() => new FileJournalStorage(file, {writeDelay: -1})).toThrow(/writeDelay/)
+    })
+})
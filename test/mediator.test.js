@@ -1,4 +1,4 @@
-import {Keypair} from '@stellar/stellar-sdk'
+import {BadResponseError, Keypair, NetworkError, Networks} from '@stellar/stellar-sdk'
 import {Mediator} from '../src/index.js'
 
 describe('mediator', () => {
@@ -86,6 +86,7 @@ describe('mediator', () => {
         ])
         //mediator should have proper signers
         await expect(async () => await mediator.dispose()).rejects.toThrow(/is not a mediator account for/)
+        await expect(async () => await mediator.dispose()).rejects.toMatchObject({code: 43, context: {phase: 'mediator'}})
 
         HorizonShim.setAccountInfo(mediator.mediatorAddress, [
             balanceFromAsset(xlm, '1'),
@@ -394,6 +395,55 @@ describe('mediator', () => {
         expect(localStorage[formatLsKey(mediator.mediatorAddress)]).toEqual(undefined)
     })
 
+    test('custom network', async () => {
+        const sourceKeypair = Keypair.random()
+        const source = sourceKeypair.publicKey()
+        HorizonShim.setAccountInfo(source, [
+            balanceFromAsset(xlm, '10'),
+            balanceFromAsset(usdc, '10')
+        ])
+
+        const mediator = new Mediator(source, usdc, xlm, '10', sourceKeypair.secret(), 5, {network: 'testnet'})
+        expect(mediator.network.horizon).toEqual('https://horizon-testnet.stellar.org')
+
+        await mediator.init()
+        expect(HorizonShim.getLastTx().networkPassphrase).toEqual(Networks.TESTNET)
+
+        const custom = {passphrase: 'Custom Network ; 2024', horizon: 'http://localhost:8000'}
+        expect(new Mediator(source, usdc, xlm, '10', sourceKeypair.secret(), 5, {network: custom}).network).toEqual(custom)
+        expect(() => new Mediator(source, usdc, xlm, '10', sourceKeypair.secret(), 5, {network: {passphrase: 'Custom Network ; 2024'}}))
+            .toThrow(/Horizon URL not provided/)
+        expect(() => new Mediator(source, usdc, xlm, '10', sourceKeypair.secret(), 5, {network: 'unknown'}))
+            .toThrow(/Invalid parameter value: "network"/)
+    })
+
+    test('horizon failures', async () => {
+        const sourceKeypair = Keypair.random()
+        const source = sourceKeypair.publicKey()
+        HorizonShim.setAccountInfo(source, [
+            balanceFromAsset(xlm, '100'),
+            balanceFromAsset(aqua, '0')
+        ])
+        const mediator = new Mediator(source, xlm, aqua, '10', sourceKeypair.secret(), 5, {logLevel: 'silent'})
+
+        HorizonShim.submitError = new BadResponseError('Transaction submission failed',
+            {status: 400, data: {extras: {result_codes: {transaction: 'tx_insufficient_fee'}}}})
+        await expect(mediator.init()).rejects.toMatchObject({
+            code: 44,
+            message: 'Mediator transaction failed: {"transaction":"tx_insufficient_fee"}',
+            retriable: true,
+            cause: HorizonShim.submitError,
+            context: {phase: 'mediator'}
+        })
+
+        HorizonShim.loadError = new NetworkError('Network Error')
+        await expect(mediator.init()).rejects.toMatchObject({
+            code: 45,
+            message: 'Failed to load account ' + source,
+            cause: HorizonShim.loadError
+        })
+    })
+
     test('dispose obsolete', async () => {
         const sourceKeypair = Keypair.random()
         const source = sourceKeypair.publicKey()
@@ -503,11 +553,15 @@ class LocalStorageShim {
 
 class HorizonShim {
     async submitTransaction(tx) {
+        if (this.constructor.submitError)
+            throw this.constructor.submitError
         this.constructor.txHistory.push(tx)
         return {successful: true}
     }
 
     async loadAccount(address) {
+        if (this.constructor.loadError)
+            throw this.constructor.loadError
         return this.constructor.accounts[address]
     }
 
@@ -521,6 +575,18 @@ class HorizonShim {
      */
     static txHistory = []
 
+    /**
+     * Error thrown on transaction submission
+     * @type {Error}
+     */
+    static submitError
+
+    /**
+     * Error thrown on account loading
+     * @type {Error}
+     */
+    static loadError
+
     /**
      * @param {string} address
      * @param {BalanceLine[]} balances
@@ -559,6 +625,8 @@ class HorizonShim {
 
     static clear() {
         this.txHistory = []
+        this.submitError = undefined
+        this.loadError = undefined
     }
 
     static signer(key, weight) {
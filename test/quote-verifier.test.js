@@ -0,0 +1,78 @@
+import {Keypair} from '@stellar/stellar-sdk'
+import {QuoteVerifier} from '../src/index.js'
+import {QuoteResult} from '../src/quote-result.js'
+
+describe('quote verifier', () => {
+    const issuer = Keypair.random().publicKey()
+    const usdc = 'USDC-' + issuer
+    const aqua = 'AQUA-' + issuer
+    const verifier = new QuoteVerifier({network: 'testnet', maxDeviation: 0.01, logLevel: 'silent'})
+
+    beforeAll(() => {
+        QuoteVerifier.createHorizon = () => new HorizonPathsShim()
+    })
+
+    afterEach(() => {
+        HorizonPathsShim.records = []
+        HorizonPathsShim.requests = []
+    })
+
+    test('exact-input quote', async () => {
+        HorizonPathsShim.records = [
+            pathRecord('100', '9.9', []),
+            pathRecord('100', '10', [{asset_type: 'credit_alphanum4', asset_code: 'AQUA', asset_issuer: issuer}])
+        ]
+        const quote = new QuoteResult({status: 'success', sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '100', estimatedBuyingAmount: '10.05'})
+
+        const verification = await verifier.verify(quote)
+
+        expect(HorizonPathsShim.requests).toEqual([{type: 'strict-send', amount: '100'}])
+        expect(quote.verification).toBe(verification)
+        expect(verification).toMatchObject({selling: '100', buying: '10', path: [aqua], warning: false})
+        expect(verification.deviation).toBeCloseTo(0.005, 7)
+    })
+
+    test('exact-output quote deviating from Horizon estimate', async () => {
+        HorizonPathsShim.records = [pathRecord('110', '10', [])]
+        const quote = new QuoteResult({status: 'success', sellingAsset: 'XLM', buyingAsset: usdc, buyingAmount: '10', estimatedSellingAmount: '120'})
+
+        const verification = await verifier.verify(quote)
+
+        expect(HorizonPathsShim.requests).toEqual([{type: 'strict-receive', amount: '10'}])
+        expect(verification).toMatchObject({selling: '110', buying: '10', warning: true})
+        expect(verification.deviation).toBeCloseTo(-0.0909, 4)
+    })
+
+    test('no paths found', async () => {
+        const quote = new QuoteResult({status: 'success', sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '1', estimatedBuyingAmount: '0.1'})
+        expect(await verifier.verify(quote)).toMatchObject({warning: true, reason: 'No Horizon paths found'})
+        await expect(verifier.verify(new QuoteResult({status: 'rejected'}))).rejects.toMatchObject({code: 11})
+    })
+})
+
+function pathRecord(source, destination, path) {
+    return {source_amount: source, destination_amount: destination, path}
+}
+
+class HorizonPathsShim {
+    strictSendPaths(source, amount) {
+        return this.buildRequest('strict-send', amount)
+    }
+
+    strictReceivePaths(source, destination, amount) {
+        return this.buildRequest('strict-receive', amount)
+    }
+
+    buildRequest(type, amount) {
+        return {
+            call: async () => {
+                HorizonPathsShim.requests.push({type, amount})
+                return {records: HorizonPathsShim.records}
+            }
+        }
+    }
+
+    static records = []
+
+    static requests = []
+}
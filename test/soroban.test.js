@@ -0,0 +1,184 @@
+import {Account, Address, Keypair, Networks, Operation, StrKey, TransactionBuilder, nativeToScVal, xdr} from '@stellar/stellar-sdk'
+import {getAssetContractId, validateInvocation} from '../src/soroban.js'
+import {processTxRequest} from '../src/tx-processor.js'
+import {TradeLedger} from '../src/trade-ledger.js'
+import {AuthorizationWrapper} from '../src/authorization.js'
+import {createEmitter} from '../src/events.js'
+
+describe('soroban invocation validation', () => {
+    const traderKeypair = Keypair.random()
+    const trader = traderKeypair.publicKey()
+    const usdc = 'USDC-' + Keypair.random().publicKey()
+    const router = StrKey.encodeContract(Keypair.random().rawPublicKey())
+    const sellingToken = getAssetContractId('XLM', Networks.TESTNET)
+    const buyingToken = getAssetContractId(usdc, Networks.TESTNET)
+    const client = {
+        trader,
+        network: Networks.TESTNET,
+        tradeQuote: {sellingAsset: 'XLM', buyingAsset: usdc, sellingAmount: '10', estimatedBuyingAmount: '5', slippageTolerance: 0.02},
+        sorobanAllowlist: {[router]: {swap_chained: {minOutArg: 3}}}
+    }
+
+    test('valid swap invocation', () => {
+        const op = buildInvocation()
+        expect(validateInvocation(client, op)).toEqual({sold: 100000000n, bought: 49000000n})
+    })
+
+    test('invalid min output amount', () => {
+        expect(() => validateInvocation(client, buildInvocation({minOut: 0n})))
+            .toThrow(/Invalid minimum buying amount argument/)
+        expect(() => validateInvocation({...client, sorobanAllowlist: {[router]: {swap_chained: {minOutArg: 5}}}}, buildInvocation()))
+            .toThrow(/Invalid minimum buying amount argument/)
+    })
+
+    test('min output amount exceeds slippage tolerance', async () => {
+        const tx = buildInvocation({minOut: 48999999n, tx: true})
+        await expect(processTxRequest(client, {xdr: tx.toXDR(), networkFee: '100'}))
+            .rejects.toThrow(/Swap price exceeds quote slippage tolerance/)
+    })
+
+    test('authorization entries are committed to the ledger', async () => {
+        const tradeClient = {
+            ...client,
+            maxFeeRatio: 0.01,
+            authorization: new AuthorizationWrapper(traderKeypair.secret()),
+            emitter: createEmitter(),
+            log() {
+            },
+            ledger: new TradeLedger(client.tradeQuote, {maxFeeRatio: 0.01, slippageTolerance: 0.02})
+        }
+        const {ledger} = tradeClient
+        const request = buildInvocation({tx: true, nonce: '1'}).toXDR()
+        const authorized = await processTxRequest(tradeClient, {xdr: request, networkFee: '1000'})
+        expect(ledger.sold).toEqual(100000000n)
+        //repeated request for the same authorization entry is not counted again
+        await processTxRequest(tradeClient, {xdr: request, networkFee: '1000'})
+        expect(ledger.sold).toEqual(100000000n)
+        //another authorization entry exceeds the confirmed amount
+        await expect(processTxRequest(tradeClient, {xdr: buildInvocation({tx: true, nonce: '2'}).toXDR(), networkFee: '1000'}))
+            .rejects.toThrow(/Total swap amount exceeds confirmed selling amount/)
+        expect(ledger.sold).toEqual(100000000n)
+        //fee-bump wrapper of the authorized transaction adds only the network fee
+        await processTxRequest(tradeClient, {xdr: authorized, networkFee: '1000'})
+        expect(ledger.toJSON()).toMatchObject({transactions: 1, sold: '10', networkFees: '0.0002'})
+    })
+
+    test('contract not allowed', () => {
+        const contract = StrKey.encodeContract(Keypair.random().rawPublicKey())
+        expect(() => validateInvocation(client, buildInvocation({contract})))
+            .toThrow('Contract not allowed: ' + contract)
+    })
+
+    test('function not allowed', () => {
+        expect(() => validateInvocation(client, buildInvocation({fn: 'withdraw'})))
+            .toThrow(/Contract function not allowed/)
+    })
+
+    test('unexpected tokens', () => {
+        const otherToken = getAssetContractId('EURC-' + Keypair.random().publicKey(), Networks.TESTNET)
+        expect(() => validateInvocation(client, buildInvocation({tokens: [sellingToken, otherToken]})))
+            .toThrow(/does not reference quoted asset contracts/)
+    })
+
+    test('unexpected authorization address', () => {
+        expect(() => validateInvocation(client, buildInvocation({from: Keypair.random().publicKey()})))
+            .toThrow(/Unexpected authorization address/)
+        expect(() => validateInvocation(client, buildInvocation({sourceAccountAuth: true})))
+            .toThrow(/Unsupported authorization credentials type: sorobanCredentialsSourceAccount/)
+    })
+
+    test('unexpected transfer destination', () => {
+        const pool = StrKey.encodeContract(Keypair.random().rawPublicKey())
+        expect(() => validateInvocation(client, buildInvocation({transferTo: Keypair.random().publicKey()})))
+            .toThrow(/Unexpected transfer destination: G/)
+        expect(() => validateInvocation(client, buildInvocation({transferTo: pool})))
+            .toThrow(/Unexpected transfer destination: C/)
+        const allowlist = {...client.sorobanAllowlist, [pool]: {}}
+        expect(validateInvocation({...client, sorobanAllowlist: allowlist}, buildInvocation({transferTo: pool})))
+            .toMatchObject({sold: 100000000n})
+    })
+
+    test('authorized arguments differ from the contract call', () => {
+        expect(() => validateInvocation(client, buildInvocation({rootMinOut: 0n})))
+            .toThrow(/Authorized invocation arguments do not match the contract call/)
+        expect(() => validateInvocation(client, buildInvocation({rootMinOut: 49000000n, minOut: 49000001n})))
+            .toThrow(/Authorized invocation arguments do not match the contract call/)
+    })
+
+    test('unexpected sub-invocations', () => {
+        expect(() => validateInvocation(client, buildInvocation({transferToken: buyingToken})))
+            .toThrow(/Unexpected sub-invocation/)
+        const nested = buildTransfer(sellingToken, trader, 10n)
+        expect(() => validateInvocation(client, buildInvocation({nested: [nested]})))
+            .toThrow(/Unexpected nested sub-invocations/)
+        expect(() => validateInvocation(client, buildInvocation({transferAmount: null})))
+            .toThrow(/does not authorize selling asset transfer/)
+    })
+
+    function buildInvocation(options = {}) {
+        const {
+            contract = router,
+            fn = 'swap_chained',
+            tokens = [sellingToken, buyingToken],
+            from = trader,
+            transferToken = sellingToken,
+            transferAmount = 100000000n,
+            transferTo = contract,
+            minOut = 49000000n,
+            rootMinOut = minOut,
+            sourceAccountAuth = false,
+            nonce = '1',
+            nested = []
+        } = options
+        const buildArgs = minOut => [
+            nativeToScVal(trader, {type: 'address'}),
+            xdr.ScVal.scvVec(tokens.map(token => nativeToScVal(token, {type: 'address'}))),
+            nativeToScVal(100000000n, {type: 'i128'}),
+            nativeToScVal(minOut, {type: 'i128'})
+        ]
+        const args = buildArgs(minOut)
+        const subInvocations = []
+        if (transferAmount) {
+            subInvocations.push(buildTransfer(transferToken, transferTo, transferAmount, nested))
+        }
+        const auth = new xdr.SorobanAuthorizationEntry({
+            credentials: sourceAccountAuth ?
+                xdr.SorobanCredentials.sorobanCredentialsSourceAccount() :
+                xdr.SorobanCredentials.sorobanCredentialsAddress(new xdr.SorobanAddressCredentials({
+                    address: new Address(from).toScAddress(),
+                    nonce: xdr.Int64.fromString(nonce),
+                    signatureExpirationLedger: 0,
+                    signature: xdr.ScVal.scvVoid()
+                })),
+            rootInvocation: new xdr.SorobanAuthorizedInvocation({
+                function: xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(new xdr.InvokeContractArgs({
+                    contractAddress: new Address(contract).toScAddress(),
+                    functionName: fn,
+                    args: buildArgs(rootMinOut)
+                })),
+                subInvocations
+            })
+        })
+        const tx = new TransactionBuilder(new Account(Keypair.random().publicKey(), '1'), {fee: '100', networkPassphrase: Networks.TESTNET})
+            .addOperation(Operation.invokeContractFunction({contract, function: fn, args, auth: [auth]}))
+            .setTimeout(30)
+            .setLedgerbounds(0, 1000)
+            .build()
+        return options.tx ? tx : tx.operations[0]
+    }
+
+    function buildTransfer(token, to, amount, nested = []) {
+        return new xdr.SorobanAuthorizedInvocation({
+            function: xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(new xdr.InvokeContractArgs({
+                contractAddress: new Address(token).toScAddress(),
+                functionName: 'transfer',
+                args: [
+                    nativeToScVal(trader, {type: 'address'}),
+                    nativeToScVal(to, {type: 'address'}),
+                    nativeToScVal(amount, {type: 'i128'})
+                ]
+            })),
+            subInvocations: nested
+        })
+    }
+})
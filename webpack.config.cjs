@@ -2,42 +2,71 @@ const path = require('path')
 const webpack = require('webpack')
 
 module.exports = function () {
-    return {
-        mode: 'production',
-        devtool: 'source-map',
-        entry: {
-            stellarbroker: [path.join(__dirname, '/src/cjs.js')]
-        },
-        output: {
-            path: path.join(__dirname, './lib'),
-            filename: '[name].js',
-            library: {
-                name: 'stellarbroker',
-                type: 'umd',
-                export: 'default'
+    const module = {
+        rules: [
+            {
+                test: /\.js?$/,
+                loader: 'babel-loader',
+                exclude: /node_modules/
+            }
+        ]
+    }
+    const plugins = [
+        new webpack.DefinePlugin({
+            'process.env.NODE_ENV': JSON.stringify('production')
+        })
+    ]
+    return [
+        {
+            mode: 'production',
+            devtool: 'source-map',
+            entry: {
+                stellarbroker: [path.join(__dirname, '/src/cjs.js')]
+            },
+            output: {
+                path: path.join(__dirname, './lib'),
+                filename: '[name].js',
+                library: {
+                    name: 'stellarbroker',
+                    type: 'umd',
+                    export: 'default'
+                },
+                libraryTarget: 'umd',
+                globalObject: 'this'
             },
-            libraryTarget: 'umd',
-            globalObject: 'this'
+            module,
+            externals: {
+                '@stellar/stellar-sdk': '@stellar/stellar-sdk'
+            },
+            plugins,
+            optimization: {
+                minimize: true
+            }
         },
-        module: {
-            rules: [
-                {
-                    test: /\.js?$/,
-                    loader: 'babel-loader',
-                    exclude: /node_modules/
+        {
+            mode: 'production',
+            devtool: 'source-map',
+            target: 'node',
+            entry: {
+                node: [path.join(__dirname, '/src/node.js')]
+            },
+            output: {
+                path: path.join(__dirname, './lib'),
+                filename: '[name].cjs',
+                library: {
+                    type: 'commonjs2'
                 }
-            ]
-        },
-        externals: {
-            '@stellar/stellar-sdk': '@stellar/stellar-sdk'
-        },
-        plugins: [
-            new webpack.DefinePlugin({
-                'process.env.NODE_ENV': JSON.stringify('production')
-            })
-        ],
-        optimization: {
-            minimize: true
+            },
+            module,
+            externals: {
+                '@stellar/stellar-sdk': '@stellar/stellar-sdk',
+                'ws': 'ws',
+                'toml': 'toml'
+            },
+            plugins,
+            optimization: {
+                minimize: false
+            }
         }
-    }
+    ]
 }